@@ -57,11 +57,118 @@ function viewCoversDataBounds(rubbers, xRange, yRange) {
 function clampRangeToBounds(range, bounds) {
     return [Math.max(range[0], bounds[0]), Math.min(range[1], bounds[1])];
 }
+
+// ════════════════════════════════════════════════════════════
+//  Chart: Axis Metrics
+// ════════════════════════════════════════════════════════════
+
+// Width (in data units) over which tied dots on a discrete axis are fanned out
+const DISCRETE_AXIS_SPREAD = 0.6;
+
+function getChartAxisMetric(axis) {
+    return CHART_AXIS_METRICS[chartAxisState[axis]] || CHART_AXIS_METRICS[DEFAULT_CHART_AXES[axis]];
+}
+
+function isDefaultChartAxes() {
+    return chartAxisState.x === DEFAULT_CHART_AXES.x && chartAxisState.y === DEFAULT_CHART_AXES.y;
+}
+
+// Recompute each rubber's plotted x/y from the selected axis metrics.
+// Rubbers with no value for either metric get null and drop off the chart.
+function applyChartAxisValues(rubbers = rubberData) {
+    for (const axis of ['x', 'y']) {
+        const metric = getChartAxisMetric(axis);
+        const ties = new Map();
+        for (const rubber of rubbers) {
+            const value = metric.get(rubber);
+            rubber[axis] = Number.isFinite(value) ? value : null;
+            if (metric.discrete && rubber[axis] !== null) {
+                if (!ties.has(rubber[axis])) ties.set(rubber[axis], []);
+                ties.get(rubber[axis]).push(rubber);
+            }
+        }
+        // Spread tied values across a narrow band so dots and labels don't stack
+        for (const group of ties.values()) {
+            if (group.length < 2) continue;
+            group.sort((a, b) => a.fullName.localeCompare(b.fullName));
+            group.forEach((rubber, i) => {
+                rubber[axis] += ((i + 0.5) / group.length - 0.5) * DISCRETE_AXIS_SPREAD;
+            });
+        }
+    }
+}
+
+function setChartAxes(nextAxes, { silent = false } = {}) {
+    const next = { ...chartAxisState, ...nextAxes };
+    if (!CHART_AXIS_METRICS[next.x] || !CHART_AXIS_METRICS[next.y]) return false;
+    if (next.x === chartAxisState.x && next.y === chartAxisState.y) return false;
+
+    chartAxisState = next;
+    applyChartAxisValues(rubberData);
+    renderChartAxisPicker();
+    if (silent) return true;
+
+    updateFilterSummary();
+    pushFiltersToUrl();
+    _mobileZoomed = false;
+    animateChartUpdate({ force: true, resetRanges: true });
+    return true;
+}
+
+function buildChartAxisSelectHtml(axis) {
+    const options = Object.entries(CHART_AXIS_METRICS).map(([key, metric]) =>
+        `<option value="${key}"${chartAxisState[axis] === key ? ' selected' : ''}>${escapeHtml(tUi(metric.labelKey))}</option>`
+    ).join('');
+    const ariaLabel = tUi(axis === 'x' ? 'AXIS_X' : 'AXIS_Y');
+    return `<select class="chart-axis-select" data-axis="${axis}" aria-label="${escapeHtml(ariaLabel)}">${options}</select>`;
+}
+
+// Turn the static "Speed ↑" / "Spin →" labels into metric pickers
+function renderChartAxisPicker() {
+    const labels = {
+        y: document.querySelector('.chart-speed-outside > span:first-child'),
+        x: document.querySelector('.chart-spin-label')
+    };
+    for (const [axis, label] of Object.entries(labels)) {
+        if (!label) continue;
+        const metric = getChartAxisMetric(axis);
+        label.classList.add('chart-axis-label');
+        label.innerHTML = `<span class="chart-axis-icon" aria-hidden="true">${metric.icon}</span>`
+            + buildChartAxisSelectHtml(axis)
+            + `<span aria-hidden="true">${axis === 'x' ? '→' : '↑'}</span>`;
+    }
+}
+
+function initChartAxisPicker() {
+    const container = document.querySelector('.chart-bleed');
+    if (!container) return;
+    document.querySelector('.chart-speed-outside')?.removeAttribute('aria-hidden');
+    document.querySelector('.chart-spin-label')?.removeAttribute('aria-hidden');
+    renderChartAxisPicker();
+
+    container.addEventListener('change', (e) => {
+        const select = e.target.closest('.chart-axis-select');
+        if (!select) return;
+        const axis = select.dataset.axis;
+        const other = axis === 'x' ? 'y' : 'x';
+        const next = { [axis]: select.value };
+        // Picking the other axis' metric swaps the two instead of plotting a diagonal
+        if (chartAxisState[other] === select.value) next[other] = chartAxisState[axis];
+        setChartAxes(next);
+    });
+}
 // ════════════════════════════════════════════════════════════
 //  Chart: Filtering & Visibility
 // ════════════════════════════════════════════════════════════
 
-function getFilteredData() {
+// A rubber with no value on either chosen axis has nowhere to sit on the chart,
+// but it still counts toward the filter summary, the table view and the export
+function hasChartPosition(rubber) {
+    return Number.isFinite(rubber.x) && Number.isFinite(rubber.y);
+}
+
+// `queryClauses` lets the header search count a query before it is applied
+function getFilteredData(queryClauses = searchQueryClauses) {
     const selectedBrands = new Set(getCheckedValues('brandFilter'));
     const selectedNames = new Set(getCheckedValues('nameFilter'));
     const selectedSheet = new Set(getCheckedValues('sheetFilter'));
@@ -71,25 +178,12 @@ function getFilteredData() {
         return [];
     }
 
-    const filterByWeight = isWeightFilterActive();
-    const minWeight = weightFilterState.selectedMin;
-    const maxWeight = weightFilterState.selectedMax;
-
-    const filterByHardness = isHardnessFilterActive();
-    const minHardness = hardnessFilterState.selectedMin;
-    const maxHardness = hardnessFilterState.selectedMax;
-
-    const filterByControl = isControlFilterActive();
-    const selectedLevels = controlFilterState.selectedLevels;
-
+    const matchesFilters = getRubberFilterPredicate(queryClauses);
     return rubberData.filter(rubber =>
         selectedBrands.has(rubber.brand) &&
         selectedNames.has(rubber.abbr) &&
         selectedSheet.has(rubber.sheet) &&
-        (!filterByHardness || (Number.isFinite(rubber.normalizedHardness) && rubber.normalizedHardness >= minHardness && rubber.normalizedHardness <= maxHardness)) &&
-        (!filterByWeight || (Number.isFinite(rubber.weight) && rubber.weight >= minWeight && rubber.weight <= maxWeight)) &&
-        (!filterByControl || selectedLevels.has(rubber.controlLevel)) &&
-        (!top30FilterActive || top30Set.has(rubber.fullName))
+        matchesFilters(rubber)
     );
 }
 
@@ -294,15 +388,37 @@ function getChartZoneBounds(rubbers) {
     };
 }
 
+// Quadrant names: the play-style zones only make sense on the spin/speed plane,
+// other axis pairings get "↑ metric · ↓ metric" descriptions.
+function getChartZoneLabels() {
+    if (isDefaultChartAxes()) {
+        return {
+            topLeft: 'Direct Speed',
+            topRight: 'Sweet Spot',
+            bottomLeft: 'All-Round',
+            bottomRight: 'Safe Spin'
+        };
+    }
+    const xLabel = tUi(getChartAxisMetric('x').labelKey);
+    const yLabel = tUi(getChartAxisMetric('y').labelKey);
+    return {
+        topLeft: `↑ ${yLabel} · ↓ ${xLabel}`,
+        topRight: `↑ ${yLabel} · ↑ ${xLabel}`,
+        bottomLeft: `↓ ${yLabel} · ↓ ${xLabel}`,
+        bottomRight: `↓ ${yLabel} · ↑ ${xLabel}`
+    };
+}
+
 function getVisibleChartZones(zoneBounds, xRange, yRange) {
     if (!zoneBounds || !Array.isArray(xRange) || !Array.isArray(yRange)) return [];
 
     const [viewXMin, viewXMax] = [Math.min(...xRange), Math.max(...xRange)];
     const [viewYMin, viewYMax] = [Math.min(...yRange), Math.max(...yRange)];
+    const labels = getChartZoneLabels();
 
     const zones = [{
         // Left Top: Direct Speed
-        text: '<b>Direct Speed</b>',
+        text: `<b>${escapeHtml(labels.topLeft)}</b>`,
         color: 'rgba(100,160,220,0.6)',
         fillcolor: 'rgba(100,160,220,0.06)',
         linecolor: 'rgba(100,160,220,0.15)',
@@ -311,7 +427,7 @@ function getVisibleChartZones(zoneBounds, xRange, yRange) {
         xanchor: 'left'
     }, {
         // Right Top: Sweet Spot
-        text: '<b>Sweet Spot</b>',
+        text: `<b>${escapeHtml(labels.topRight)}</b>`,
         color: 'rgba(200,100,100,0.6)',
         fillcolor: 'rgba(200,100,100,0.06)',
         linecolor: 'rgba(200,100,100,0.15)',
@@ -320,7 +436,7 @@ function getVisibleChartZones(zoneBounds, xRange, yRange) {
         xanchor: 'right'
     }, {
         // Left Bottom: All-Round
-        text: '<b>All-Round</b>',
+        text: `<b>${escapeHtml(labels.bottomLeft)}</b>`,
         color: 'rgba(180,160,100,0.6)',
         fillcolor: 'rgba(180,160,100,0.06)',
         linecolor: 'rgba(180,160,100,0.15)',
@@ -329,7 +445,7 @@ function getVisibleChartZones(zoneBounds, xRange, yRange) {
         xanchor: 'left'
     }, {
         // Right Bottom: Safe Spin
-        text: '<b>Safe Spin</b>',
+        text: `<b>${escapeHtml(labels.bottomRight)}</b>`,
         color: 'rgba(100,180,120,0.6)',
         fillcolor: 'rgba(100,180,120,0.06)',
         linecolor: 'rgba(100,180,120,0.15)',
@@ -381,6 +497,101 @@ function buildChartZoneAnnotations(zoneBounds, xRange, yRange) {
     }));
 }
 
+// ── Brand lineup hull (brand pages) ──
+
+// Andrew's monotone chain; returns hull vertices counter-clockwise
+function computeConvexHull(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/** Shaded outline around the active brand's plotted rubbers; empty when no brand page is open. */
+function buildBrandHullShapes(rubbers) {
+    if (!activeBrand) return [];
+    const points = rubbers
+        .filter(r => r.brand === activeBrand && Number.isFinite(r.x) && Number.isFinite(r.y))
+        .map(r => ({ x: r.x, y: r.y }));
+    const hull = computeConvexHull(points);
+    if (hull.length < 3) return [];
+    const color = getBrandColor(activeBrand);
+    return [{
+        type: 'path',
+        xref: 'x', yref: 'y',
+        path: 'M ' + hull.map(p => `${p.x},${p.y}`).join(' L ') + ' Z',
+        fillcolor: color + '1f',
+        line: { color: color + '99', width: 1.5, dash: 'dot' },
+        layer: 'below'
+    }];
+}
+
+// ── Best-value frontier ──
+
+/**
+ * Rubbers no other rubber beats on spin, speed and price at once (Pareto frontier),
+ * cheapest first. Rubbers without a price or rank in this locale are left out.
+ */
+function computeValueFrontier(rubbers) {
+    const candidates = rubbers
+        .map(rubber => ({ rubber, price: getRubberEffectivePrice(rubber) }))
+        .filter(c => Number.isFinite(c.price) && Number.isFinite(c.rubber.spinRank) && Number.isFinite(c.rubber.speedRank));
+    const dominates = (a, b) =>
+        a.rubber.spinRank <= b.rubber.spinRank && a.rubber.speedRank <= b.rubber.speedRank && a.price <= b.price
+        && (a.rubber.spinRank < b.rubber.spinRank || a.rubber.speedRank < b.rubber.speedRank || a.price < b.price);
+    return candidates
+        .filter(c => !candidates.some(other => other !== c && dominates(other, c)))
+        .sort((a, b) => a.price - b.price)
+        .map(c => c.rubber);
+}
+
+/** Rings around the frontier rubbers, joined cheapest to priciest; empty unless the overlay is on. */
+function buildValueFrontierTraces(filteredData, visibleData, getMarkerSize) {
+    if (!showValueFrontier) return [];
+    const visible = new Set(visibleData);
+    const frontier = computeValueFrontier(filteredData)
+        .filter(r => visible.has(r) && Number.isFinite(r.x) && Number.isFinite(r.y));
+    if (!frontier.length) return [];
+    return [
+        {
+            x: frontier.map(r => r.x),
+            y: frontier.map(r => r.y),
+            mode: 'lines',
+            type: 'scattergl',
+            name: 'Value frontier path',
+            showlegend: false,
+            hoverinfo: 'skip',
+            line: { color: 'rgba(92,184,122,0.45)', width: 1.5, dash: 'dot' }
+        },
+        {
+            x: frontier.map(r => r.x),
+            y: frontier.map(r => r.y),
+            mode: 'markers',
+            type: 'scattergl',
+            name: 'Value frontier',
+            showlegend: false,
+            hoverinfo: 'skip',
+            marker: {
+                size: frontier.map(r => getMarkerSize(r) + 10),
+                color: 'rgba(92,184,122,0.12)',
+                symbol: 'circle',
+                line: { width: 2, color: 'rgba(92,184,122,0.85)' }
+            }
+        }
+    ];
+}
+
 // Thin overlapping labels by priority (lower priority number = higher importance)
 let _prevVisibleRubbers = [];
 
@@ -577,8 +788,8 @@ function getHardnessToneClass(normalizedHardness) {
 
 function getWeightToneClass(weight) {
     if (!Number.isFinite(weight)) return '';
-    if (weight <= 48) return 'weight-tone-green';
-    if (weight <= 51) return 'weight-tone-yellow';
+    if (weight <= WEIGHT_LIGHT_MAX) return 'weight-tone-green';
+    if (weight <= WEIGHT_MEDIUM_MAX) return 'weight-tone-yellow';
     return 'weight-tone-red';
 }
 
@@ -773,6 +984,15 @@ async function showChartHoverPopupFromPlotlyData(data, chartEl, slotLabel) {
         });
     }
 
+    const addBtn = popup.querySelector('.chart-hover-add-btn');
+    if (addBtn) {
+        addBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            hideChartHoverPopup({ force: true });
+            addRubberToComparison(rubber);
+        });
+    }
+
     // Route all YouTube links in the popup through the radar panel embed
     popup.querySelectorAll('.chart-hover-yt-btn, a[data-yt-videoid]').forEach(el => {
         el.addEventListener('click', (e) => {
@@ -959,6 +1179,22 @@ function buildHoverPopupPlayersHtml(rubber) {
     return `<div class="chart-hover-players"><div class="chart-hover-player-list">${players}</div><span class="chart-hover-player-name-rotate visible" data-names="${namesAttr}">${names[0] || ''}</span></div>`;
 }
 
+// Sub-metric bars under the spin/speed bar (see RANKING_SUBMETRICS)
+function buildHoverSubmetricsHtml(metrics, metricKey) {
+    if (!metrics) return '';
+    const items = RANKING_SUBMETRICS[metricKey]
+        .filter(def => metrics[def.key] != null)
+        .map(def => {
+            const value = Math.round(metrics[def.key]);
+            return `<div class="chart-hover-submetric">` +
+                `<span class="chart-hover-submetric-label">${escapeHtml(tUi(def.labelKey))}</span>` +
+                `<span class="chart-hover-submetric-bar"><span class="chart-hover-stat-fill chart-hover-stat-fill--${metricKey}" style="width:${value}%"></span></span>` +
+                `<strong>${value}</strong>` +
+            `</div>`;
+        });
+    return `<div class="chart-hover-submetrics">${items.join('')}</div>`;
+}
+
 function buildHoverPopupHtml(rubber, point, slotLabel, hookText = null) {
     const rubberName = tRubberName(rubber) || rubber.name || rubber.abbr || '-';
     const brandName = tBrand(rubber.brand) || '-';
@@ -970,10 +1206,13 @@ function buildHoverPopupHtml(rubber, point, slotLabel, hookText = null) {
     const weightToneClass = getWeightToneClass(rubber?.weight);
     const spinRank = typeof rubber.spinRank === 'number' ? rubber.spinRank : null;
     const speedRank = typeof rubber.speedRank === 'number' ? rubber.speedRank : null;
-    const spinPct = spinRank != null && rubber.x != null
-        ? Math.round(rubber.x / (rubber.x + spinRank - 1) * 100) : null;
-    const speedPct = speedRank != null && rubber.y != null
-        ? Math.round(rubber.y / (rubber.y + speedRank - 1) * 100) : null;
+    const spinPct = rubber.spinRating != null ? Math.round(rubber.spinRating)
+        : spinRank != null && rubber.spinScore != null
+            ? Math.round(rubber.spinScore / (rubber.spinScore + spinRank - 1) * 100) : null;
+    const speedPct = rubber.speedRating != null ? Math.round(rubber.speedRating)
+        : speedRank != null && rubber.speedScore != null
+            ? Math.round(rubber.speedScore / (rubber.speedScore + speedRank - 1) * 100) : null;
+    const value = getRubberValueScore(rubber);
     const control = buildControlLevelIndicatorHtml(rubber?.controlLevel, { fillFromLeft: true });
     const brandColor = getBrandColor(rubber.brand);
     const bestsellerRank = rubber.bestseller?.[selectedCountry] ?? null;
@@ -983,6 +1222,11 @@ function buildHoverPopupHtml(rubber, point, slotLabel, hookText = null) {
     const slotBadge = slotNum
         ? `<span class="chart-hover-slot-badge">${slotNum}</span>`
         : '';
+    // Once a pair is selected, offer adding this rubber as an extra comparison slot
+    const addLabel = escapeHtml(tUi('ADD_TO_COMPARE'));
+    const addBtn = selectedRubbers[0] && selectedRubbers[1] && !selectedRubbers.includes(rubber)
+        ? `<button type="button" class="chart-hover-add-btn" aria-label="${addLabel}" title="${addLabel}">+</button>`
+        : '';
 
     const countryUrls = rubber.urls?.[selectedCountry] || {};
     const ytMeta = normalizeYouTubeMeta(countryUrls.youtube);
@@ -1006,20 +1250,16 @@ function buildHoverPopupHtml(rubber, point, slotLabel, hookText = null) {
         productUrl = (rubber.urls?.en || {}).product || '';
     }
     const productMeta = getProductStoreMeta(productUrl);
-    const priceData = rubber.price?.[selectedCountry] || rubber.price?.en || null;
-    const priceSale = priceData?.sale || '';
-    const priceRegular = priceData?.regular || '';
-    const priceDiscount = priceData?.discount || '';
-    const priceHtml = priceSale
-        ? `<span class="chart-hover-buy-price-wrap"><span class="chart-hover-buy-price-sale">${escapeHtml(priceSale)}</span></span>`
-        : priceRegular
-            ? `<span class="chart-hover-buy-price-wrap"><span class="chart-hover-buy-price-sale">${escapeHtml(priceRegular)}</span></span>`
-            : '';
-    const discountFloatBadge = (priceSale && priceDiscount)
-        ? `<span class="chart-hover-buy-discount-badge">${escapeHtml(priceDiscount)}</span>`
+    const price = getRubberPriceDisplay(rubber);
+    const hasDiscount = Boolean(price?.isSale && price.discount);
+    const priceHtml = price
+        ? `<span class="chart-hover-buy-price-wrap"><span class="chart-hover-buy-price-sale">${escapeHtml(price.label)}</span></span>`
+        : '';
+    const discountFloatBadge = hasDiscount
+        ? `<span class="chart-hover-buy-discount-badge">${escapeHtml(price.discount)}</span>`
         : '';
     const buyBtn = productMeta
-        ? `<span class="chart-hover-buy-wrap">${discountFloatBadge}<a class="chart-hover-buy-btn${priceSale && priceDiscount ? ' has-discount' : ''}" href="${escapeHtml(productMeta.url)}" target="_blank" rel="noopener" aria-label="Buy" data-rubber-name="${escapeHtml(rubber.name || rubber.abbr || '')}"><svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.4" stroke-linecap="round" stroke-linejoin="round"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg>${priceHtml}</a></span>`
+        ? `<span class="chart-hover-buy-wrap">${discountFloatBadge}<a class="chart-hover-buy-btn${hasDiscount ? ' has-discount' : ''}" href="${escapeHtml(productMeta.url)}" target="_blank" rel="noopener" aria-label="Buy" data-rubber-name="${escapeHtml(rubber.name || rubber.abbr || '')}"><svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.4" stroke-linecap="round" stroke-linejoin="round"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg>${priceHtml}</a></span>`
         : '';
 
     return `
@@ -1033,17 +1273,23 @@ function buildHoverPopupHtml(rubber, point, slotLabel, hookText = null) {
                     </span>
                     ${starBtn}
                 </div>
-                <div class="rubber-name">${ytBtn}${escapeHtml(rubberName)}${rubber.releaseYearLabel && rubber.releaseYearLabel !== 'N/A' ? ` <span class="rubber-release-year">${escapeHtml(rubber.releaseYearLabel)}</span>` : ''}${buyBtn}${slotBadge}</div>
+                <div class="rubber-name">${ytBtn}${escapeHtml(rubberName)}${rubber.releaseYearLabel && rubber.releaseYearLabel !== 'N/A' ? ` <span class="rubber-release-year">${escapeHtml(rubber.releaseYearLabel)}</span>` : ''}${buyBtn}${slotBadge}${addBtn}</div>
             </div>
             <div class="chart-hover-hero">
                 <div class="chart-hover-hero-col">
                     <div class="chart-hover-hero-header"><span class="chart-hover-hero-label metric-hint" data-hint="${tUi('SPIN_HINT')}"><span class="chart-hover-hero-emoji" aria-hidden="true">↻</span>${tUi('SPIN')}<svg class="metric-hint-icon" width="11" height="11" viewBox="0 0 16 16" fill="currentColor"><path d="M8 0a8 8 0 1 0 0 16A8 8 0 0 0 8 0zm.9 12H7.1V7h1.8v5zM8 5.9a1 1 0 1 1 0-2 1 1 0 0 1 0 2z"/></svg></span><span class="chart-hover-hero-rank">${spinRank != null ? `#${spinRank}` : '-'}</span></div>
                     ${spinPct != null ? `<div class="chart-hover-stat-bar"><div class="chart-hover-stat-fill chart-hover-stat-fill--spin" style="width:${spinPct}%"></div></div>` : ''}
+                    ${buildHoverSubmetricsHtml(rubber.spinMetrics, 'spin')}
                 </div>
                 <div class="chart-hover-hero-col">
                     <div class="chart-hover-hero-header"><span class="chart-hover-hero-label metric-hint" data-hint="${tUi('SPEED_HINT')}"><span class="chart-hover-hero-emoji" aria-hidden="true">⚡</span>${tUi('SPEED')}<svg class="metric-hint-icon" width="11" height="11" viewBox="0 0 16 16" fill="currentColor"><path d="M8 0a8 8 0 1 0 0 16A8 8 0 0 0 8 0zm.9 12H7.1V7h1.8v5zM8 5.9a1 1 0 1 1 0-2 1 1 0 0 1 0 2z"/></svg></span><span class="chart-hover-hero-rank">${speedRank != null ? `#${speedRank}` : '-'}</span></div>
                     ${speedPct != null ? `<div class="chart-hover-stat-bar"><div class="chart-hover-stat-fill chart-hover-stat-fill--speed" style="width:${speedPct}%"></div></div>` : ''}
+                    ${buildHoverSubmetricsHtml(rubber.speedMetrics, 'speed')}
                 </div>
+                ${value ? `<div class="chart-hover-hero-col">
+                    <div class="chart-hover-hero-header"><span class="chart-hover-hero-label metric-hint" data-hint="${tUi('VALUE_HINT')}"><span class="chart-hover-hero-emoji" aria-hidden="true">💰</span>${tUi('VALUE')}<svg class="metric-hint-icon" width="11" height="11" viewBox="0 0 16 16" fill="currentColor"><path d="M8 0a8 8 0 1 0 0 16A8 8 0 0 0 8 0zm.9 12H7.1V7h1.8v5zM8 5.9a1 1 0 1 1 0-2 1 1 0 0 1 0 2z"/></svg></span><span class="chart-hover-hero-rank">#${value.rank}</span></div>
+                    <div class="chart-hover-stat-bar"><div class="chart-hover-stat-fill chart-hover-stat-fill--value" style="width:${value.score}%"></div></div>
+                </div>` : ''}
             </div>
             <div class="chart-hover-details">
                 <div class="chart-hover-detail"><span class="metric-hint" data-hint="${tUi('CONTROL_HINT')}">${tUi('CONTROL')}<svg class="metric-hint-icon" width="11" height="11" viewBox="0 0 16 16" fill="currentColor"><path d="M8 0a8 8 0 1 0 0 16A8 8 0 0 0 8 0zm.9 12H7.1V7h1.8v5zM8 5.9a1 1 0 1 1 0-2 1 1 0 0 1 0 2z"/></svg></span><strong class="chart-control-indicator">${control}</strong></div>
@@ -1058,9 +1304,24 @@ function buildHoverPopupHtml(rubber, point, slotLabel, hookText = null) {
 }
 
 let filterAnimTimer = null;
-function animateChartUpdate(chartOptions = {}) {
+let chartTweenFrame = null;
+// Length of the dot glide between ranking snapshots
+const CHART_TWEEN_DURATION_MS = 600;
+
+/**
+ * Redraw the chart with a short fade. Pass `fromPositions` (rubber → { x, y }) to
+ * glide the dots from those positions to their current x/y instead.
+ */
+function animateChartUpdate({ fromPositions = null, ...chartOptions } = {}) {
     const chartEl = document.getElementById('chart');
     clearTimeout(filterAnimTimer);
+    cancelAnimationFrame(chartTweenFrame);
+    if (fromPositions && hasPlotted && chartViewMode !== 'table'
+        && !window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        chartEl.classList.remove('chart--filter-fade');
+        tweenChartPositions(fromPositions, chartOptions);
+        return;
+    }
     chartEl.classList.add('chart--filter-fade');
     filterAnimTimer = setTimeout(() => {
         updateChart(chartOptions);
@@ -1070,6 +1331,30 @@ function animateChartUpdate(chartOptions = {}) {
     }, 150);
 }
 
+// scattergl traces can't use Plotly transitions, so each frame is a full redraw with
+// x/y eased between the two positions. The real values are restored after every frame.
+function tweenChartPositions(fromPositions, chartOptions) {
+    const targets = rubberData.map(rubber => ({ rubber, x: rubber.x, y: rubber.y, from: fromPositions.get(rubber) }))
+        .filter(({ x, y, from }) => x !== null && y !== null && from && from.x !== null && from.y !== null
+            && (from.x !== x || from.y !== y));
+    const start = performance.now();
+    const step = (now) => {
+        const t = Math.min(1, (now - start) / CHART_TWEEN_DURATION_MS);
+        const eased = 1 - Math.pow(1 - t, 3);
+        for (const target of targets) {
+            target.rubber.x = target.from.x + (target.x - target.from.x) * eased;
+            target.rubber.y = target.from.y + (target.y - target.from.y) * eased;
+        }
+        updateChart({ ...chartOptions, force: true });
+        for (const target of targets) {
+            target.rubber.x = target.x;
+            target.rubber.y = target.y;
+        }
+        if (t < 1) chartTweenFrame = requestAnimationFrame(step);
+    };
+    chartTweenFrame = requestAnimationFrame(step);
+}
+
 function updateChart(options = {}) {
     hideChartHoverPopup();
     const filteredData = options._cachedFilteredData || getFilteredData();
@@ -1083,7 +1368,10 @@ function updateChart(options = {}) {
     }
 
     currentFilteredData = filteredData;
-    const visibleData = computeVisibleRubbers(filteredData);
+    if (chartViewMode === 'table') renderRubberTable(filteredData);
+    const plottedData = filteredData.filter(hasChartPosition);
+    currentPlottedData = plottedData;
+    const visibleData = computeVisibleRubbers(plottedData);
 
     // Marker sizes mapped to control levels (M&M style — chunky cartoon sizes):
     // Level 5 (most control) → biggest dot, Level 1 (least control) → smallest dot.
@@ -1126,10 +1414,12 @@ function updateChart(options = {}) {
         });
     }
 
+    traces.push(...buildValueFrontierTraces(plottedData, visibleData, getMarkerSize));
+
     // Selection highlight rings for selected rubbers
-    for (let i = 0; i < 2; i++) {
+    for (let i = 0; i < selectedRubbers.length; i++) {
         const sel = selectedRubbers[i];
-        if (!sel || !filteredData.some(r => r === sel)) continue;
+        if (!sel || !plottedData.some(r => r === sel)) continue;
         const brandColor = getBrandColor(sel.brand);
         traces.push({
             x: [sel.x],
@@ -1168,8 +1458,8 @@ function updateChart(options = {}) {
     }
 
     // Determine axis ranges: autoscale or preserve current view
-    let currentRanges = hasPlotted ? getCurrentAxisRanges() : null;
-    if (!options.preserveRanges && shouldAutoscaleForFilteredData(filteredData, currentRanges)) {
+    let currentRanges = hasPlotted && !options.resetRanges ? getCurrentAxisRanges() : null;
+    if (!options.preserveRanges && shouldAutoscaleForFilteredData(plottedData, currentRanges)) {
         currentRanges = null;
     }
 
@@ -1204,11 +1494,13 @@ function updateChart(options = {}) {
     // Offset is a fixed 4px converted to data units so it stays inside the dot
     // at any window width.
     {
-        const axisSpan = Math.max((labelXRange[1] ?? 300) - (labelXRange[0] ?? 0), 1);
-        const glossOffset = 4 * (axisSpan / Math.max(labelPlotW, 1));
+        const xAxisSpan = Math.max((labelXRange[1] ?? 300) - (labelXRange[0] ?? 0), 1e-6);
+        const yAxisSpan = Math.max((labelYRange[1] ?? 300) - (labelYRange[0] ?? 0), 1e-6);
+        const glossOffsetX = 4 * (xAxisSpan / Math.max(labelPlotW, 1));
+        const glossOffsetY = 4 * (yAxisSpan / Math.max(labelPlotH, 1));
         traces.push({
-            x: visibleData.map(r => r.x - glossOffset),
-            y: visibleData.map(r => r.y + glossOffset),
+            x: visibleData.map(r => r.x - glossOffsetX),
+            y: visibleData.map(r => r.y + glossOffsetY),
             mode: 'markers',
             type: 'scattergl',
             showlegend: false,
@@ -1220,13 +1512,34 @@ function updateChart(options = {}) {
                 line: { width: 0 }
             }
         });
+
+        // Favorite stars sit on the upper-right rim of their dot, in the same pixel units
+        const favorites = visibleData.filter(isFavoriteRubber);
+        if (favorites.length > 0) {
+            const rimOffset = r => getMarkerSize(r) * 0.4;
+            traces.push({
+                x: favorites.map(r => r.x + rimOffset(r) * (xAxisSpan / Math.max(labelPlotW, 1))),
+                y: favorites.map(r => r.y + rimOffset(r) * (yAxisSpan / Math.max(labelPlotH, 1))),
+                mode: 'markers',
+                type: 'scattergl',
+                name: 'Favorites',
+                showlegend: false,
+                hoverinfo: 'skip',
+                marker: {
+                    size: 11,
+                    color: '#f1c40f',
+                    symbol: 'star',
+                    line: { width: 1, color: 'rgba(0,0,0,0.75)' }
+                }
+            });
+        }
     }
 
-    // Selection badge annotations ("1" / "2" labels near selected rubber dots)
+    // Selection badge annotations ("1" / "2" / … labels near selected rubber dots)
     const selectionBadges = [];
-    for (let i = 0; i < 2; i++) {
+    for (let i = 0; i < selectedRubbers.length; i++) {
         const sel = selectedRubbers[i];
-        if (!sel || !filteredData.some(r => r === sel)) continue;
+        if (!sel || !plottedData.some(r => r === sel)) continue;
         const brandColor = getBrandColor(sel.brand);
         selectionBadges.push({
             x: sel.x,
@@ -1262,30 +1575,39 @@ function updateChart(options = {}) {
         tickformat: '.1f'
     };
 
-    const zoneBounds = getChartZoneBounds(filteredData);
+    // Rank-based axes keep their ticks hidden; real-unit metrics show inside tick labels
+    const buildAxisLayout = (axis, range) => {
+        const metric = getChartAxisMetric(axis);
+        return {
+            ...axisBase,
+            title: { text: '' },
+            autorange: false,
+            range,
+            ...(metric.rank ? {} : {
+                showticklabels: true,
+                ticklabelposition: 'inside',
+                tickformat: metric.tickformat || axisBase.tickformat,
+                ticksuffix: metric.ticksuffix || '',
+                tickprefix: metric.currency ? getCurrencySymbol() : '',
+                ...(metric.dtick ? { dtick: metric.dtick } : {})
+            })
+        };
+    };
+
+    const zoneBounds = getChartZoneBounds(plottedData);
     const zoneShapes = buildChartZoneShapes(zoneBounds, labelXRange, labelYRange);
     const zoneAnnotations = buildChartZoneAnnotations(zoneBounds, labelXRange, labelYRange);
 
     const layout = {
         title: '',
         dragmode: IS_TOUCH_DEVICE ? (_mobileZoomed ? 'pan' : false) : 'pan',
-        xaxis: {
-            ...axisBase,
-            title: { text: '' },
-            autorange: false,
-            range: currentRanges?.xaxis || autoBounds?.x || [0, 1]
-        },
-        yaxis: {
-            ...axisBase,
-            title: { text: '' },
-            autorange: false,
-            range: currentRanges?.yaxis || autoBounds?.y || [0, 1]
-        },
+        xaxis: buildAxisLayout('x', currentRanges?.xaxis || autoBounds?.x || [0, 1]),
+        yaxis: buildAxisLayout('y', currentRanges?.yaxis || autoBounds?.y || [0, 1]),
         hovermode: 'closest',
         plot_bgcolor: 'rgba(0,0,0,0)',
         paper_bgcolor: 'rgba(0,0,0,0)',
         margin: { l: 0, r: 0, t: 0, b: 0, pad: 0 },
-        shapes: zoneShapes,
+        shapes: [...zoneShapes, ...buildBrandHullShapes(plottedData)],
         annotations: [
             ...zoneAnnotations,
             ...labelAnnotations,
@@ -1337,7 +1659,13 @@ function updateChart(options = {}) {
             _clickPopupActiveUntil = Date.now() + 500;
             _clickPopupPinned = true;
 
-            handleRubberClick(rubber);
+            // Shift / Cmd / Ctrl-click adds to the comparison instead of replacing a slot
+            const ev = data.event;
+            if (ev && (ev.shiftKey || ev.metaKey || ev.ctrlKey)) {
+                addRubberToComparison(rubber);
+            } else {
+                handleRubberClick(rubber);
+            }
             showChartHoverPopupFromPlotlyData(data, chartEl);
 
             // Mascot runs to the clicked dot
@@ -1513,7 +1841,7 @@ function updateChart(options = {}) {
 
                 // Enable/disable pan on mobile based on whether the view is zoomed in.
                 if (IS_TOUCH_DEVICE && endedRanges) {
-                    _mobileZoomed = !viewCoversDataBounds(currentFilteredData, endedRanges.xRange, endedRanges.yRange);
+                    _mobileZoomed = !viewCoversDataBounds(currentPlottedData, endedRanges.xRange, endedRanges.yRange);
                     Plotly.relayout(chartEl, { dragmode: _mobileZoomed ? 'pan' : false });
                 }
 
@@ -1599,16 +1927,16 @@ function advanceSpotlight() {
     if (spotlightDismissedByUser) return;
     if (_clickPopupPinned) return;
     if (!isChartInView() || !isNearTop()) return;
-    if (currentFilteredData.length === 0) {
+    if (currentPlottedData.length === 0) {
         spotlightRubber = null;
         return;
     }
-    let idx = Math.floor(Math.random() * currentFilteredData.length);
+    let idx = Math.floor(Math.random() * currentPlottedData.length);
     // Avoid spotlighting the same rubber twice in a row
-    if (currentFilteredData.length > 1 && currentFilteredData[idx] === spotlightRubber) {
-        idx = (idx + 1) % currentFilteredData.length;
+    if (currentPlottedData.length > 1 && currentPlottedData[idx] === spotlightRubber) {
+        idx = (idx + 1) % currentPlottedData.length;
     }
-    spotlightRubber = currentFilteredData[idx];
+    spotlightRubber = currentPlottedData[idx];
     updateChart({ preserveRanges: true, force: true });
     _pingSpotlightDot(spotlightRubber);
     if (!spotlightPopupSuppressed) {
@@ -1695,12 +2023,12 @@ function _showDesktopSpotlightPopup(rubber) {
 function advanceDesktopSpotlight() {
     if (spotlightDismissedByUser) return;
     if (_clickPopupPinned) return;
-    if (!isChartInView() || !isNearTop() || currentFilteredData.length === 0) return;
-    let idx = Math.floor(Math.random() * currentFilteredData.length);
-    if (currentFilteredData.length > 1 && currentFilteredData[idx] === _prevDesktopSpotlightRubber) {
-        idx = (idx + 1) % currentFilteredData.length;
+    if (!isChartInView() || !isNearTop() || currentPlottedData.length === 0) return;
+    let idx = Math.floor(Math.random() * currentPlottedData.length);
+    if (currentPlottedData.length > 1 && currentPlottedData[idx] === _prevDesktopSpotlightRubber) {
+        idx = (idx + 1) % currentPlottedData.length;
     }
-    const rubber = currentFilteredData[idx];
+    const rubber = currentPlottedData[idx];
     _prevDesktopSpotlightRubber = rubber;
 
     hideChartHoverPopup({ force: true });
@@ -1807,15 +2135,15 @@ function _mascotWalkToNextDot() {
         _mascotCycleTimer = setTimeout(_mascotWalkToNextDot, 2000);
         return;
     }
-    if (currentFilteredData.length === 0) return;
+    if (currentPlottedData.length === 0) return;
 
     const chartEl = document.getElementById('chart');
     const fl = chartEl?._fullLayout;
-    let pool = currentFilteredData;
+    let pool = currentPlottedData;
     if (fl?.xaxis && fl?.yaxis) {
         const [xMin, xMax] = fl.xaxis.range;
         const [yMin, yMax] = fl.yaxis.range;
-        const inView = currentFilteredData.filter(r => r.x >= xMin && r.x <= xMax && r.y >= yMin && r.y <= yMax);
+        const inView = currentPlottedData.filter(r => r.x >= xMin && r.x <= xMax && r.y >= yMin && r.y <= yMax);
         if (inView.length > 0) pool = inView;
     }
 
@@ -2261,12 +2589,405 @@ function resetMascotWalker() {
 }
 
 function initChart() {
+    initChartAxisPicker();
+    initRubberTableView();
+    initValueFrontierToggle();
+    initMetricWeightsControl();
+    void initRankingTimeline();
     // Run twice: first to establish initial plot, second to let
     // shouldAutoscaleForFilteredData widen the view if needed
     updateChart();
     updateChart({ force: true });
 }
 
+function setShowValueFrontier(show, { updateUrl = true } = {}) {
+    showValueFrontier = Boolean(show);
+    document.getElementById('valueFrontierBtn')?.setAttribute('aria-pressed', String(showValueFrontier));
+    if (hasPlotted) updateChart({ preserveRanges: true, force: true });
+    if (updateUrl) pushFiltersToUrl();
+}
+
+function initValueFrontierToggle() {
+    const group = document.querySelector('.chart-search-group');
+    if (!group || document.getElementById('valueFrontierBtn')) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'header-ctrl-btn header-frontier-btn';
+    btn.id = 'valueFrontierBtn';
+    btn.setAttribute('aria-label', tUi('VALUE_FRONTIER'));
+    btn.setAttribute('aria-pressed', String(showValueFrontier));
+    btn.title = tUi('VALUE_FRONTIER');
+    btn.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/><line x1="7" y1="7" x2="7.01" y2="7"/></svg>';
+    btn.addEventListener('click', () => setShowValueFrontier(!showValueFrontier));
+    group.insertBefore(btn, group.firstChild);
+}
+
+// ════════════════════════════════════════════════════════════
+//  Chart: Table View
+// ════════════════════════════════════════════════════════════
+
+// Screen-reader and phone friendly alternative to the scatter plot. Rows are the
+// same getFilteredData() output, so every filter applies; clicking a row selects
+// the rubber exactly like clicking its dot.
+
+function getRubberTableColumn(key) {
+    return RUBBER_TABLE_COLUMNS.find(col => col.key === key) || RUBBER_TABLE_COLUMNS[0];
+}
+
+function hasRubberTableValue(column, value) {
+    return column.numeric ? Number.isFinite(value) : value != null && value !== '';
+}
+
+function sortRubberTableRows(rubbers) {
+    const column = getRubberTableColumn(rubberTableSort.key);
+    const dir = rubberTableSort.dir;
+    return [...rubbers].sort((a, b) => {
+        const va = column.get(a);
+        const vb = column.get(b);
+        const hasA = hasRubberTableValue(column, va);
+        const hasB = hasRubberTableValue(column, vb);
+        // Missing values stay at the bottom in either direction
+        if (hasA !== hasB) return hasA ? -1 : 1;
+        const diff = !hasA ? 0 : column.numeric ? va - vb : String(va).localeCompare(String(vb));
+        return diff * dir || a.abbr.localeCompare(b.abbr);
+    });
+}
+
+function formatRubberTableCell(column, rubber) {
+    const value = column.get(rubber);
+    if (!hasRubberTableValue(column, value)) return '—';
+    return column.format ? column.format(rubber) : String(value);
+}
+
+function buildRubberTableHtml(rubbers) {
+    const headers = RUBBER_TABLE_COLUMNS.map(col => {
+        const isSorted = col.key === rubberTableSort.key;
+        const ariaSort = isSorted ? (rubberTableSort.dir > 0 ? 'ascending' : 'descending') : 'none';
+        const arrow = isSorted ? (rubberTableSort.dir > 0 ? '▲' : '▼') : '';
+        return `<th scope="col" aria-sort="${ariaSort}"${col.numeric ? ' class="rubber-table-num"' : ''}>` +
+            `<button type="button" class="rubber-table-sort" data-table-sort="${col.key}">${escapeHtml(tUi(col.labelKey))}` +
+            `<span class="rubber-table-sort-arrow" aria-hidden="true">${arrow}</span></button></th>`;
+    }).join('');
+
+    const rows = sortRubberTableRows(rubbers).map(rubber => {
+        const slot = selectedRubbers.indexOf(rubber);
+        const color = getBrandColor(rubber.brand);
+        const cells = RUBBER_TABLE_COLUMNS.map(col => {
+            const text = escapeHtml(formatRubberTableCell(col, rubber));
+            if (col.key === 'brand') {
+                return `<td><span class="brand-dot" style="background:${color}"></span>${text}</td>`;
+            }
+            if (col.key === 'name') {
+                const badge = slot >= 0
+                    ? `<span class="rubber-table-slot" style="background:${color}" aria-hidden="true">${slot + 1}</span>`
+                    : '';
+                return `<th scope="row"><button type="button" class="rubber-table-select" data-table-abbr="${escapeHtml(rubber.abbr)}" aria-pressed="${slot >= 0}">${text}</button>${badge}</th>`;
+            }
+            return `<td${col.numeric ? ' class="rubber-table-num"' : ''}>${text}</td>`;
+        }).join('');
+        return `<tr class="rubber-table-row${slot >= 0 ? ' is-selected' : ''}" data-table-abbr="${escapeHtml(rubber.abbr)}">${cells}</tr>`;
+    }).join('');
+
+    return `<table class="rubber-table">` +
+        `<caption class="rubber-table-caption">${rubbers.length} ${escapeHtml(tUi('TABLE_CAPTION'))}</caption>` +
+        `<thead><tr>${headers}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+function renderRubberTable(rubbers = currentFilteredData) {
+    const container = document.getElementById('rubberTable');
+    if (!container || chartViewMode !== 'table') return;
+    container.innerHTML = buildRubberTableHtml(rubbers);
+}
+
+function setRubberTableSort(key) {
+    if (rubberTableSort.key === key) {
+        rubberTableSort = { key, dir: -rubberTableSort.dir };
+    } else {
+        rubberTableSort = { key, dir: 1 };
+    }
+    renderRubberTable();
+    // Keep keyboard focus on the header that was activated
+    document.querySelector(`#rubberTable [data-table-sort="${key}"]`)?.focus();
+}
+
+function setChartViewMode(mode, { updateUrl = true } = {}) {
+    chartViewMode = mode === 'table' ? 'table' : 'chart';
+    const isTable = chartViewMode === 'table';
+    document.querySelector('.chart-bleed')?.classList.toggle('is-table-view', isTable);
+    const container = document.getElementById('rubberTable');
+    if (container) container.hidden = !isTable;
+    document.getElementById('tableViewBtn')?.setAttribute('aria-pressed', String(isTable));
+
+    if (isTable) {
+        renderRubberTable(getFilteredData());
+    } else if (hasPlotted) {
+        // The plot was laid out while hidden; size it to the visible container again
+        Plotly.Plots.resize('chart');
+        updateChart({ preserveRanges: true, force: true });
+    }
+    if (updateUrl) pushFiltersToUrl();
+}
+
+function initRubberTableView() {
+    const chartEl = document.getElementById('chart');
+    const group = document.querySelector('.chart-search-group');
+    if (!chartEl || !group || document.getElementById('rubberTable')) return;
+
+    const container = document.createElement('div');
+    container.id = 'rubberTable';
+    container.className = 'rubber-table-view';
+    container.hidden = true;
+    chartEl.after(container);
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'header-ctrl-btn header-table-btn';
+    btn.id = 'tableViewBtn';
+    btn.setAttribute('aria-label', tUi('TABLE_VIEW'));
+    btn.setAttribute('aria-pressed', 'false');
+    btn.setAttribute('aria-controls', 'rubberTable');
+    btn.title = tUi('TABLE_VIEW');
+    btn.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2"/><line x1="3" y1="9" x2="21" y2="9"/><line x1="3" y1="15" x2="21" y2="15"/><line x1="9" y1="9" x2="9" y2="21"/></svg>';
+    btn.addEventListener('click', () => setChartViewMode(chartViewMode === 'table' ? 'chart' : 'table'));
+    group.insertBefore(btn, group.firstChild);
+
+    container.addEventListener('click', (e) => {
+        const sortBtn = e.target.closest('[data-table-sort]');
+        if (sortBtn) {
+            setRubberTableSort(sortBtn.dataset.tableSort);
+            return;
+        }
+        const row = e.target.closest('[data-table-abbr]');
+        const rubber = row && rubberByAbbr.get(row.dataset.tableAbbr);
+        if (!rubber) return;
+        handleRubberClick(rubber);
+        // Re-rendering replaced the button; return focus to the same row
+        document.querySelector(`#rubberTable .rubber-table-select[data-table-abbr="${CSS.escape(rubber.abbr)}"]`)?.focus();
+    });
+
+    // ?view=table was read before the chart was built
+    if (chartViewMode === 'table') setChartViewMode('table', { updateUrl: false });
+}
+
+// ════════════════════════════════════════════════════════════
+//  Chart: Ranking Timeline & Custom Weighting
+// ════════════════════════════════════════════════════════════
+
+// Slider under the chart that re-plots the dots against a dated ranking snapshot
+// (see loadRankingTimeline in data.js). The last stop is always the live rankings.
+
+function getRankingTimelineIndex() {
+    if (activeRankingSnapshot === null) return rankingTimeline.length - 1;
+    return rankingTimeline.findIndex(entry => entry.date === activeRankingSnapshot);
+}
+
+function getRankingTimelineLabel(entry) {
+    return entry?.date ?? tUi('RANKING_LATEST');
+}
+
+function renderRankingTimeline() {
+    const timeline = document.getElementById('rankingTimeline');
+    if (!timeline) return;
+    const index = getRankingTimelineIndex();
+    const label = getRankingTimelineLabel(rankingTimeline[index]);
+    const range = timeline.querySelector('.chart-timeline-range');
+    range.max = String(rankingTimeline.length - 1);
+    range.value = String(index);
+    range.setAttribute('aria-label', tUi('RANKING_TIMELINE'));
+    range.setAttribute('aria-valuetext', label);
+    timeline.querySelector('.chart-timeline-label').textContent = tUi('RANKING_TIMELINE');
+    timeline.querySelector('.chart-timeline-date').textContent = label;
+    timeline.classList.toggle('is-past', activeRankingSnapshot !== null);
+}
+
+/**
+ * Plot the rankings of a timeline date (null = live) and glide the dots there.
+ * `silent` skips the URL and chart update, for callers that redraw themselves.
+ * @returns {boolean} false when the date is not on the timeline or already shown
+ */
+function setRankingSnapshot(date, { silent = false } = {}) {
+    const index = date === null ? rankingTimeline.length - 1 : rankingTimeline.findIndex(entry => entry.date === date);
+    const rankings = index >= 0 ? getTimelineRankings(rankingTimeline[index].date) : null;
+    if (!rankings) return false;
+    // The newest stop always plots the live rankings, even when it carries a date
+    const next = index === rankingTimeline.length - 1 ? null : date;
+    if (next === activeRankingSnapshot) return false;
+
+    activeRankingSnapshot = next;
+    replotRankingPositions({ silent });
+    return true;
+}
+
+// Re-apply the active rankings after the snapshot or the custom weights change and
+// glide the dots to their new positions
+function replotRankingPositions({ silent = false } = {}) {
+    const fromPositions = new Map(rubberData.map(r => [r, { x: r.x, y: r.y }]));
+    applyRankingPositions(rubberDataUnfiltered, getActiveRankings());
+    applyChartAxisValues(rubberData);
+    renderRankingTimeline();
+    const pane = document.getElementById('contentPane');
+    renderRankHistories(pane);
+    renderMetricBreakdowns(pane);
+    syncMetricWeightsPanel();
+    if (silent) return;
+
+    pushFiltersToUrl();
+    if (!hasPlotted) return;
+
+    // Rank queries like "spin<20" and the control filter now match different rubbers
+    updateFilterSummary();
+    updateRadarChart();
+    animateChartUpdate({ force: true, resetRanges: true, fromPositions });
+}
+
+// ── Custom weighting ──
+// Sub-metric weights set from the panel the sliders button opens under the chart
+// controls. Rubbers with a full set of sub-metrics are re-rated and the rankings
+// re-sorted live; the score breakdown in the detail tab shows the resulting shares.
+
+/**
+ * Replace the custom weights; null, or weights equal to the defaults, switches custom
+ * weighting off. `silent` skips the URL and chart update like setRankingSnapshot.
+ */
+function setRankingWeights(weights, { silent = false } = {}) {
+    const isDefault = !weights || ['spin', 'speed'].every(key =>
+        JSON.stringify(weights[key]) === JSON.stringify(getDefaultRankingWeights(key)));
+    const next = isDefault || !hasRankingSubmetrics() ? null : weights;
+    if (JSON.stringify(next) === JSON.stringify(rankingWeights)) return false;
+    rankingWeights = next;
+    replotRankingPositions({ silent });
+    return true;
+}
+
+/** Set one sub-metric weight, in percent (0–100). */
+function setRankingWeight(metricKey, subKey, percent) {
+    if (!RANKING_SUBMETRICS[metricKey]?.some(def => def.key === subKey) || !Number.isFinite(percent)) return;
+    const next = {
+        spin: { ...(rankingWeights?.spin || getDefaultRankingWeights('spin')) },
+        speed: { ...(rankingWeights?.speed || getDefaultRankingWeights('speed')) }
+    };
+    next[metricKey][subKey] = Math.max(0, Math.min(100, Math.round(percent)));
+    setRankingWeights(next);
+}
+
+function buildMetricWeightsHtml() {
+    const groupsHtml = ['spin', 'speed'].map(metricKey => {
+        const weights = rankingWeights?.[metricKey] || getDefaultRankingWeights(metricKey);
+        const rowsHtml = RANKING_SUBMETRICS[metricKey].map(def =>
+            `<label class="metric-weight-row">` +
+                `<span class="metric-weight-label">${escapeHtml(tUi(def.labelKey))}</span>` +
+                `<input type="range" min="0" max="100" step="5" value="${weights[def.key]}" data-metric-weight="${metricKey}" data-metric-sub="${def.key}">` +
+                `<output class="metric-weight-share" data-metric-share="${metricKey}.${def.key}">${getMetricWeightShare(metricKey, def.key)}%</output>` +
+            `</label>`
+        ).join('');
+        return `<div class="metric-weight-group"><span class="metric-weight-group-title">${metricKey === 'spin' ? '↻' : '⚡'} ${tUi(metricKey.toUpperCase())}</span>${rowsHtml}</div>`;
+    }).join('');
+    return `<div class="metric-weights-head">` +
+            `<span class="metric-weights-title">${escapeHtml(tUi('METRIC_WEIGHTS'))}<span class="metric-weights-active">${escapeHtml(tUi('METRIC_WEIGHTS_ACTIVE'))}</span></span>` +
+            `<button type="button" class="metric-weights-reset" data-metric-weights-reset>${escapeHtml(tUi('METRIC_WEIGHTS_RESET'))}</button>` +
+        `</div>` +
+        `<div class="metric-weight-groups">${groupsHtml}</div>` +
+        `<p class="metric-weights-note">${escapeHtml(tUi('METRIC_WEIGHTS_NOTE'))}</p>`;
+}
+
+function renderMetricWeightsPanel() {
+    const panel = document.getElementById('metricWeightsPanel');
+    if (!panel) return;
+    panel.innerHTML = buildMetricWeightsHtml();
+    syncMetricWeightsPanel();
+}
+
+// After a weight change only the sliders, shares and badge are updated, so the slider
+// being dragged keeps focus
+function syncMetricWeightsPanel() {
+    const panel = document.getElementById('metricWeightsPanel');
+    if (!panel) return;
+    panel.classList.toggle('is-custom', Boolean(rankingWeights));
+    document.getElementById('metricWeightsBtn')?.classList.toggle('is-custom', Boolean(rankingWeights));
+    panel.querySelectorAll('[data-metric-weight]').forEach(slider => {
+        const { metricWeight, metricSub } = slider.dataset;
+        if (slider !== document.activeElement) {
+            slider.value = String((rankingWeights?.[metricWeight] || getDefaultRankingWeights(metricWeight))[metricSub]);
+        }
+    });
+    panel.querySelectorAll('[data-metric-share]').forEach(output => {
+        const [metricKey, subKey] = output.dataset.metricShare.split('.');
+        output.textContent = `${getMetricWeightShare(metricKey, subKey)}%`;
+    });
+}
+
+function setMetricWeightsPanelOpen(open) {
+    const panel = document.getElementById('metricWeightsPanel');
+    if (!panel) return;
+    panel.hidden = !open;
+    document.getElementById('metricWeightsBtn')?.setAttribute('aria-expanded', String(open));
+}
+
+// Only offered when some ranking entry carries a full set of sub-metrics; the panel
+// opens right under the chart controls
+function initMetricWeightsControl() {
+    const group = document.querySelector('.chart-search-group');
+    const controls = document.querySelector('.chart-speed-outside');
+    if (!group || !controls || document.getElementById('metricWeightsBtn')) return;
+    if (!hasRankingSubmetrics()) return;
+
+    const panel = document.createElement('div');
+    panel.id = 'metricWeightsPanel';
+    panel.className = 'chart-weights';
+    panel.hidden = true;
+    controls.after(panel);
+    panel.addEventListener('input', (e) => {
+        const slider = e.target.closest('[data-metric-weight]');
+        if (slider) setRankingWeight(slider.dataset.metricWeight, slider.dataset.metricSub, Number.parseFloat(slider.value));
+    });
+    panel.addEventListener('click', (e) => {
+        if (e.target.closest('[data-metric-weights-reset]')) setRankingWeights(null);
+    });
+
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'header-ctrl-btn header-weights-btn';
+    btn.id = 'metricWeightsBtn';
+    btn.setAttribute('aria-label', tUi('METRIC_WEIGHTS'));
+    btn.setAttribute('aria-expanded', 'false');
+    btn.setAttribute('aria-controls', 'metricWeightsPanel');
+    btn.title = tUi('METRIC_WEIGHTS');
+    btn.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="4" y1="21" x2="4" y2="14"/><line x1="4" y1="10" x2="4" y2="3"/><line x1="12" y1="21" x2="12" y2="12"/><line x1="12" y1="8" x2="12" y2="3"/><line x1="20" y1="21" x2="20" y2="16"/><line x1="20" y1="12" x2="20" y2="3"/><line x1="1" y1="14" x2="7" y2="14"/><line x1="9" y1="8" x2="15" y2="8"/><line x1="17" y1="16" x2="23" y2="16"/></svg>';
+    btn.addEventListener('click', () => setMetricWeightsPanelOpen(panel.hidden));
+    group.insertBefore(btn, group.firstChild);
+
+    renderMetricWeightsPanel();
+}
+
+async function initRankingTimeline() {
+    const container = document.querySelector('.chart-bleed');
+    if (!container || document.getElementById('rankingTimeline')) return;
+    await loadRankingTimeline();
+    // ?asof= is read before the snapshots load; drop it when the date is unknown
+    const requested = activeRankingSnapshot;
+    activeRankingSnapshot = null;
+    if (rankingTimeline.length < 2) {
+        if (requested !== null) pushFiltersToUrl();
+        return;
+    }
+
+    const timeline = document.createElement('div');
+    timeline.id = 'rankingTimeline';
+    timeline.className = 'chart-timeline';
+    timeline.innerHTML =
+        `<span class="chart-timeline-label"></span>` +
+        `<input type="range" class="chart-timeline-range" min="0" step="1">` +
+        `<output class="chart-timeline-date" aria-hidden="true"></output>`;
+    container.appendChild(timeline);
+    timeline.querySelector('.chart-timeline-range').addEventListener('input', (e) => {
+        const entry = rankingTimeline[Number(e.target.value)];
+        if (entry) setRankingSnapshot(entry.date);
+    });
+
+    renderRankingTimeline();
+    renderRankHistories(document.getElementById('contentPane'));
+    if (requested !== null && !setRankingSnapshot(requested)) pushFiltersToUrl();
+}
 
 // ════════════════════════════════════════════════════════════
 //  Zoom
@@ -2279,8 +3000,8 @@ function computeZoomedRanges({ xRange, yRange, scale, anchorFx, anchorFy }) {
     const ySpan = yRange[1] - yRange[0];
     if (xSpan <= 0 || ySpan <= 0) return null;
 
-    const autoscaleBounds = getAutoscaleBounds(currentFilteredData);
-    if (scale > 1 && autoscaleBounds && viewCoversDataBounds(currentFilteredData, xRange, yRange)) {
+    const autoscaleBounds = getAutoscaleBounds(currentPlottedData);
+    if (scale > 1 && autoscaleBounds && viewCoversDataBounds(currentPlottedData, xRange, yRange)) {
         return null;
     }
 
@@ -2349,7 +3070,7 @@ function triggerAutoscale() {
     const chartEl = document.getElementById('chart');
     if (!chartEl || !hasPlotted) return;
 
-    const bounds = getAutoscaleBounds(currentFilteredData.length ? currentFilteredData : getFilteredData());
+    const bounds = getAutoscaleBounds(currentPlottedData.length ? currentPlottedData : getFilteredData().filter(hasChartPosition));
     if (!bounds) return;
 
     _mobileZoomed = false;
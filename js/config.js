@@ -10,7 +10,7 @@ function debounce(fn, ms) {
     };
 }
 
-const CACHE_VERSION = 126;
+const CACHE_VERSION = 127;
 function v(url) { return url + (url.includes('?') ? '&' : '?') + 'v=' + CACHE_VERSION; }
 
 const RUBBER_INDEX_FILE = '/stats/rubbers/index.json';
@@ -22,6 +22,14 @@ const RANKING_FILES = {
 const PRIORITY_FILE = '/stats/rubbers/ranking/priority.json';
 const BESTSELLER_FILE = '/stats/rubbers/ranking/bestseller.json';
 const PLAYERS_FILE = '/players/players.json';
+// All of the above in one file (scripts/build-data-bundle.js); optional
+const DATA_BUNDLE_FILE = '/stats/bundle.json';
+// Static conversion rates: units of each currency per 1 USD
+const EXCHANGE_RATES_FILE = '/stats/exchange-rates.json';
+// Dated copies of RANKING_FILES (scripts/snapshot-rankings.js); optional
+const RANKING_SNAPSHOTS_FILE = '/stats/rubbers/ranking/snapshots/index.json';
+// Made-up snapshots for trying the timeline (snapshot-rankings.js --fixture); ?debug&snapshots=fixture
+const RANKING_SNAPSHOTS_FIXTURE_FILE = '/stats/rubbers/ranking/snapshots/fixture/index.json';
 
 const BRAND_COLORS = {
     Butterfly: '#f11b85',
@@ -51,6 +59,16 @@ const HARDNESS_SCALES = {
     China:   [35, 39,   41]
 };
 
+// Hardness categories on the GE scale; the boundaries are midpoints between the
+// anchors above. Used by the labels, the hardness tones and the rubber finder.
+const HARDNESS_MEDIUM_MIN = 46;
+const HARDNESS_HARD_MIN = 51;
+
+// Sheet weight tones in grams (green up to light, yellow up to medium, then red);
+// the rubber finder's weight answers cap the filter at the same values.
+const WEIGHT_LIGHT_MAX = 48;
+const WEIGHT_MEDIUM_MAX = 51;
+
 // Piecewise-linear interpolation between two 3-point scales
 function interpolateScale(value, fromPts, toPts) {
     for (let i = 0; i < fromPts.length - 1; i++) {
@@ -85,7 +103,178 @@ function findRubberBySlug(slug) {
 
 const COUNTRY_TO_LANG = { en: 'en', cn: 'cn', ko: 'ko' };
 const COUNTRY_FLAGS = { Germany: '🇩🇪', Japan: '🇯🇵', China: '🇨🇳' };
-const FILTER_IDS = ['brand', 'name', 'sheet', 'hardness', 'weight', 'control', 'top30'];
+const FILTER_IDS = ['brand', 'name', 'sheet', 'hardness', 'weight', 'price', 'control', 'top30'];
+
+// Relative importance of each attribute in the "similar rubbers" distance (0 = ignore).
+const SIMILARITY_DEFAULT_WEIGHTS = { speed: 1, spin: 1, control: 1, weight: 1, hardness: 1, sheet: 1 };
+const SIMILARITY_MAX_WEIGHT = 3;
+const SIMILAR_RUBBERS_LIMIT = 5;
+
+// Guided rubber finder questions, in the order they are asked. Option ids are
+// what `?finder=` encodes (one per step, joined with '.').
+const FINDER_STEPS = [
+    { id: 'level', labelKey: 'FINDER_Q_LEVEL', options: { beginner: 'FINDER_LEVEL_BEGINNER', intermediate: 'FINDER_LEVEL_INTERMEDIATE', advanced: 'FINDER_LEVEL_ADVANCED' } },
+    { id: 'style', labelKey: 'FINDER_Q_STYLE', options: { spin: 'FINDER_STYLE_SPIN', speed: 'FINDER_STYLE_SPEED', allround: 'FINDER_STYLE_ALLROUND', control: 'FINDER_STYLE_CONTROL' } },
+    { id: 'side', labelKey: 'FINDER_Q_SIDE', options: { fh: 'FOREHAND', bh: 'BACKHAND' } },
+    { id: 'budget', labelKey: 'FINDER_Q_BUDGET', options: { low: 'FINDER_BUDGET_LOW', mid: 'FINDER_BUDGET_MID', high: 'FINDER_BUDGET_HIGH', any: 'FINDER_ANY' } },
+    { id: 'weight', labelKey: 'FINDER_Q_WEIGHT', options: { light: 'FINDER_WEIGHT_LIGHT', medium: 'FINDER_WEIGHT_MEDIUM', any: 'FINDER_ANY' } },
+    { id: 'feel', labelKey: 'FINDER_Q_FEEL', options: { soft: 'FINDER_FEEL_SOFT', medium: 'FINDER_FEEL_MEDIUM', hard: 'FINDER_FEEL_HARD', any: 'FINDER_ANY' } }
+];
+
+// How much each radar score counts toward the finder ranking, per playing style.
+const FINDER_STYLE_WEIGHTS = {
+    spin: { spin: 1, speed: 0.5, control: 0.2 },
+    speed: { spin: 0.5, speed: 1, control: 0.2 },
+    allround: { spin: 0.7, speed: 0.7, control: 0.7 },
+    control: { spin: 0.5, speed: 0.3, control: 1 }
+};
+const FINDER_RESULTS_LIMIT = 5;
+
+// Setup builder: sheet weights are scaled from the thickest listed sponge.
+// "max" is usually 2.1–2.2mm; glue and edge tape are not included.
+const SETUP_MAX_THICKNESS_MM = 2.15;
+const SETUP_GRAMS_PER_MM = 15;
+const SETUP_DEFAULT_BLADE_WEIGHT = 85;
+const SETUP_STORAGE_KEY = 'pingponglab_saved_setups';
+const SETUP_MAX_SAVED = 12;
+
+// Store prices per locale. Strings with a currency symbol are in that currency; bare
+// numbers are in the store's currency, scaled by `unit` (Korean listings are in thousands of won).
+const LOCALE_CURRENCY = {
+    en: { code: 'USD', unit: 1 },
+    cn: { code: 'USD', unit: 1 },
+    ko: { code: 'KRW', unit: 1000 }
+};
+
+// Checked in order, so the longer symbols come first
+const PRICE_SYMBOL_CURRENCY = [
+    ['US$', 'USD'], ['$', 'USD'], ['₩', 'KRW'], ['원', 'KRW'], ['€', 'EUR'], ['元', 'CNY'], ['¥', 'CNY']
+];
+
+// Currencies prices can be shown in, chosen independently of the language.
+// `step` is the price filter's slider step.
+const DISPLAY_CURRENCIES = {
+    USD: { locale: 'en-US', decimals: 2, step: 1 },
+    EUR: { locale: 'de-DE', decimals: 2, step: 1 },
+    KRW: { locale: 'ko-KR', decimals: 0, step: 1000 },
+    CNY: { locale: 'zh-CN', decimals: 2, step: 5 },
+    JPY: { locale: 'ja-JP', decimals: 0, step: 100 }
+};
+const DEFAULT_DISPLAY_CURRENCY = { en: 'USD', cn: 'CNY', ko: 'KRW' };
+const CURRENCY_STORAGE_KEY = 'pingponglab_display_currency';
+
+// Price watchlist (init.js): new entries start at a target 10% under the current price
+const WATCHLIST_STORAGE_KEY = 'pingponglab_price_watchlist';
+const WATCHLIST_DEFAULT_TARGET_RATIO = 0.9;
+
+// Favorites and personal notes (content.js); the export file carries NOTES_EXPORT_TYPE
+const NOTES_STORAGE_KEY = 'pingponglab_rubber_notes';
+const NOTES_EXPORT_TYPE = 'pingponglab-rubber-notes';
+const RUBBER_NOTE_STATUSES = ['own', 'tried', 'want'];
+const RUBBER_NOTE_MAX_LENGTH = 2000;
+
+// Share image (content.js): 4:5 card, rasterised at twice the size for the PNG
+const SHARE_IMAGE_WIDTH = 1080;
+const SHARE_IMAGE_HEIGHT = 1350;
+const SHARE_IMAGE_PNG_SCALE = 2;
+
+// Command palette (init.js): ids of the last commands run from it, newest first
+const COMMAND_RECENT_STORAGE_KEY = 'pingponglab_recent_commands';
+const COMMAND_RECENT_LIMIT = 5;
+const COMMAND_RUBBER_LIMIT = 6;
+
+// Numeric rubber attributes the chart axes can be switched to.
+// `rank` metrics are inverted rank positions, so their tick values stay hidden;
+// `discrete` metrics only take a few values, so tied dots get spread apart;
+// `currency` metrics are in the display currency and get its symbol on the ticks.
+const CHART_AXIS_METRICS = {
+    spin: { labelKey: 'SPIN', icon: '↻', rank: true, get: r => r.spinScore },
+    speed: { labelKey: 'SPEED', icon: '⚡', rank: true, get: r => r.speedScore },
+    control: { labelKey: 'CONTROL', icon: '🎯', discrete: true, tickformat: 'd', dtick: 1, get: r => r.controlLevel },
+    hardness: { labelKey: 'HARDNESS', icon: '🧽', tickformat: '.1f', ticksuffix: '°', get: r => r.normalizedHardness },
+    weight: { labelKey: 'WEIGHT', icon: '⚖️', tickformat: 'd', ticksuffix: 'g', get: r => r.weight },
+    price: { labelKey: 'PRICE', icon: '💲', currency: true, tickformat: ',.0f', get: r => getRubberEffectivePrice(r) },
+    year: { labelKey: 'RELEASE', icon: '📅', discrete: true, tickformat: 'd', get: r => r.releaseYear }
+};
+const DEFAULT_CHART_AXES = { x: 'spin', y: 'speed' };
+// Optional continuous scores on spin/speed ranking entries, all 0–100 (higher = more):
+// `{ brand, name, score, metrics: { rallySpeed, … } }`. `score` wins; otherwise a full set
+// of sub-metrics is combined with these weights (the SPEED_HINT/SPIN_HINT formulas).
+// Entries with neither are placed by rank alone.
+const RANKING_SUBMETRICS = {
+    speed: [
+        { key: 'rallySpeed', labelKey: 'METRIC_RALLY_SPEED', weight: 0.3 },
+        { key: 'catapult', labelKey: 'METRIC_CATAPULT', weight: 0.3 },
+        { key: 'maxSpeed', labelKey: 'METRIC_MAX_SPEED', weight: 0.4 }
+    ],
+    spin: [
+        { key: 'serveGrip', labelKey: 'METRIC_SERVE_GRIP', weight: 0.4 },
+        { key: 'loopSpin', labelKey: 'METRIC_LOOP_SPIN', weight: 0.4 },
+        { key: 'shortGameSpin', labelKey: 'METRIC_SHORT_GAME_SPIN', weight: 0.2 }
+    ]
+};
+// Table view columns; `get` is the sort value, `format` the cell text (defaults to the value)
+const RUBBER_TABLE_COLUMNS = [
+    { key: 'brand', labelKey: 'BRAND', get: r => tBrand(r.brand) || r.brand },
+    { key: 'name', labelKey: 'RUBBER', get: r => tRubberAbbr(r) },
+    { key: 'sheet', labelKey: 'TOPSHEET', get: r => r.sheet, format: r => (r.sheet ? tUi(r.sheet.toUpperCase()) : '') },
+    { key: 'speed', labelKey: 'SPEED', numeric: true, get: r => r.speedRank, format: r => `#${r.speedRank}` },
+    { key: 'spin', labelKey: 'SPIN', numeric: true, get: r => r.spinRank, format: r => `#${r.spinRank}` },
+    { key: 'control', labelKey: 'CONTROL', numeric: true, get: r => r.controlLevel },
+    { key: 'hardness', labelKey: 'HARDNESS', numeric: true, get: r => r.manufacturerHardness, format: r => r.hardnessLabel },
+    { key: 'hardnessDe', labelKey: 'TABLE_HARDNESS_DE', numeric: true, get: r => r.normalizedHardness, format: r => `${Number.isInteger(r.normalizedHardness) ? r.normalizedHardness : r.normalizedHardness.toFixed(1)}°` },
+    { key: 'weight', labelKey: 'CUT_WEIGHT', numeric: true, get: r => r.weight, format: r => r.weightLabel },
+    { key: 'thickness', labelKey: 'THICKNESS', numeric: true, get: r => Math.max(...r.thicknessOptions.map(getThicknessMm).filter(Number.isFinite)), format: r => r.thicknessLabel },
+    { key: 'year', labelKey: 'RELEASE', numeric: true, get: r => r.releaseYear },
+    { key: 'price', labelKey: 'PRICE', numeric: true, get: r => getRubberEffectivePrice(r), format: r => formatPriceValue(getRubberEffectivePrice(r)) },
+    { key: 'bestseller', labelKey: 'TABLE_BESTSELLER', numeric: true, get: r => r.bestseller?.[selectedCountry], format: r => `#${r.bestseller[selectedCountry]}` }
+];
+// CSV / JSON export columns (filters.js); `get` returns plain values, lists become "a; b" in CSV.
+// Hardness is the maker's number on its own country's scale plus the German-scale equivalent.
+const DATASET_EXPORT_COLUMNS = [
+    { key: 'brand', get: r => r.brand },
+    { key: 'brand_localized', get: r => tBrand(r.brand) || r.brand },
+    { key: 'name', get: r => r.name },
+    { key: 'abbr', get: r => r.abbr },
+    { key: 'full_name', get: r => r.fullName },
+    { key: 'name_en', get: r => r.localizedName?.en ?? r.name },
+    { key: 'name_ko', get: r => r.localizedName?.ko ?? r.name },
+    { key: 'name_cn', get: r => r.localizedName?.cn ?? r.name },
+    { key: 'speed_rank', get: r => r.speedRank },
+    { key: 'spin_rank', get: r => r.spinRank },
+    { key: 'control_level', get: r => r.controlLevel },
+    { key: 'hardness', get: r => r.manufacturerHardness },
+    { key: 'hardness_scale', get: r => r.hardnessCountry },
+    { key: 'hardness_de', get: r => (Number.isFinite(r.normalizedHardness) ? Math.round(r.normalizedHardness * 10) / 10 : null) },
+    { key: 'weight_g', get: r => r.weight },
+    { key: 'thickness', get: r => r.thicknessOptions },
+    { key: 'sheet', get: r => r.sheet },
+    { key: 'release_year', get: r => r.releaseYear },
+    ...Object.entries(LOCALE_CURRENCY).map(([locale, { code }]) => ({
+        key: `price_${locale}_${code.toLowerCase()}`,
+        get: r => getRubberEffectivePrice(r, locale, code)
+    })),
+    ...Object.keys(LOCALE_CURRENCY).map(locale => ({ key: `bestseller_${locale}`, get: r => r.bestseller?.[locale] ?? null })),
+    { key: 'forehand_players', get: r => r.forehandPlayers || [] },
+    { key: 'backhand_players', get: r => r.backhandPlayers || [] }
+];
+// Header search query fields (filters.js), e.g. "spin<20 hardness>=50 sheet:chinese -brand:dhs".
+// Speed and spin compare ranking positions, so spin<20 means "top 19 for spin".
+const SEARCH_QUERY_FIELDS = {
+    speed: { numeric: true, example: 'speed<=10', get: r => r.speedRank },
+    spin: { numeric: true, example: 'spin<20', get: r => r.spinRank },
+    control: { numeric: true, example: 'control>=4', get: r => r.controlLevel },
+    hardness: { numeric: true, example: 'hardness:45..50', get: r => r.normalizedHardness },
+    weight: { numeric: true, example: 'weight<48', get: r => r.weight },
+    price: { numeric: true, example: 'price<60', get: r => getRubberEffectivePrice(r) },
+    year: { numeric: true, example: 'year>=2022', get: r => r.releaseYear },
+    brand: { example: 'brand:butterfly', get: r => [r.brand, ...Object.values(BRAND_NAMES_I18N).map(m => m[r.brand])] },
+    sheet: { example: 'sheet:chinese', get: r => [r.sheet, ...Object.values(UI_TEXT).map(t => t[SHEET_I18N_KEYS[r.sheet]])] },
+    player: { example: 'player:"fan zhendong"', get: r => r.playerSearchNames }
+};
+
+// Slots 0/1 are the classic pair; further slots are extra rubbers in the comparison.
+const MAX_COMPARE_RUBBERS = 4;
 const DEBUG_MODE = new URLSearchParams(window.location.search).has('debug');
 
 const UI_TEXT = {
@@ -109,6 +298,9 @@ const UI_TEXT = {
         SPEED_HINT: 'Speed Ranking # = 30% Rally Speed + 30% Catapult + 40% Max Speed',
         SPIN: 'Spin',
         SPIN_HINT: 'Spin Ranking # = 40% Serve Grip + 40% Opening Loop Spin + 20% Short-Game Spin',
+        VALUE: 'Value',
+        VALUE_HINT: 'Value Ranking # = spin and speed rank for the price, among rubbers priced in this store',
+        VALUE_FRONTIER: 'Best-value frontier',
         USER_GUIDE: 'User Guide',
         CUT_WEIGHT: 'Cut Weight',
         CUT_WEIGHT_HINT: 'Based on Max thickness, Shakehand 157 * 150mm',
@@ -119,6 +311,8 @@ const UI_TEXT = {
         THICKNESS: 'Thickness',
         PRICE: 'Price',
         PLAYERS: 'Players',
+        AXIS_X: 'Horizontal axis',
+        AXIS_Y: 'Vertical axis',
         FEEDBACK_BUTTON: 'Feedback',
         FEEDBACK_BUTTON_TITLE: 'Send feedback',
         FEEDBACK_CLOSE_ARIA: 'Close feedback form',
@@ -144,6 +338,168 @@ const UI_TEXT = {
         CONTENT_FEEDBACK_REASON_SENDING: 'Sending...',
         RUBBER_1: 'Rubber 1',
         RUBBER_2: 'Rubber 2',
+        RUBBER_N: 'Rubber',
+        PRICE_INCLUDE_UNPRICED: 'Include rubbers without a price',
+        NO_PRICE_DATA: 'No price data for this region.',
+        PRICE_HISTORY: 'Price history',
+        PRICE_HISTORY_EMPTY: 'No price changes recorded yet.',
+        PRICE_REGULAR: 'Regular',
+        PRICE_SALE: 'Sale',
+        PRICE_LOWEST: 'Lowest ever',
+        PRICE_CURRENT: 'Current',
+        SIMILAR_RUBBERS: 'Plays like',
+        SIMILAR_WEIGHTS: 'Adjust what matters',
+        SIMILAR_MATCH: 'match',
+        FINDER_OPEN: 'Find my rubber',
+        FINDER_TITLE: 'Rubber finder',
+        FINDER_BACK: 'Back',
+        FINDER_RESTART: 'Start over',
+        FINDER_COPY_LINK: 'Copy result link',
+        FINDER_RESULTS: 'Best matches',
+        FINDER_NO_RESULTS: 'No rubbers match these answers.',
+        FINDER_RELAXED: 'Few rubbers matched every answer, so some preferences were loosened.',
+        FINDER_ANY: 'No preference',
+        FINDER_Q_LEVEL: 'What is your playing level?',
+        FINDER_LEVEL_BEGINNER: 'Beginner',
+        FINDER_LEVEL_INTERMEDIATE: 'Intermediate',
+        FINDER_LEVEL_ADVANCED: 'Advanced',
+        FINDER_Q_STYLE: 'How do you like to play?',
+        FINDER_STYLE_SPIN: 'Spinny loops',
+        FINDER_STYLE_SPEED: 'Fast hitting',
+        FINDER_STYLE_ALLROUND: 'All-round',
+        FINDER_STYLE_CONTROL: 'Blocking and control',
+        FINDER_Q_SIDE: 'Which side is this rubber for?',
+        FINDER_Q_BUDGET: 'What is your budget?',
+        FINDER_BUDGET_LOW: 'Budget',
+        FINDER_BUDGET_MID: 'Mid-range',
+        FINDER_BUDGET_HIGH: 'Premium',
+        FINDER_Q_WEIGHT: 'How much does weight matter?',
+        FINDER_WEIGHT_LIGHT: 'Keep it light',
+        FINDER_WEIGHT_MEDIUM: 'Just not heavy',
+        FINDER_Q_FEEL: 'What feel do you prefer?',
+        FINDER_FEEL_SOFT: 'Soft',
+        FINDER_FEEL_MEDIUM: 'Medium',
+        FINDER_FEEL_HARD: 'Hard',
+        SETUP_OPEN: 'Build a racket',
+        SETUP_TITLE: 'Racket setup',
+        SETUP_PICK_RUBBER: 'Choose a rubber',
+        SETUP_THICKNESS: 'Thickness',
+        SETUP_SHEET_WEIGHT: 'Sheet weight',
+        SETUP_BLADE_WEIGHT: 'Blade weight (g)',
+        SETUP_TOTAL_WEIGHT: 'Estimated racket weight',
+        SETUP_TOTAL_PRICE: 'Rubbers total',
+        SETUP_WEIGHT_NOTE: 'Estimate from cut weights adjusted for thickness. Glue and edge tape are not included.',
+        SETUP_SAVE: 'Save setup',
+        SETUP_SAVED: 'Saved setups',
+        SETUP_SAVED_TOAST: 'Setup saved.',
+        SETUP_DELETE: 'Delete setup',
+        PLAYERS_TITLE: 'Pro players and their rubbers',
+        PLAYERS_SORT_BY: 'Sort by',
+        PLAYERS_SORT_RANKING: 'Ranking',
+        PLAYERS_SORT_COUNTRY: 'Country',
+        PLAYERS_SORT_BRAND: 'Rubber brand',
+        PLAYERS_BACK: 'All players',
+        PLAYERS_VIDEOS: 'Videos',
+        PLAYERS_COMPARE_RUBBERS: 'Compare forehand and backhand rubbers',
+        PLAYERS_SAME_RUBBER: 'Same rubber on both sides',
+        PLAYERS_RUBBER_UNAVAILABLE: 'Not listed in this region',
+        BRAND_PAGE_LINEUP: 'Lineup',
+        BRAND_PAGE_RUBBERS: 'rubbers',
+        BRAND_PAGE_HULL_NOTE: 'The shaded area on the chart outlines where this lineup sits.',
+        BRAND_PAGE_PROS: 'Pros using this brand',
+        BRAND_PAGE_NO_PROS: 'No listed pros use this brand.',
+        BRAND_PAGE_SHOW_ALL: 'Show all brands',
+        TABLE_VIEW: 'Table view',
+        CURRENCY: 'Display currency',
+        WATCHLIST: 'Price watchlist',
+        WATCH_PRICE: 'Watch price',
+        WATCH_TARGET: 'Alert at',
+        WATCH_HIT: 'Target reached',
+        WATCH_SINCE: 'since',
+        WATCH_SELECT: 'Show',
+        WATCH_REMOVE: 'Stop watching',
+        WATCH_ADD: 'Watch',
+        WATCH_ADD_LABEL: 'Add a rubber',
+        WATCH_EMPTY: 'No rubbers watched yet. Add one below or use "Watch price" under a price history chart.',
+        WATCH_NOTE: 'Saved in this browser only. Prices are checked each time the site loads.',
+        WATCH_NO_PRICE: 'No price',
+        WATCH_ALERT_TITLE: 'Price alert',
+        WATCH_DISMISS: 'Dismiss alerts',
+        FAVORITE: 'Favorite',
+        FAVORITES_ONLY: 'Favorites only',
+        MY_NOTES: 'My notes',
+        NOTE_STATUS_OWN: 'I own it',
+        NOTE_STATUS_TRIED: 'Tried it',
+        NOTE_STATUS_WANT: 'Want to try',
+        NOTE_PLACEHOLDER: 'Thickness, blade, how it felt…',
+        NOTES_EXPORT: 'Export favorites',
+        NOTES_IMPORT: 'Import favorites',
+        NOTES_IMPORTED: 'Favorites imported',
+        NOTES_IMPORT_FAILED: 'Not a favorites file',
+        QUERY_HINT: 'Search by name, or filter: spin<20 hardness>=50 sheet:chinese -brand:dhs',
+        QUERY_MATCHES: 'rubbers match',
+        QUERY_APPLY_HINT: 'Enter to filter',
+        QUERY_UNKNOWN_FIELD: 'Unknown field',
+        QUERY_MISSING_VALUE: 'Missing value',
+        QUERY_BAD_VALUE: 'Invalid value',
+        COMMAND_PALETTE: 'Commands',
+        COMMAND_PLACEHOLDER: 'Type a command or a rubber name…',
+        COMMAND_RECENT: 'Recent',
+        COMMAND_ALL: 'All commands',
+        COMMAND_NONE: 'No matching commands',
+        COMMAND_FOOTER: '↑↓ to move · Enter to run · Esc to close',
+        CMD_FOCUS_SEARCH: 'Search rubbers',
+        CMD_TOGGLE_FILTERS: 'Show or hide filters',
+        CMD_TAB_LEFT: 'Show left rubber',
+        CMD_TAB_RIGHT: 'Show right rubber',
+        CMD_OPEN_COMPARISON: 'Open comparison',
+        CMD_TAB_PLAYERS: 'Show players',
+        CMD_SWAP: 'Swap left and right',
+        CMD_TOGGLE_PIN: 'Pin or unpin the shown rubber',
+        CMD_RESET: 'Reset everything',
+        CMD_COUNTRY: 'Switch country',
+        CMD_SELECT_LEFT: 'Put on the left',
+        CMD_SELECT_RIGHT: 'Put on the right',
+        SHARE_IMAGE: 'Image',
+        SHARE_IMAGE_TITLE: 'Share as an image',
+        SHARE_IMAGE_PNG: 'Download PNG',
+        SHARE_IMAGE_SVG: 'Download SVG',
+        SHARE_IMAGE_SEND: 'Share',
+        SHARE_IMAGE_RENDERING: 'Drawing the card…',
+        SHARE_IMAGE_FAILED: 'Could not draw the card. Please try again.',
+        EXPORT_DATA: 'Export',
+        EXPORT_TITLE: 'Export rubber data',
+        EXPORT_NOTE: 'Ranks, hardness, weight, store prices, bestseller ranks and players, ready for a spreadsheet.',
+        EXPORT_FILTERED: 'Rubbers matching the filters',
+        EXPORT_ALL: 'All rubbers',
+        EXPORT_CSV: 'Download CSV',
+        EXPORT_JSON: 'Download JSON',
+        EXPORT_NO_FILTERS: 'No filters',
+        EXPORT_TOP30: 'Top 30 only',
+        EXPORT_PRICED_ONLY: 'Rubbers with a price only',
+        RANKING_TIMELINE: 'Rankings as of',
+        RANKING_LATEST: 'Latest',
+        RANK_HISTORY: 'Ranking history',
+        RANK_HISTORY_NEW: 'New',
+        METRIC_RALLY_SPEED: 'Rally speed',
+        METRIC_CATAPULT: 'Catapult',
+        METRIC_MAX_SPEED: 'Max speed',
+        METRIC_SERVE_GRIP: 'Serve grip',
+        METRIC_LOOP_SPIN: 'Opening loop spin',
+        METRIC_SHORT_GAME_SPIN: 'Short-game spin',
+        METRIC_BREAKDOWN: 'Score breakdown',
+        METRIC_WEIGHTS: 'Custom weighting',
+        METRIC_WEIGHTS_ACTIVE: 'On',
+        METRIC_WEIGHTS_NOTE: 'Rubbers with every component score are re-ranked live; the rest keep their place.',
+        METRIC_WEIGHTS_RESET: 'Reset to default',
+        TABLE_CAPTION: 'rubbers match the current filters. Select a column header to sort.',
+        TABLE_HARDNESS_DE: 'Hardness (DE)',
+        TABLE_BESTSELLER: 'Bestseller',
+        DATASET_UPDATE_AVAILABLE: 'Newer rubber data is available.',
+        DATASET_UPDATE_RELOAD: 'Reload',
+        ADD_TO_COMPARE: 'Add to comparison',
+        REMOVE_FROM_COMPARE: 'Remove from comparison',
+        COMPARE_PAIRS: 'Head-to-head',
         FOREHAND: 'Forehand',
         BACKHAND: 'Backhand',
         SHARE: 'Share',
@@ -182,6 +538,9 @@ const UI_TEXT = {
         SPEED_HINT: '스피드 랭킹 # = 30% 랠리 속도 + 30% 반발력 + 40% 최대 스피드',
         SPIN: '스핀',
         SPIN_HINT: '스핀 랭킹 # = 40% 서브스핀 + 40% 루프 스핀 + 20% 숏게임',
+        VALUE: '가성비',
+        VALUE_HINT: '가성비 랭킹 # = 가격 대비 스핀·스피드 랭킹, 이 스토어에 가격이 있는 러버 기준',
+        VALUE_FRONTIER: '가성비 라인',
         USER_GUIDE: '사용법',
         CUT_WEIGHT: '컷무게',
         CUT_WEIGHT_HINT: '쉐이크핸드 (최대 두께): 157 × 150 mm',
@@ -192,6 +551,8 @@ const UI_TEXT = {
         THICKNESS: '두께',
         PRICE: '가격',
         PLAYERS: '선수',
+        AXIS_X: '가로축',
+        AXIS_Y: '세로축',
         FEEDBACK_BUTTON: '피드백',
         FEEDBACK_BUTTON_TITLE: '피드백',
         FEEDBACK_CLOSE_ARIA: '피드백 창 닫기',
@@ -218,6 +579,168 @@ const UI_TEXT = {
         CONTENT_FEEDBACK_REASON_SENDING: '전송 중...',
         RUBBER_1: '러버 1',
         RUBBER_2: '러버 2',
+        RUBBER_N: '러버',
+        PRICE_INCLUDE_UNPRICED: '가격 정보 없는 러버 포함',
+        NO_PRICE_DATA: '이 지역의 가격 정보가 없습니다.',
+        PRICE_HISTORY: '가격 변동',
+        PRICE_HISTORY_EMPTY: '기록된 가격 변동이 없습니다.',
+        PRICE_REGULAR: '정가',
+        PRICE_SALE: '할인가',
+        PRICE_LOWEST: '역대 최저가',
+        PRICE_CURRENT: '현재가',
+        SIMILAR_RUBBERS: '비슷한 러버',
+        SIMILAR_WEIGHTS: '중요도 조정',
+        SIMILAR_MATCH: '일치',
+        FINDER_OPEN: '러버 추천받기',
+        FINDER_TITLE: '러버 찾기',
+        FINDER_BACK: '이전',
+        FINDER_RESTART: '처음부터',
+        FINDER_COPY_LINK: '결과 링크 복사',
+        FINDER_RESULTS: '추천 러버',
+        FINDER_NO_RESULTS: '조건에 맞는 러버가 없습니다.',
+        FINDER_RELAXED: '모든 조건을 만족하는 러버가 적어 일부 조건을 완화했습니다.',
+        FINDER_ANY: '상관없음',
+        FINDER_Q_LEVEL: '현재 실력은 어느 정도인가요?',
+        FINDER_LEVEL_BEGINNER: '입문',
+        FINDER_LEVEL_INTERMEDIATE: '중급',
+        FINDER_LEVEL_ADVANCED: '상급',
+        FINDER_Q_STYLE: '어떤 스타일로 플레이하나요?',
+        FINDER_STYLE_SPIN: '회전 위주 드라이브',
+        FINDER_STYLE_SPEED: '빠른 타법',
+        FINDER_STYLE_ALLROUND: '올라운드',
+        FINDER_STYLE_CONTROL: '블록과 컨트롤',
+        FINDER_Q_SIDE: '어느 면에 붙일 러버인가요?',
+        FINDER_Q_BUDGET: '예산은 어느 정도인가요?',
+        FINDER_BUDGET_LOW: '저렴하게',
+        FINDER_BUDGET_MID: '중간 가격대',
+        FINDER_BUDGET_HIGH: '고급',
+        FINDER_Q_WEIGHT: '무게가 얼마나 중요한가요?',
+        FINDER_WEIGHT_LIGHT: '가벼울수록 좋아요',
+        FINDER_WEIGHT_MEDIUM: '무겁지만 않으면 돼요',
+        FINDER_Q_FEEL: '선호하는 타구감은?',
+        FINDER_FEEL_SOFT: '부드러움',
+        FINDER_FEEL_MEDIUM: '중간',
+        FINDER_FEEL_HARD: '단단함',
+        SETUP_OPEN: '라켓 조합 만들기',
+        SETUP_TITLE: '라켓 조합',
+        SETUP_PICK_RUBBER: '러버 선택',
+        SETUP_THICKNESS: '두께',
+        SETUP_SHEET_WEIGHT: '러버 무게',
+        SETUP_BLADE_WEIGHT: '블레이드 무게 (g)',
+        SETUP_TOTAL_WEIGHT: '예상 라켓 무게',
+        SETUP_TOTAL_PRICE: '러버 합계',
+        SETUP_WEIGHT_NOTE: '두께에 맞춰 보정한 컷 무게 기준 추정치입니다. 글루와 사이드 테이프는 포함되지 않습니다.',
+        SETUP_SAVE: '조합 저장',
+        SETUP_SAVED: '저장된 조합',
+        SETUP_SAVED_TOAST: '조합을 저장했습니다.',
+        SETUP_DELETE: '조합 삭제',
+        PLAYERS_TITLE: '프로 선수와 사용 러버',
+        PLAYERS_SORT_BY: '정렬',
+        PLAYERS_SORT_RANKING: '랭킹',
+        PLAYERS_SORT_COUNTRY: '국가',
+        PLAYERS_SORT_BRAND: '러버 브랜드',
+        PLAYERS_BACK: '전체 선수',
+        PLAYERS_VIDEOS: '영상',
+        PLAYERS_COMPARE_RUBBERS: '포핸드·백핸드 러버 비교',
+        PLAYERS_SAME_RUBBER: '양면 모두 같은 러버',
+        PLAYERS_RUBBER_UNAVAILABLE: '이 지역에는 등록되지 않은 러버',
+        BRAND_PAGE_LINEUP: '라인업',
+        BRAND_PAGE_RUBBERS: '개 러버',
+        BRAND_PAGE_HULL_NOTE: '차트의 음영 영역이 이 브랜드 라인업의 위치를 보여줍니다.',
+        BRAND_PAGE_PROS: '이 브랜드를 쓰는 선수',
+        BRAND_PAGE_NO_PROS: '이 브랜드를 쓰는 등록된 선수가 없습니다.',
+        BRAND_PAGE_SHOW_ALL: '모든 브랜드 보기',
+        TABLE_VIEW: '표로 보기',
+        CURRENCY: '표시 통화',
+        WATCHLIST: '가격 알림 목록',
+        WATCH_PRICE: '가격 알림',
+        WATCH_TARGET: '알림 가격',
+        WATCH_HIT: '목표가 도달',
+        WATCH_SINCE: '기준',
+        WATCH_SELECT: '보기',
+        WATCH_REMOVE: '알림 해제',
+        WATCH_ADD: '추가',
+        WATCH_ADD_LABEL: '러버 추가',
+        WATCH_EMPTY: '아직 알림을 설정한 러버가 없습니다. 아래에서 추가하거나 가격 변동 차트의 "가격 알림"을 누르세요.',
+        WATCH_NOTE: '이 브라우저에만 저장됩니다. 사이트를 열 때마다 가격을 확인합니다.',
+        WATCH_NO_PRICE: '가격 없음',
+        WATCH_ALERT_TITLE: '가격 알림',
+        WATCH_DISMISS: '알림 닫기',
+        FAVORITE: '즐겨찾기',
+        FAVORITES_ONLY: '즐겨찾기만',
+        MY_NOTES: '내 메모',
+        NOTE_STATUS_OWN: '보유 중',
+        NOTE_STATUS_TRIED: '써 봄',
+        NOTE_STATUS_WANT: '써 보고 싶음',
+        NOTE_PLACEHOLDER: '두께, 블레이드, 사용 느낌…',
+        NOTES_EXPORT: '즐겨찾기 내보내기',
+        NOTES_IMPORT: '즐겨찾기 가져오기',
+        NOTES_IMPORTED: '즐겨찾기를 가져왔습니다',
+        NOTES_IMPORT_FAILED: '즐겨찾기 파일이 아닙니다',
+        QUERY_HINT: '이름으로 검색하거나 필터 입력: spin<20 hardness>=50 sheet:chinese -brand:dhs',
+        QUERY_MATCHES: '개 러버 일치',
+        QUERY_APPLY_HINT: 'Enter로 필터 적용',
+        QUERY_UNKNOWN_FIELD: '알 수 없는 항목',
+        QUERY_MISSING_VALUE: '값이 없습니다',
+        QUERY_BAD_VALUE: '잘못된 값',
+        COMMAND_PALETTE: '명령',
+        COMMAND_PLACEHOLDER: '명령 또는 러버 이름 입력…',
+        COMMAND_RECENT: '최근',
+        COMMAND_ALL: '전체 명령',
+        COMMAND_NONE: '일치하는 명령이 없습니다',
+        COMMAND_FOOTER: '↑↓ 이동 · Enter 실행 · Esc 닫기',
+        CMD_FOCUS_SEARCH: '러버 검색',
+        CMD_TOGGLE_FILTERS: '필터 열기/닫기',
+        CMD_TAB_LEFT: '왼쪽 러버 보기',
+        CMD_TAB_RIGHT: '오른쪽 러버 보기',
+        CMD_OPEN_COMPARISON: '비교 열기',
+        CMD_TAB_PLAYERS: '선수 보기',
+        CMD_SWAP: '왼쪽과 오른쪽 바꾸기',
+        CMD_TOGGLE_PIN: '보고 있는 러버 고정/해제',
+        CMD_RESET: '모두 초기화',
+        CMD_COUNTRY: '국가 변경',
+        CMD_SELECT_LEFT: '왼쪽에 놓기',
+        CMD_SELECT_RIGHT: '오른쪽에 놓기',
+        SHARE_IMAGE: '이미지',
+        SHARE_IMAGE_TITLE: '이미지로 공유',
+        SHARE_IMAGE_PNG: 'PNG 다운로드',
+        SHARE_IMAGE_SVG: 'SVG 다운로드',
+        SHARE_IMAGE_SEND: '공유',
+        SHARE_IMAGE_RENDERING: '카드를 그리는 중…',
+        SHARE_IMAGE_FAILED: '카드를 그리지 못했습니다. 다시 시도해 주세요.',
+        EXPORT_DATA: '내보내기',
+        EXPORT_TITLE: '러버 데이터 내보내기',
+        EXPORT_NOTE: '순위, 경도, 무게, 판매처별 가격, 판매 순위, 선수 정보를 스프레드시트용으로 내보냅니다.',
+        EXPORT_FILTERED: '필터와 일치하는 러버',
+        EXPORT_ALL: '모든 러버',
+        EXPORT_CSV: 'CSV 다운로드',
+        EXPORT_JSON: 'JSON 다운로드',
+        EXPORT_NO_FILTERS: '필터 없음',
+        EXPORT_TOP30: 'Top 30만',
+        EXPORT_PRICED_ONLY: '가격이 있는 러버만',
+        RANKING_TIMELINE: '랭킹 기준일',
+        RANKING_LATEST: '최신',
+        RANK_HISTORY: '랭킹 변화',
+        RANK_HISTORY_NEW: '신규',
+        METRIC_RALLY_SPEED: '랠리 속도',
+        METRIC_CATAPULT: '반발력',
+        METRIC_MAX_SPEED: '최대 스피드',
+        METRIC_SERVE_GRIP: '서브스핀',
+        METRIC_LOOP_SPIN: '루프 스핀',
+        METRIC_SHORT_GAME_SPIN: '숏게임',
+        METRIC_BREAKDOWN: '세부 점수',
+        METRIC_WEIGHTS: '가중치 직접 설정',
+        METRIC_WEIGHTS_ACTIVE: '적용 중',
+        METRIC_WEIGHTS_NOTE: '세부 점수가 모두 있는 러버만 바로 다시 순위가 매겨지고, 나머지는 자리를 유지합니다.',
+        METRIC_WEIGHTS_RESET: '기본값으로',
+        TABLE_CAPTION: '개 러버가 현재 필터와 일치합니다. 열 제목을 눌러 정렬하세요.',
+        TABLE_HARDNESS_DE: '경도 (독일 기준)',
+        TABLE_BESTSELLER: '베스트셀러',
+        DATASET_UPDATE_AVAILABLE: '새 러버 데이터가 있습니다.',
+        DATASET_UPDATE_RELOAD: '새로고침',
+        ADD_TO_COMPARE: '비교에 추가',
+        REMOVE_FROM_COMPARE: '비교에서 제거',
+        COMPARE_PAIRS: '1:1 비교',
         FOREHAND: '포핸드',
         BACKHAND: '백핸드',
         SHARE: '공유',
@@ -256,6 +779,9 @@ const UI_TEXT = {
         SPEED_HINT: '速度排名 # = 30% 相持速度 + 30% 弹性 + 40% 最高速度',
         SPIN: '旋转',
         SPIN_HINT: '旋转排名 # = 40% 发球旋转 + 40% 起板旋转 + 20% 短球控制',
+        VALUE: '性价比',
+        VALUE_HINT: '性价比排名 # = 按价格折算的旋转与速度排名，仅统计本店有价格的胶皮',
+        VALUE_FRONTIER: '性价比前沿',
         USER_GUIDE: '使用指南',
         CUT_WEIGHT: '裁切后重量',
         CUT_WEIGHT_HINT: '以最大厚度为基准，横拍：157 × 150 mm',
@@ -266,6 +792,8 @@ const UI_TEXT = {
         THICKNESS: '厚度',
         PRICE: '价格',
         PLAYERS: '选手',
+        AXIS_X: '横轴',
+        AXIS_Y: '纵轴',
         FEEDBACK_BUTTON: '反馈',
         FEEDBACK_BUTTON_TITLE: '发送反馈',
         FEEDBACK_CLOSE_ARIA: '关闭反馈窗口',
@@ -292,6 +820,168 @@ const UI_TEXT = {
         CONTENT_FEEDBACK_REASON_SENDING: '发送中...',
         RUBBER_1: '胶皮 1',
         RUBBER_2: '胶皮 2',
+        RUBBER_N: '胶皮',
+        PRICE_INCLUDE_UNPRICED: '包含无价格的胶皮',
+        NO_PRICE_DATA: '该地区暂无价格数据。',
+        PRICE_HISTORY: '价格走势',
+        PRICE_HISTORY_EMPTY: '暂无价格变动记录。',
+        PRICE_REGULAR: '原价',
+        PRICE_SALE: '促销价',
+        PRICE_LOWEST: '历史最低',
+        PRICE_CURRENT: '当前价格',
+        SIMILAR_RUBBERS: '相似胶皮',
+        SIMILAR_WEIGHTS: '调整权重',
+        SIMILAR_MATCH: '相似度',
+        FINDER_OPEN: '帮我选胶皮',
+        FINDER_TITLE: '胶皮推荐',
+        FINDER_BACK: '上一步',
+        FINDER_RESTART: '重新开始',
+        FINDER_COPY_LINK: '复制结果链接',
+        FINDER_RESULTS: '推荐结果',
+        FINDER_NO_RESULTS: '没有符合条件的胶皮。',
+        FINDER_RELAXED: '同时满足所有条件的胶皮较少，已放宽部分条件。',
+        FINDER_ANY: '无所谓',
+        FINDER_Q_LEVEL: '你的水平如何？',
+        FINDER_LEVEL_BEGINNER: '入门',
+        FINDER_LEVEL_INTERMEDIATE: '中级',
+        FINDER_LEVEL_ADVANCED: '高级',
+        FINDER_Q_STYLE: '你的打法是？',
+        FINDER_STYLE_SPIN: '弧圈旋转',
+        FINDER_STYLE_SPEED: '快攻速度',
+        FINDER_STYLE_ALLROUND: '全面型',
+        FINDER_STYLE_CONTROL: '防守控制',
+        FINDER_Q_SIDE: '这块胶皮用在哪一面？',
+        FINDER_Q_BUDGET: '预算是多少？',
+        FINDER_BUDGET_LOW: '经济实惠',
+        FINDER_BUDGET_MID: '中等价位',
+        FINDER_BUDGET_HIGH: '高端',
+        FINDER_Q_WEIGHT: '你在意重量吗？',
+        FINDER_WEIGHT_LIGHT: '越轻越好',
+        FINDER_WEIGHT_MEDIUM: '别太重就行',
+        FINDER_Q_FEEL: '喜欢什么手感？',
+        FINDER_FEEL_SOFT: '偏软',
+        FINDER_FEEL_MEDIUM: '适中',
+        FINDER_FEEL_HARD: '偏硬',
+        SETUP_OPEN: '组装球拍',
+        SETUP_TITLE: '球拍配置',
+        SETUP_PICK_RUBBER: '选择胶皮',
+        SETUP_THICKNESS: '厚度',
+        SETUP_SHEET_WEIGHT: '胶皮重量',
+        SETUP_BLADE_WEIGHT: '底板重量 (g)',
+        SETUP_TOTAL_WEIGHT: '预计整拍重量',
+        SETUP_TOTAL_PRICE: '胶皮合计',
+        SETUP_WEIGHT_NOTE: '按厚度修正剪后重量估算，不含胶水和护边。',
+        SETUP_SAVE: '保存配置',
+        SETUP_SAVED: '已保存的配置',
+        SETUP_SAVED_TOAST: '配置已保存。',
+        SETUP_DELETE: '删除配置',
+        PLAYERS_TITLE: '职业球员及其胶皮',
+        PLAYERS_SORT_BY: '排序',
+        PLAYERS_SORT_RANKING: '排名',
+        PLAYERS_SORT_COUNTRY: '国家',
+        PLAYERS_SORT_BRAND: '胶皮品牌',
+        PLAYERS_BACK: '全部球员',
+        PLAYERS_VIDEOS: '视频',
+        PLAYERS_COMPARE_RUBBERS: '对比正反手胶皮',
+        PLAYERS_SAME_RUBBER: '正反手使用同款胶皮',
+        PLAYERS_RUBBER_UNAVAILABLE: '本地区暂未收录',
+        BRAND_PAGE_LINEUP: '产品线',
+        BRAND_PAGE_RUBBERS: '款胶皮',
+        BRAND_PAGE_HULL_NOTE: '图表中的阴影区域标出了该品牌产品线的分布范围。',
+        BRAND_PAGE_PROS: '使用该品牌的球员',
+        BRAND_PAGE_NO_PROS: '暂无收录的球员使用该品牌。',
+        BRAND_PAGE_SHOW_ALL: '显示全部品牌',
+        TABLE_VIEW: '表格视图',
+        CURRENCY: '显示货币',
+        WATCHLIST: '降价提醒',
+        WATCH_PRICE: '降价提醒',
+        WATCH_TARGET: '提醒价格',
+        WATCH_HIT: '已达目标价',
+        WATCH_SINCE: '对比',
+        WATCH_SELECT: '查看',
+        WATCH_REMOVE: '取消提醒',
+        WATCH_ADD: '添加',
+        WATCH_ADD_LABEL: '添加胶皮',
+        WATCH_EMPTY: '还没有设置提醒。可在下方添加，或点击价格走势图下的“降价提醒”。',
+        WATCH_NOTE: '仅保存在此浏览器中，每次打开网站时检查价格。',
+        WATCH_NO_PRICE: '暂无价格',
+        WATCH_ALERT_TITLE: '降价提醒',
+        WATCH_DISMISS: '关闭提醒',
+        FAVORITE: '收藏',
+        FAVORITES_ONLY: '只看收藏',
+        MY_NOTES: '我的笔记',
+        NOTE_STATUS_OWN: '已拥有',
+        NOTE_STATUS_TRIED: '用过',
+        NOTE_STATUS_WANT: '想试试',
+        NOTE_PLACEHOLDER: '厚度、底板、使用感受…',
+        NOTES_EXPORT: '导出收藏',
+        NOTES_IMPORT: '导入收藏',
+        NOTES_IMPORTED: '已导入收藏',
+        NOTES_IMPORT_FAILED: '不是收藏文件',
+        QUERY_HINT: '按名称搜索，或输入筛选：spin<20 hardness>=50 sheet:chinese -brand:dhs',
+        QUERY_MATCHES: '款胶皮符合',
+        QUERY_APPLY_HINT: '按 Enter 筛选',
+        QUERY_UNKNOWN_FIELD: '未知字段',
+        QUERY_MISSING_VALUE: '缺少数值',
+        QUERY_BAD_VALUE: '数值无效',
+        COMMAND_PALETTE: '命令',
+        COMMAND_PLACEHOLDER: '输入命令或胶皮名称…',
+        COMMAND_RECENT: '最近',
+        COMMAND_ALL: '全部命令',
+        COMMAND_NONE: '没有匹配的命令',
+        COMMAND_FOOTER: '↑↓ 移动 · Enter 执行 · Esc 关闭',
+        CMD_FOCUS_SEARCH: '搜索胶皮',
+        CMD_TOGGLE_FILTERS: '显示/隐藏筛选',
+        CMD_TAB_LEFT: '查看左侧胶皮',
+        CMD_TAB_RIGHT: '查看右侧胶皮',
+        CMD_OPEN_COMPARISON: '打开对比',
+        CMD_TAB_PLAYERS: '查看球员',
+        CMD_SWAP: '交换左右',
+        CMD_TOGGLE_PIN: '固定/取消固定当前胶皮',
+        CMD_RESET: '全部重置',
+        CMD_COUNTRY: '切换国家',
+        CMD_SELECT_LEFT: '放到左侧',
+        CMD_SELECT_RIGHT: '放到右侧',
+        SHARE_IMAGE: '图片',
+        SHARE_IMAGE_TITLE: '以图片分享',
+        SHARE_IMAGE_PNG: '下载 PNG',
+        SHARE_IMAGE_SVG: '下载 SVG',
+        SHARE_IMAGE_SEND: '分享',
+        SHARE_IMAGE_RENDERING: '正在生成卡片…',
+        SHARE_IMAGE_FAILED: '无法生成卡片，请重试。',
+        EXPORT_DATA: '导出',
+        EXPORT_TITLE: '导出胶皮数据',
+        EXPORT_NOTE: '排名、硬度、重量、各商店价格、畅销排名和球员，可直接用于表格。',
+        EXPORT_FILTERED: '符合筛选条件的胶皮',
+        EXPORT_ALL: '全部胶皮',
+        EXPORT_CSV: '下载 CSV',
+        EXPORT_JSON: '下载 JSON',
+        EXPORT_NO_FILTERS: '无筛选',
+        EXPORT_TOP30: '仅 Top 30',
+        EXPORT_PRICED_ONLY: '仅有价格的胶皮',
+        RANKING_TIMELINE: '排名日期',
+        RANKING_LATEST: '最新',
+        RANK_HISTORY: '排名变化',
+        RANK_HISTORY_NEW: '新上榜',
+        METRIC_RALLY_SPEED: '相持速度',
+        METRIC_CATAPULT: '弹性',
+        METRIC_MAX_SPEED: '最高速度',
+        METRIC_SERVE_GRIP: '发球旋转',
+        METRIC_LOOP_SPIN: '起板旋转',
+        METRIC_SHORT_GAME_SPIN: '短球控制',
+        METRIC_BREAKDOWN: '得分构成',
+        METRIC_WEIGHTS: '自定义权重',
+        METRIC_WEIGHTS_ACTIVE: '已启用',
+        METRIC_WEIGHTS_NOTE: '分项得分齐全的胶皮会实时重新排名，其余保持原位置。',
+        METRIC_WEIGHTS_RESET: '恢复默认',
+        TABLE_CAPTION: '款胶皮符合当前筛选条件。点击列标题可排序。',
+        TABLE_HARDNESS_DE: '硬度（德标）',
+        TABLE_BESTSELLER: '畅销',
+        DATASET_UPDATE_AVAILABLE: '有更新的胶皮数据。',
+        DATASET_UPDATE_RELOAD: '刷新',
+        ADD_TO_COMPARE: '加入对比',
+        REMOVE_FROM_COMPARE: '移出对比',
+        COMPARE_PAIRS: '一对一对比',
         FOREHAND: '正手',
         BACKHAND: '反手',
         SHARE: '分享',
@@ -370,26 +1060,164 @@ function normalizeSearchText(value) {
     return value.toLowerCase().replace(/[\s\-]+/g, '');
 }
 
-// Locate where a normalized query matches within the original (un-normalized)
-// text, so callers can highlight the matched slice. Returns { start, end } of
-// the original text covering the match, or null when there's no match.
-function findNormalizedMatchRange(text, normalizedQuery) {
-    if (typeof text !== 'string' || !normalizedQuery) return null;
+// ── Fuzzy search ──
+// matchSearchText ranks how a query matches a name: as typed (ignoring case, spaces
+// and hyphens), by Hangul initial consonants ("ㄷㄱㄴㅅ" → 디그닉스), by pinyin for
+// Chinese names ("fanzhendong" / "fzd" → 樊振东), or within a small edit distance
+// so typos like "tenergi" and "digincs" still find the rubber.
+
+const HANGUL_INITIALS = 'ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ';
+const FUZZY_SEARCH_MIN_LENGTH = 4;
+
+// Toneless pinyin for the Han characters used in rubber, brand and player names.
+// A character missing here just never matches a pinyin query; scripts/validate-data.js
+// warns about names that use one.
+const PINYIN_SYLLABLE_CHARS =
+    'a:阿 ai:埃艾 an:安岸 ao:傲奥 ba:巴拔 bao:暴 bei:贝 ben:本 bian:变 biao:飙 bin:宾彬斌 bo:博波 bu:布 cha:查 ' +
+    'chai:柴 chang:长 chao:朝 chen:陈 cheng:成诚 chu:楚 ci:茨 cong:聪 cun:村 da:大达 dai:黛 dan:丹 dao:島 ' +
+    'de:德 di:地蒂迪 die:蝶 ding:丁 dong:东动栋 du:度 duo:多 en:恩 er:尔 fa:法 fan:樊繁 fei:菲费 fen:芬 feng:风 ' +
+    'fu:夫弗 gang:刚 gao:高 ge:格革 gong:弓 guang:光 guo:果 ha:哈 hai:骇 hao:豪 he:合和河 hong:红 hu:弧蝴 ' +
+    'huan:焕 huang:皇 hui:輝 hun:混 huo:火 ji:吉基 jia:佳加贾 jiao:骄 jin:紧金 jing:惊靖 jun:晙 ka:卡 kai:凯 ' +
+    'ke:克科 kong:空 ku:库 kuang:狂 kun:崑 la:拉 lai:莱 lan:蓝 lang:朗 le:勒 lei:雷 li:丽利历李里 lian:连 ' +
+    'liang:梁 lie:烈 lin:凛林 long:龙 lu:鲁 lun:伦 luo:洛罗 ma:马 man:曼 mei:美 men:门 meng:孟梦猛蒙 mi:米 ' +
+    'mo:莫 mu:姆木 na:娜纳 nai:耐 nei:内 ni:尼 nu:努 nuo:诺 ou:欧 pei:裴 peng:彭 po:珀 pu:普 qi:奇崎 qia:恰 ' +
+    'qiao:桥 qie:茄 qin:钦 qu:驱 quan:圈 rong:荣 ru:儒 rui:瑞 sa:萨 se:色 sha:沙莎 shen:申 shi:什仕施诗 ' +
+    'shuang:双 si:斯 song:松 ta:塔 tai:太 te:特 teng:藤 ti:提 tian:田 ting:挺 tong:同 tu:图 tuo:托 wa:瓦 ' +
+    'wang:王 wei:唯维 wen:文温 wo:握 wu:乌吴 xi:喜西 xian:贤 xiang:相翔 xiao:咲孝 xing:幸星 ya:亚 yi:伊 yin:尹银 ' +
+    'yong:永 you:优悠柚 yu:狱裕雨 yuan:元原 yue:月约 yun:昀 zai:宰 zhang:张 zhao:赵 zhen:振 zheng:郑 zhi:智植 ' +
+    'zhou:洲 zi:兹';
+let pinyinByChar = null;
+
+function getPinyinSyllable(ch) {
+    if (!pinyinByChar) {
+        pinyinByChar = new Map();
+        for (const group of PINYIN_SYLLABLE_CHARS.trim().split(/\s+/)) {
+            const [syllable, chars] = group.split(':');
+            for (const c of chars) pinyinByChar.set(c, syllable);
+        }
+    }
+    return pinyinByChar.get(ch) || null;
+}
+
+function getHangulInitial(ch) {
+    const offset = ch.charCodeAt(0) - 0xAC00;
+    return offset >= 0 && offset < 11172 ? HANGUL_INITIALS[Math.floor(offset / 588)] : null;
+}
+
+// The characters normalizeSearchText keeps, each with its index in `text`
+function indexSearchText(text) {
+    const chars = [];
+    const positions = [];
     const lower = text.toLowerCase();
-    const isSkippable = (ch) => ch === '-' || /\s/.test(ch);
-    const n = lower.length;
-    const m = normalizedQuery.length;
-    for (let start = 0; start < n; start++) {
-        if (isSkippable(lower[start])) continue;
-        let i = start;
+    for (let i = 0; i < lower.length; i++) {
+        if (lower[i] === '-' || /\s/.test(lower[i])) continue;
+        chars.push(lower[i]);
+        positions.push(i);
+    }
+    return { chars, positions };
+}
+
+// Each Han character takes its whole syllable or just the first letter; anything else must
+// match as typed. The last syllable may be cut short. Returns the end index or -1.
+function matchPinyinAt(chars, query, i, j = 0) {
+    if (j === query.length) return i;
+    if (i === chars.length) return -1;
+    const syllable = getPinyinSyllable(chars[i]);
+    if (!syllable) return chars[i] === query[j] ? matchPinyinAt(chars, query, i + 1, j + 1) : -1;
+    const rest = query.slice(j);
+    if (syllable.startsWith(rest)) return i + 1;
+    if (rest.startsWith(syllable)) {
+        const end = matchPinyinAt(chars, query, i + 1, j + syllable.length);
+        if (end >= 0) return end;
+    }
+    return syllable[0] === query[j] ? matchPinyinAt(chars, query, i + 1, j + 1) : -1;
+}
+
+// Last row of an edit-distance table (adjacent swaps count as one edit) where the
+// match may start anywhere in `chars`: row[k] is the best distance ending at k.
+function fuzzyDistanceRow(chars, query) {
+    let before = null;
+    let prev = new Array(chars.length + 1).fill(0);
+    for (let i = 1; i <= query.length; i++) {
+        const row = [i];
+        for (let k = 1; k <= chars.length; k++) {
+            const cost = query[i - 1] === chars[k - 1] ? 0 : 1;
+            row[k] = Math.min(prev[k] + 1, row[k - 1] + 1, prev[k - 1] + cost);
+            if (before && i > 1 && k > 1 && query[i - 1] === chars[k - 2] && query[i - 2] === chars[k - 1]) {
+                row[k] = Math.min(row[k], before[k - 2] + 1);
+            }
+        }
+        before = prev;
+        prev = row;
+    }
+    return prev;
+}
+
+function findFuzzyMatch(chars, query) {
+    const row = fuzzyDistanceRow(chars, query);
+    let end = 1;
+    for (let k = 2; k < row.length; k++) if (row[k] < row[end]) end = k;
+    const distance = row[end];
+    // "tenergi" is as close to "tenerg" as to "tenergy"; keep the longer
+    while (end + 1 < row.length && row[end + 1] === distance) end++;
+    // Run backwards from the end to find where the closest match starts
+    const reversed = fuzzyDistanceRow(chars.slice(0, end).reverse(), [...query].reverse());
+    let length = 0;
+    for (let k = 1; k < reversed.length; k++) {
+        const closerInLength = !length || Math.abs(k - query.length) < Math.abs(length - query.length);
+        if (reversed[k] === distance && closerInLength) length = k;
+    }
+    return { distance, start: end - Math.max(length, 1), end };
+}
+
+/**
+ * How well `query` matches `text`, as { score, range } (range indexes `text`, for
+ * highlighting) or null. Scores: 100 whole name, 90 prefix, 80 word start, 70 inside
+ * a word, 60 Hangul initials, 55–58 pinyin, 25–50 typos.
+ */
+function matchSearchText(text, query) {
+    if (typeof text !== 'string') return null;
+    const q = normalizeSearchText(query);
+    const { chars, positions } = indexSearchText(text);
+    if (!q || !chars.length) return null;
+    const toRange = (start, end) => ({ start: positions[start], end: positions[end - 1] + 1 });
+
+    let best = null;
+    for (let start = 0; start + q.length <= chars.length; start++) {
+        let usedInitials = false;
         let j = 0;
-        while (i < n && j < m) {
-            if (isSkippable(lower[i])) { i++; continue; }
-            if (lower[i] !== normalizedQuery[j]) break;
-            i++;
-            j++;
+        for (; j < q.length; j++) {
+            const ch = chars[start + j];
+            if (ch === q[j]) continue;
+            if (!HANGUL_INITIALS.includes(q[j]) || getHangulInitial(ch) !== q[j]) break;
+            usedInitials = true;
+        }
+        if (j < q.length) continue;
+        const atWordStart = start === 0 || /[\s-]/.test(text[positions[start] - 1]);
+        const score = usedInitials ? 60
+            : start === 0 ? (q.length === chars.length ? 100 : 90)
+            : atWordStart ? 80 : 70;
+        if (!best || score > best.score) best = { score, range: toRange(start, start + q.length) };
+    }
+    if (best) return best;
+
+    if (/^[a-z]/.test(q) && chars.some(getPinyinSyllable)) {
+        for (let start = 0; start < chars.length; start++) {
+            if (!getPinyinSyllable(chars[start])) continue;
+            const end = matchPinyinAt(chars, q, start);
+            if (end > start) return { score: start === 0 ? 58 : 55, range: toRange(start, end) };
+        }
+    }
+
+    if (q.length >= FUZZY_SEARCH_MIN_LENGTH) {
+        const maxDistance = q.length >= 8 ? 2 : 1;
+        const match = findFuzzyMatch(chars, q);
+        if (match.distance <= maxDistance) {
+            return {
+                score: 45 - match.distance * 10 + (match.start === 0 ? 5 : 0),
+                range: toRange(match.start, match.end)
+            };
         }
-        if (j === m) return { start, end: i };
     }
     return null;
 }
@@ -469,6 +1297,15 @@ function applyLocalizedStaticText() {
     if (typeof refreshSheetToggleFilterLabels === 'function') {
         refreshSheetToggleFilterLabels();
     }
+    if (typeof renderChartAxisPicker === 'function') {
+        renderChartAxisPicker();
+    }
+    if (typeof renderRankingTimeline === 'function') {
+        renderRankingTimeline();
+    }
+    if (typeof renderMetricWeightsPanel === 'function') {
+        renderMetricWeightsPanel();
+    }
     const setText = (id, key) => {
         const el = document.getElementById(id);
         if (el) el.textContent = tUi(key);
@@ -479,6 +1316,27 @@ function applyLocalizedStaticText() {
     };
 
     setAttr('feedbackOpenBtn', 'title', 'FEEDBACK_BUTTON_TITLE');
+    setAttr('finderOpenBtn', 'title', 'FINDER_OPEN');
+    setAttr('finderOpenBtn', 'aria-label', 'FINDER_OPEN');
+    setAttr('setupOpenBtn', 'title', 'SETUP_OPEN');
+    setAttr('setupOpenBtn', 'aria-label', 'SETUP_OPEN');
+    setAttr('tableViewBtn', 'title', 'TABLE_VIEW');
+    setAttr('tableViewBtn', 'aria-label', 'TABLE_VIEW');
+    setAttr('valueFrontierBtn', 'title', 'VALUE_FRONTIER');
+    setAttr('valueFrontierBtn', 'aria-label', 'VALUE_FRONTIER');
+    setAttr('metricWeightsBtn', 'title', 'METRIC_WEIGHTS');
+    setAttr('metricWeightsBtn', 'aria-label', 'METRIC_WEIGHTS');
+    setAttr('headerSearchInput', 'title', 'QUERY_HINT');
+    setAttr('favoritesFilterBtn', 'title', 'FAVORITES_ONLY');
+    setAttr('favoritesFilterBtn', 'aria-label', 'FAVORITES_ONLY');
+    setText('datasetExportBtn', 'EXPORT_DATA');
+    setAttr('datasetExportBtn', 'title', 'EXPORT_TITLE');
+    setAttr('watchlistBtn', 'title', 'WATCHLIST');
+    setAttr('watchlistBtn', 'aria-label', 'WATCHLIST');
+    setAttr('commandPaletteBtn', 'title', 'COMMAND_PALETTE');
+    setAttr('commandPaletteBtn', 'aria-label', 'COMMAND_PALETTE');
+    setAttr('currencySelect', 'title', 'CURRENCY');
+    setAttr('currencySelect', 'aria-label', 'CURRENCY');
     setAttr('feedbackCloseBtn', 'aria-label', 'FEEDBACK_CLOSE_ARIA');
     setText('feedbackTitle', 'FEEDBACK_TITLE_SHARE');
     setText('feedbackIntro', 'FEEDBACK_INTRO');
@@ -530,9 +1388,8 @@ function escapeHtml(value) {
 
 function getHardnessCategoryLabel(normalizedHardness) {
     if (!Number.isFinite(normalizedHardness)) return null;
-    // Boundaries are midpoints between GE anchors: 40 (soft), 47.5 (medium), 55 (hard).
-    if (normalizedHardness < 46) return 'Soft';
-    if (normalizedHardness < 51) return 'Medium';
+    if (normalizedHardness < HARDNESS_MEDIUM_MIN) return 'Soft';
+    if (normalizedHardness < HARDNESS_HARD_MIN) return 'Medium';
     return 'Hard';
 }
 
@@ -567,6 +1424,68 @@ function extractYouTubeVideoId(url) {
     return fallback ? fallback[1] : null;
 }
 
+// ── Modals ──
+// Dialogs built on the feedback modal's markup. The backdrop, the × button and
+// Escape all go through the modal's own close function; one keydown listener
+// serves every modal created here.
+
+const modalCloseHandlers = new Map();  // modal element → close function
+
+/**
+ * Create a `.feedback-modal` dialog and add it to the page.
+ * @param {Object} options
+ * @param {string} options.id - element id
+ * @param {string} options.className - extra class on the overlay, e.g. 'setup-modal'
+ * @param {string} [options.cardClassName] - extra class on the card
+ * @param {string} [options.labelledBy] - id of the title element inside `html`
+ * @param {boolean} [options.closeButton=true] - show the × button
+ * @param {string} options.html - card contents
+ * @param {Function} options.onClose - closes the modal (and whatever it owns)
+ * @returns {HTMLElement}
+ */
+function createModal({ id, className, cardClassName = '', labelledBy = '', closeButton = true, html, onClose }) {
+    const modal = document.createElement('div');
+    modal.className = `feedback-modal ${className}`;
+    modal.id = id;
+    modal.setAttribute('aria-hidden', 'true');
+    modal.innerHTML =
+        `<div class="feedback-modal-card${cardClassName ? ` ${cardClassName}` : ''}" role="dialog" aria-modal="true"${labelledBy ? ` aria-labelledby="${labelledBy}"` : ''}>` +
+            (closeButton ? `<button type="button" class="feedback-modal-close" data-modal-close aria-label="Close">×</button>` : '') +
+            html +
+        `</div>`;
+    document.body.appendChild(modal);
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal || e.target.closest('[data-modal-close]')) onClose();
+    });
+    if (!modalCloseHandlers.size) {
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            modalCloseHandlers.forEach((close, el) => {
+                if (el.classList.contains('open')) close();
+            });
+        });
+    }
+    modalCloseHandlers.set(modal, onClose);
+    return modal;
+}
+
+function showModal(modal) {
+    if (typeof closeFilterPanel === 'function') closeFilterPanel();
+    modal.classList.add('open');
+    modal.setAttribute('aria-hidden', 'false');
+    document.body.style.overflow = 'hidden';
+}
+
+/** Hide an open modal; false when it was not open. */
+function hideModal(modal) {
+    if (!modal || !modal.classList.contains('open')) return false;
+    modal.classList.remove('open');
+    modal.setAttribute('aria-hidden', 'true');
+    document.body.style.overflow = '';
+    return true;
+}
+
 const getBrandColor = brand => BRAND_COLORS[brand] || '#999999';
 const getSheetSymbol = sheet => SHEET_MARKERS[sheet] || 'circle';
 const GA_MEASUREMENT_ID = 'G-F2QMQTQXMK';
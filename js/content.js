@@ -12,7 +12,7 @@ const PRODUCT_STORE_MAP = [
 ];
 const PRODUCT_DEFAULT_STORE = { icon: null, label: 'Buy' };
 
-/** Raw markdown for the active desc / comparison tab (used by Copy). Keys: desc1, desc2, comparison. */
+/** Raw markdown for the active desc / comparison tab (used by Copy). Keys: desc1…descN, comparison. */
 const copyableMarkdownByTab = { desc1: null, desc2: null, comparison: null };
 
 /** SVG for tab-bar Copy (matches Share icon size). */
@@ -22,6 +22,14 @@ const COPY_TAB_ICON_SVG =
         `<path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>` +
     `</svg>`;
 
+/** SVG for tab-bar share image (a picture frame). */
+const SHARE_IMAGE_TAB_ICON_SVG =
+    `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">` +
+        `<rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>` +
+        `<circle cx="8.5" cy="8.5" r="1.5"/>` +
+        `<polyline points="21 15 16 10 5 21"/>` +
+    `</svg>`;
+
 function syncCopyMarkdownTabButton() {
     const btn = document.getElementById('copyMarkdownBtn');
     if (!btn) return;
@@ -35,7 +43,7 @@ function isNarrowCopyUi() {
 }
 
 let copyMarkdownToastTimer = null;
-function showCopyMarkdownToast() {
+function showCopyMarkdownToast(message = tUi('COPY_TEXT_COPIED')) {
     let toast = document.getElementById('copyMarkdownToast');
     if (!toast) {
         toast = document.createElement('div');
@@ -45,7 +53,7 @@ function showCopyMarkdownToast() {
         toast.setAttribute('aria-live', 'polite');
         document.body.appendChild(toast);
     }
-    toast.textContent = tUi('COPY_TEXT_COPIED');
+    toast.textContent = message;
     toast.classList.add('is-visible');
     if (copyMarkdownToastTimer) clearTimeout(copyMarkdownToastTimer);
     copyMarkdownToastTimer = setTimeout(() => {
@@ -219,17 +227,13 @@ async function buildTitleLinkIconsHtml(rubber) {
         const iconHtml = productMeta.icon
             ? `<img src="${escapeHtml(productMeta.icon)}" class="rubber-title-icon" alt="">`
             : `<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg>`;
-        const priceData = rubber.price?.[selectedCountry] || rubber.price?.en || null;
-        const priceSale = priceData?.sale || '';
-        const priceRegular = priceData?.regular || '';
-        const priceDiscount = priceData?.discount || '';
-        const hasDiscount = !!(priceSale && priceDiscount);
-        const priceStr = priceSale || priceRegular;
-        const priceHtml = priceStr
-            ? `<span class="rubber-title-buy-price">${escapeHtml(priceStr)}</span>`
+        const price = getRubberPriceDisplay(rubber);
+        const hasDiscount = Boolean(price?.isSale && price.discount);
+        const priceHtml = price
+            ? `<span class="rubber-title-buy-price">${escapeHtml(price.label)}</span>`
             : '';
         const discountBadge = hasDiscount
-            ? `<span class="rubber-title-buy-discount-badge">${escapeHtml(priceDiscount)}</span>`
+            ? `<span class="rubber-title-buy-discount-badge">${escapeHtml(price.discount)}</span>`
             : '';
         parts.push(
             `<span class="rubber-title-buy-wrap">` +
@@ -311,6 +315,499 @@ async function fetchRubberComparisonMarkdown(leftRubber, rightRubber) {
     }
 }
 
+// ── Price history ──
+// `price_history` holds snapshots of earlier store prices; the current price is
+// appended as today's point so the line always ends at what the store shows now.
+
+function getRubberPriceSeries(rubber, country = selectedCountry) {
+    const points = [];
+    for (const entry of rubber?.price_history || []) {
+        const snapshot = entry?.[country];
+        if (!snapshot || !entry.date) continue;
+        points.push({
+            date: entry.date,
+            regular: parseLocalePrice(snapshot.regular, country),
+            sale: parseLocalePrice(snapshot.sale, country)
+        });
+    }
+    const current = rubber?.price?.[country];
+    if (current) {
+        points.push({
+            date: new Date().toISOString().slice(0, 10),
+            regular: parseLocalePrice(current.regular, country),
+            sale: parseLocalePrice(current.sale, country)
+        });
+    }
+    return points
+        .filter(p => p.regular != null || p.sale != null)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function getPriceSeriesStats(series) {
+    if (!series.length) return null;
+    let lowest = null;
+    for (const p of series) {
+        const effective = p.sale ?? p.regular;
+        if (lowest == null || effective < lowest.amount) lowest = { amount: effective, date: p.date };
+    }
+    const last = series[series.length - 1];
+    return { lowest, current: last.sale ?? last.regular };
+}
+
+function buildPriceHistoryHtml(rubbers) {
+    const priced = rubbers
+        .filter(Boolean)
+        .map(rubber => ({ rubber, series: getRubberPriceSeries(rubber) }))
+        .filter(entry => entry.series.length);
+    if (!priced.length) return '';
+
+    const calloutsHtml = priced.map(({ rubber, series }) => {
+        const stats = getPriceSeriesStats(series);
+        const color = getBrandColor(rubber.brand);
+        const isLowestNow = stats.current <= stats.lowest.amount;
+        return `<div class="price-history-callout">` +
+            (priced.length > 1 ? `<span class="content-tab-dot" style="background:${color}"></span><span class="price-history-name">${escapeHtml(tRubberAbbr(rubber))}</span>` : '') +
+            `<span class="price-history-stat"><span class="price-history-stat-label">${tUi('PRICE_CURRENT')}</span><strong>${escapeHtml(formatPriceValue(stats.current))}</strong></span>` +
+            `<span class="price-history-stat${isLowestNow ? ' price-history-stat--best' : ''}"><span class="price-history-stat-label">${tUi('PRICE_LOWEST')}</span><strong>${escapeHtml(formatPriceValue(stats.lowest.amount))}</strong><span class="price-history-stat-date">${escapeHtml(stats.lowest.date)}</span></span>` +
+            `<button type="button" class="price-history-watch" data-watch-abbr="${escapeHtml(rubber.abbr)}">🔔 ${escapeHtml(tUi('WATCH_PRICE'))}</button>` +
+        `</div>`;
+    }).join('');
+
+    const hasChanges = priced.some(({ series }) => series.length > 1);
+    const plotHtml = hasChanges
+        ? `<div class="price-history-plot" data-price-history-abbrs="${escapeHtml(priced.map(e => e.rubber.abbr).join('|'))}"></div>`
+        : `<p class="price-history-empty">${tUi('PRICE_HISTORY_EMPTY')}</p>`;
+
+    return `<section class="price-history">` +
+        `<h3 class="price-history-title">${tUi('PRICE_HISTORY')}</h3>` +
+        `<div class="price-history-callouts">${calloutsHtml}</div>` +
+        plotHtml +
+    `</section>`;
+}
+
+function buildPriceHistoryTraces(rubber, dashed) {
+    const series = getRubberPriceSeries(rubber);
+    const color = getBrandColor(rubber.brand);
+    const name = tRubberAbbr(rubber);
+    const stats = getPriceSeriesStats(series);
+    const traces = [];
+    const regular = series.filter(p => p.regular != null);
+    const sale = series.filter(p => p.sale != null);
+    if (regular.length) {
+        traces.push({
+            type: 'scatter',
+            mode: 'lines+markers',
+            x: regular.map(p => p.date),
+            y: regular.map(p => p.regular),
+            name: `${name} · ${tUi('PRICE_REGULAR')}`,
+            line: { color, width: 2, shape: 'hv', ...(dashed ? { dash: 'dot' } : {}) },
+            marker: { color, size: 5 },
+            hovertemplate: `%{x}<br>${escapeHtml(name)} ${tUi('PRICE_REGULAR')}: %{text}<extra></extra>`,
+            text: regular.map(p => formatPriceValue(p.regular))
+        });
+    }
+    if (sale.length) {
+        traces.push({
+            type: 'scatter',
+            mode: 'lines+markers',
+            x: sale.map(p => p.date),
+            y: sale.map(p => p.sale),
+            name: `${name} · ${tUi('PRICE_SALE')}`,
+            line: { color, width: 1.5, shape: 'hv', dash: 'dash' },
+            marker: { color, size: 6, symbol: 'diamond' },
+            hovertemplate: `%{x}<br>${escapeHtml(name)} ${tUi('PRICE_SALE')}: %{text}<extra></extra>`,
+            text: sale.map(p => formatPriceValue(p.sale))
+        });
+    }
+    if (stats) {
+        traces.push({
+            type: 'scatter',
+            mode: 'markers',
+            x: [stats.lowest.date],
+            y: [stats.lowest.amount],
+            name: `${name} · ${tUi('PRICE_LOWEST')}`,
+            marker: { color, size: 12, symbol: 'star', line: { width: 1, color: '#fff' } },
+            hovertemplate: `${tUi('PRICE_LOWEST')}: ${escapeHtml(formatPriceValue(stats.lowest.amount))}<extra></extra>`,
+            showlegend: false
+        });
+    }
+    return traces;
+}
+
+function renderPriceHistoryCharts(root) {
+    if (!root || typeof Plotly === 'undefined') return;
+    root.querySelectorAll('.price-history-plot').forEach(el => {
+        const rubbers = (el.dataset.priceHistoryAbbrs || '').split('|').map(abbr => rubberByAbbr.get(abbr)).filter(Boolean);
+        if (!rubbers.length) return;
+        const traces = rubbers.flatMap((rubber, i) => {
+            const color = getBrandColor(rubber.brand);
+            const dashed = rubbers.slice(0, i).some(r => getBrandColor(r.brand) === color);
+            return buildPriceHistoryTraces(rubber, dashed);
+        });
+        const layout = {
+            height: 200,
+            margin: { t: 8, r: 12, b: 28, l: 52 },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            font: { family: CHART_FONT, size: 11, color: 'rgba(232,224,208,0.8)' },
+            showlegend: rubbers.length > 1,
+            legend: { orientation: 'h', y: -0.25, font: { size: 10 } },
+            xaxis: { type: 'date', gridcolor: 'rgba(158,150,137,0.12)', zeroline: false },
+            yaxis: {
+                gridcolor: 'rgba(158,150,137,0.12)',
+                zeroline: false,
+                tickprefix: getCurrencySymbol(),
+                tickformat: ',.0f'
+            }
+        };
+        Plotly.newPlot(el, traces, layout, { displayModeBar: false, responsive: true });
+    });
+}
+
+function purgePriceHistoryCharts(root) {
+    if (!root || typeof Plotly === 'undefined') return;
+    root.querySelectorAll('.price-history-plot.js-plotly-plot').forEach(el => Plotly.purge(el));
+}
+
+// ── Similar rubbers ──
+// The detail tab only stores a placeholder; the list is computed when the tab is
+// shown so it always reflects the current weights.
+
+const SIMILARITY_WEIGHT_LABEL_KEYS = {
+    speed: 'SPEED', spin: 'SPIN', control: 'CONTROL', weight: 'CUT_WEIGHT', hardness: 'HARDNESS', sheet: 'TOPSHEET'
+};
+let similarWeightsOpen = false;
+
+function buildSimilarRubbersPlaceholderHtml(rubber, panelNum) {
+    return `<section class="similar-rubbers" data-similar-source="${escapeHtml(rubber.abbr)}" data-similar-panel="${panelNum}"></section>`;
+}
+
+function buildSimilarRubbersListHtml(source) {
+    return findSimilarRubbers(source).map(({ rubber, match }) => {
+        const color = getBrandColor(rubber.brand);
+        const weightDelta = Number.isFinite(rubber.weight) && Number.isFinite(source.weight)
+            ? rubber.weight - source.weight
+            : null;
+        const weightDeltaHtml = weightDelta
+            ? `<span class="similar-rubber-delta similar-rubber-delta--${weightDelta < 0 ? 'lighter' : 'heavier'}">${weightDelta > 0 ? '+' : '−'}${formatWeightValue(Math.abs(weightDelta))}g</span>`
+            : '';
+        return `<li>` +
+            `<button type="button" class="similar-rubber-item" data-similar-abbr="${escapeHtml(rubber.abbr)}">` +
+                `<span class="content-tab-dot" style="background:${color}"></span>` +
+                `<span class="similar-rubber-name">${escapeHtml(tRubberName(rubber) || rubber.abbr)}</span>` +
+                `<span class="similar-rubber-brand">${escapeHtml(tBrand(rubber.brand) || rubber.brand)}</span>` +
+                weightDeltaHtml +
+                `<span class="similar-rubber-match">${Math.round(match)}% ${tUi('SIMILAR_MATCH')}</span>` +
+            `</button>` +
+        `</li>`;
+    }).join('');
+}
+
+function buildSimilarityWeightsHtml() {
+    const rows = Object.keys(SIMILARITY_DEFAULT_WEIGHTS).map(key =>
+        `<label class="similar-weight-row">` +
+            `<span class="similar-weight-label">${tUi(SIMILARITY_WEIGHT_LABEL_KEYS[key])}</span>` +
+            `<input type="range" min="0" max="${SIMILARITY_MAX_WEIGHT}" step="0.5" value="${similarityWeights[key]}" data-similar-weight="${key}">` +
+        `</label>`
+    ).join('');
+    return `<details class="similar-weights"${similarWeightsOpen ? ' open' : ''}>` +
+        `<summary>${tUi('SIMILAR_WEIGHTS')}</summary>` +
+        `<div class="similar-weight-rows">${rows}</div>` +
+    `</details>`;
+}
+
+function renderSimilarRubbers(root) {
+    if (!root) return;
+    root.querySelectorAll('.similar-rubbers').forEach(section => {
+        const source = rubberByAbbr.get(section.dataset.similarSource);
+        if (!source) {
+            section.innerHTML = '';
+            return;
+        }
+        section.innerHTML =
+            `<h3 class="similar-rubbers-title">${tUi('SIMILAR_RUBBERS')}</h3>` +
+            `<ol class="similar-rubbers-list">${buildSimilarRubbersListHtml(source)}</ol>` +
+            buildSimilarityWeightsHtml();
+        section.querySelector('.similar-weights')?.addEventListener('toggle', (e) => {
+            similarWeightsOpen = e.target.open;
+        });
+    });
+}
+
+function setSimilarityWeight(key, value) {
+    if (!(key in SIMILARITY_DEFAULT_WEIGHTS) || !Number.isFinite(value)) return;
+    similarityWeights[key] = Math.max(0, Math.min(SIMILARITY_MAX_WEIGHT, value));
+    // Only refresh the lists so the slider being dragged keeps focus
+    document.querySelectorAll('#contentPane .similar-rubbers').forEach(section => {
+        const source = rubberByAbbr.get(section.dataset.similarSource);
+        const list = section.querySelector('.similar-rubbers-list');
+        if (source && list) list.innerHTML = buildSimilarRubbersListHtml(source);
+    });
+}
+
+/** Put a suggestion into the comparison slot opposite the panel it was listed in. */
+function selectSimilarRubber(abbr, fromPanel) {
+    const rubber = rubberByAbbr.get(abbr);
+    if (!rubber) return;
+    if (fromPanel === 1 || fromPanel === 2) nextDetailPanel = fromPanel === 1 ? 2 : 1;
+    handleRubberClick(rubber);
+}
+
+// ── Favorites and notes ──
+// Stored per abbr in localStorage; an entry is dropped once it has no favorite, status or note.
+
+function loadRubberNotes() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(NOTES_STORAGE_KEY) || '{}');
+        rubberNotes = sanitizeRubberNotes(saved);
+    } catch {
+        rubberNotes = {};
+    }
+}
+
+function persistRubberNotes() {
+    try {
+        localStorage.setItem(NOTES_STORAGE_KEY, JSON.stringify(rubberNotes));
+    } catch {}
+}
+
+function sanitizeRubberNote(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const entry = {
+        favorite: raw.favorite === true,
+        status: RUBBER_NOTE_STATUSES.includes(raw.status) ? raw.status : '',
+        note: typeof raw.note === 'string' ? raw.note.slice(0, RUBBER_NOTE_MAX_LENGTH) : ''
+    };
+    return entry.favorite || entry.status || entry.note.trim() ? entry : null;
+}
+
+function sanitizeRubberNotes(raw) {
+    const notes = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return notes;
+    for (const [abbr, value] of Object.entries(raw)) {
+        const entry = sanitizeRubberNote(value);
+        if (entry) notes[abbr] = entry;
+    }
+    return notes;
+}
+
+function isFavoriteRubber(rubber) {
+    return rubberNotes[rubber?.abbr]?.favorite === true;
+}
+
+function buildFavoriteStarHtml(rubber) {
+    return isFavoriteRubber(rubber) ? `<span class="favorite-star" title="${escapeHtml(tUi('FAVORITE'))}">★</span>` : '';
+}
+
+function updateRubberNote(abbr, changes) {
+    const entry = sanitizeRubberNote({ ...rubberNotes[abbr], ...changes });
+    if (entry) rubberNotes[abbr] = entry;
+    else delete rubberNotes[abbr];
+    persistRubberNotes();
+}
+
+// Stars and the favorites filter depend on the list; the note text does not
+function refreshFavoriteViews() {
+    renderRubberNotes(document.getElementById('contentPane'));
+    if (favoritesFilterActive) {
+        buildNameOptionsFromFilters();
+        updateFilterSummary(getFilteredData().length);
+    }
+    updateChart();
+}
+
+function toggleFavoriteRubber(abbr) {
+    updateRubberNote(abbr, { favorite: !rubberNotes[abbr]?.favorite });
+    refreshFavoriteViews();
+}
+
+function setRubberNoteStatus(abbr, status) {
+    // Clicking the active status clears it
+    updateRubberNote(abbr, { status: rubberNotes[abbr]?.status === status ? '' : status });
+    renderRubberNotes(document.getElementById('contentPane'));
+}
+
+function buildRubberNotesPlaceholderHtml(rubber) {
+    return `<section class="rubber-notes" data-notes-abbr="${escapeHtml(rubber.abbr)}"></section>`;
+}
+
+function buildRubberNotesHtml(abbr) {
+    const entry = rubberNotes[abbr] || { favorite: false, status: '', note: '' };
+    const abbrAttr = escapeHtml(abbr);
+    const statusHtml = RUBBER_NOTE_STATUSES.map(status => {
+        const isActive = entry.status === status;
+        return `<button type="button" class="rubber-notes-status${isActive ? ' is-active' : ''}" data-note-status="${status}" data-note-abbr="${abbrAttr}" aria-pressed="${isActive}">` +
+            `${escapeHtml(tUi(`NOTE_STATUS_${status.toUpperCase()}`))}</button>`;
+    }).join('');
+    return `<div class="rubber-notes-header">` +
+            `<h3 class="rubber-notes-title">${tUi('MY_NOTES')}</h3>` +
+            `<button type="button" class="rubber-favorite-btn${entry.favorite ? ' is-active' : ''}" data-favorite-abbr="${abbrAttr}" aria-pressed="${entry.favorite}">` +
+                `${entry.favorite ? '★' : '☆'} ${escapeHtml(tUi('FAVORITE'))}</button>` +
+        `</div>` +
+        `<div class="rubber-notes-statuses">${statusHtml}</div>` +
+        `<textarea class="rubber-notes-text" data-note-text="${abbrAttr}" maxlength="${RUBBER_NOTE_MAX_LENGTH}" rows="2" placeholder="${escapeHtml(tUi('NOTE_PLACEHOLDER'))}">${escapeHtml(entry.note)}</textarea>` +
+        `<div class="rubber-notes-actions">` +
+            `<button type="button" class="rubber-notes-action" data-notes-action="export">${escapeHtml(tUi('NOTES_EXPORT'))}</button>` +
+            `<button type="button" class="rubber-notes-action" data-notes-action="import">${escapeHtml(tUi('NOTES_IMPORT'))}</button>` +
+        `</div>`;
+}
+
+function renderRubberNotes(root) {
+    if (!root) return;
+    root.querySelectorAll('.rubber-notes').forEach(section => {
+        // Re-rendering would drop the caret of a note being typed
+        if (section.contains(document.activeElement) && document.activeElement.matches('textarea')) return;
+        section.innerHTML = buildRubberNotesHtml(section.dataset.notesAbbr);
+    });
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportRubberNotes() {
+    const payload = {
+        type: NOTES_EXPORT_TYPE,
+        version: 1,
+        exported: new Date().toISOString(),
+        rubbers: rubberNotes
+    };
+    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `pingponglab-favorites-${payload.exported.slice(0, 10)}.json`);
+}
+
+/** Merge an exported list into ours; entries for the same rubber are replaced, unknown rubbers skipped. */
+async function importRubberNotes(file) {
+    let imported;
+    try {
+        const payload = JSON.parse(await file.text());
+        if (payload?.type !== NOTES_EXPORT_TYPE) throw new Error('not a favorites export');
+        imported = sanitizeRubberNotes(payload.rubbers);
+    } catch {
+        showCopyMarkdownToast(tUi('NOTES_IMPORT_FAILED'));
+        return;
+    }
+    const entries = Object.entries(imported).filter(([abbr]) => rubberByAbbr.has(abbr));
+    for (const [abbr, entry] of entries) rubberNotes[abbr] = entry;
+    persistRubberNotes();
+    refreshFavoriteViews();
+    showCopyMarkdownToast(`${tUi('NOTES_IMPORTED')} (${entries.length})`);
+}
+
+function pickRubberNotesFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', () => {
+        if (input.files?.[0]) void importRubberNotes(input.files[0]);
+    });
+    input.click();
+}
+
+// ── Rank history ──
+
+// Filled in once the ranking snapshots load, and again when the chart timeline moves
+function buildRankHistoryPlaceholderHtml(rubber) {
+    return `<section class="rank-history" data-rank-history-abbr="${escapeHtml(rubber.abbr)}"></section>`;
+}
+
+// Lower rank number = higher place, so a drop in number is a move up
+function buildRankChangeHtml(rank, previousRank) {
+    if (rank === null || previousRank === null || rank === previousRank) return '';
+    const up = rank < previousRank;
+    return `<span class="rank-history-change rank-history-change--${up ? 'up' : 'down'}">${up ? '▲' : '▼'}${Math.abs(rank - previousRank)}</span>`;
+}
+
+function buildRankHistoryHtml(rubber) {
+    const history = getRubberRankHistory(rubber);
+    if (history.length < 2) return '';
+    const activeIndex = getRankingTimelineIndex();
+    const rankCell = (entry, previous, key) => (entry[key] !== null
+        ? `#${entry[key]}${previous ? buildRankChangeHtml(entry[key], previous[key]) : ''}`
+        : '—');
+
+    const rowsHtml = history.map((entry, i) => {
+        const previous = history[i - 1];
+        const isNew = previous && previous.spinRank === null && previous.speedRank === null
+            && (entry.spinRank !== null || entry.speedRank !== null);
+        return `<li class="rank-history-row${i === activeIndex ? ' is-active' : ''}">` +
+            `<button type="button" class="rank-history-date" data-rank-history-date="${escapeHtml(entry.date ?? '')}" aria-pressed="${i === activeIndex}">` +
+                `${escapeHtml(getRankingTimelineLabel(entry))}` +
+                (isNew ? `<span class="rank-history-new">${escapeHtml(tUi('RANK_HISTORY_NEW'))}</span>` : '') +
+            `</button>` +
+            `<span class="rank-history-rank" title="${escapeHtml(tUi('SPIN'))}">↻ ${rankCell(entry, previous, 'spinRank')}</span>` +
+            `<span class="rank-history-rank" title="${escapeHtml(tUi('SPEED'))}">⚡ ${rankCell(entry, previous, 'speedRank')}</span>` +
+            `<span class="rank-history-rank" title="${escapeHtml(tUi('CONTROL'))}">🎯 ${entry.controlLevel ?? '—'}</span>` +
+        `</li>`;
+    }).reverse().join('');
+
+    return `<h3 class="rank-history-title">${tUi('RANK_HISTORY')}</h3>` +
+        `<ul class="rank-history-list">${rowsHtml}</ul>`;
+}
+
+function renderRankHistories(root) {
+    if (!root) return;
+    root.querySelectorAll('.rank-history').forEach(section => {
+        const rubber = rubberByAbbr.get(section.dataset.rankHistoryAbbr);
+        section.innerHTML = rubber ? buildRankHistoryHtml(rubber) : '';
+    });
+}
+
+// ── Score breakdown ──
+// Spin/speed sub-metrics as bars, each labelled with its current weight (the sliders
+// live with the chart controls). Only rubbers whose ranking entries carry sub-metrics
+// (see RANKING_SUBMETRICS) show the section.
+
+function buildMetricBreakdownPlaceholderHtml(rubber) {
+    return `<section class="metric-breakdown" data-breakdown-abbr="${escapeHtml(rubber.abbr)}"></section>`;
+}
+
+function buildMetricBreakdownGroupsHtml(rubber) {
+    return ['spin', 'speed'].map(metricKey => {
+        const metrics = rubber[`${metricKey}Metrics`];
+        if (!metrics) return '';
+        const rank = rubber[`${metricKey}Rank`];
+        const rating = rubber[`${metricKey}Rating`];
+        const rowsHtml = RANKING_SUBMETRICS[metricKey].map(def => {
+            const value = metrics[def.key];
+            return `<li class="metric-breakdown-row">` +
+                `<span class="metric-breakdown-label">${escapeHtml(tUi(def.labelKey))}` +
+                    `<span class="metric-breakdown-weight">${getMetricWeightShare(metricKey, def.key)}%</span></span>` +
+                `<span class="metric-breakdown-bar"><span class="metric-breakdown-fill metric-breakdown-fill--${metricKey}" style="width:${value ?? 0}%"></span></span>` +
+                `<span class="metric-breakdown-value">${value != null ? Math.round(value) : '—'}</span>` +
+            `</li>`;
+        }).join('');
+        return `<div class="metric-breakdown-group">` +
+            `<div class="metric-breakdown-head">` +
+                `<span>${metricKey === 'spin' ? '↻' : '⚡'} ${tUi(metricKey.toUpperCase())}</span>` +
+                `<span class="metric-breakdown-total">${rank != null ? `#${rank}` : '—'}${rating != null ? ` · ${Math.round(rating)}` : ''}</span>` +
+            `</div>` +
+            `<ul class="metric-breakdown-rows">${rowsHtml}</ul>` +
+        `</div>`;
+    }).join('');
+}
+
+function renderMetricBreakdowns(root) {
+    if (!root) return;
+    root.querySelectorAll('.metric-breakdown').forEach(section => {
+        const rubber = rubberByAbbr.get(section.dataset.breakdownAbbr);
+        if (!rubber?.spinMetrics && !rubber?.speedMetrics) {
+            section.innerHTML = '';
+            return;
+        }
+        section.innerHTML =
+            `<h3 class="metric-breakdown-title">${tUi('METRIC_BREAKDOWN')}</h3>` +
+            `<div class="metric-breakdown-groups">${buildMetricBreakdownGroupsHtml(rubber)}</div>`;
+    });
+}
+
 // ── Tab system functions ──
 
 function buildTabButtonContent(rubber) {
@@ -324,29 +821,42 @@ function buildEmptyPanePlaceholder(tabId) {
     if (tabId === 'comparison') {
         return '<span class="content-pane-placeholder">' + searchIcon + 'Select two rubbers to compare</span>';
     }
-    const label = tabId === 'desc1' ? 'first' : 'second';
-    return '<span class="content-pane-placeholder">' + searchIcon + 'Select a ' + label + ' rubber</span>';
+    const label = tabId === 'desc1' ? 'first' : tabId === 'desc2' ? 'second' : 'another';
+    return '<span class="content-pane-placeholder">' + searchIcon + 'Select ' + (label === 'another' ? 'another' : 'a ' + label) + ' rubber</span>';
 }
 
 function renderTabs() {
     const tabBar = document.getElementById('contentTabs');
     const r1 = selectedRubbers[0];
     const r2 = selectedRubbers[1];
-    const tab1Label = r1 ? buildTabButtonContent(r1) : `<span class="content-tab-dot" style="background:var(--drac-comment)"></span>${tUi('RUBBER_1')}`;
-    const tab2Label = r2 ? buildTabButtonContent(r2) : `<span class="content-tab-dot" style="background:var(--drac-comment)"></span>${tUi('RUBBER_2')}`;
+    const selectedCount = getSelectedRubberList().length;
     const vsLabel =
-        '<span class="content-tab-vs-emoji">🆚</span><span class="content-tab-vs-suffix"> VS</span>';
+        '<span class="content-tab-vs-emoji">🆚</span><span class="content-tab-vs-suffix"> VS</span>' +
+        (selectedCount > 2 ? `<span class="content-tab-vs-count">×${selectedCount}</span>` : '');
     const vsHasData = !!(r1 && r2 && copyableMarkdownByTab.comparison);
     let html = '';
-    html += `<button class="content-tab" data-tab="desc1">${tab1Label}</button>`;
-    html += `<button class="content-tab" data-tab="desc2">${tab2Label}</button>`;
+    for (let i = 0; i < Math.max(2, selectedRubbers.length); i++) {
+        const rubber = selectedRubbers[i];
+        const fallbackLabel = i < 2 ? tUi(`RUBBER_${i + 1}`) : `${tUi('RUBBER_N')} ${i + 1}`;
+        const label = rubber ? buildTabButtonContent(rubber) : `<span class="content-tab-dot" style="background:var(--drac-comment)"></span>${fallbackLabel}`;
+        html += `<button class="content-tab" data-tab="desc${i + 1}">${label}</button>`;
+    }
     html += `<button class="content-tab content-tab--vs${vsHasData ? ' content-tab--vs-has-data' : ''}" data-tab="comparison">${vsLabel}</button>`;
+    html += `<button class="content-tab content-tab--players" data-tab="players">${escapeHtml(tUi('PLAYERS'))}</button>`;
+    if (activeBrand) {
+        html += `<button class="content-tab content-tab--brand" data-tab="brand">` +
+            `<span class="content-tab-dot" style="background:${getBrandColor(activeBrand)}"></span>${escapeHtml(tBrand(activeBrand) || activeBrand)}</button>`;
+    }
     html +=
         `<div class="content-tab-actions">` +
             `<button class="content-tab content-tab--copy" id="copyMarkdownBtn" type="button" hidden aria-label="${escapeHtml(tUi('COPY'))}">` +
                 COPY_TAB_ICON_SVG +
                 `<span class="copy-btn-label">${escapeHtml(tUi('COPY'))}</span>` +
             `</button>` +
+            `<button class="content-tab content-tab--share content-tab--image" id="shareImageBtn" type="button" aria-label="${escapeHtml(tUi('SHARE_IMAGE_TITLE'))}" title="${escapeHtml(tUi('SHARE_IMAGE_TITLE'))}">` +
+                SHARE_IMAGE_TAB_ICON_SVG +
+                `<span class="share-btn-label">${escapeHtml(tUi('SHARE_IMAGE'))}</span>` +
+            `</button>` +
             `<button class="content-tab content-tab--share" id="shareBtn" type="button" aria-label="${escapeHtml(tUi('SHARE'))}">` +
                 `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M4 12v8a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2v-8"/><polyline points="16 6 12 2 8 6"/><line x1="12" y1="2" x2="12" y2="15"/></svg>` +
                 `<span class="share-btn-label">${escapeHtml(tUi('SHARE'))}</span>` +
@@ -376,17 +886,18 @@ function highlightActiveTab() {
         btn.style.borderBottomWidth = '';
         if (isActive && btn.classList.contains('content-tab--share')) {
             // Share button keeps its own styling
-        } else if (isActive && !btn.classList.contains('content-tab--vs')) {
-            const idx = tabKey === 'desc1' ? 0 : 1;
+        } else if (isActive && /^desc\d+$/.test(tabKey)) {
+            const idx = parseInt(tabKey.slice(4), 10) - 1;
             const rubber = selectedRubbers[idx];
             const color = rubber ? getBrandColor(rubber.brand) : null;
             if (color) {
                 btn.style.background = color + '22';
             }
         } else if (isActive && btn.classList.contains('content-tab--vs')) {
-            const colorL = selectedRubbers[0] ? getBrandColor(selectedRubbers[0].brand) : 'rgba(155,148,132,0.3)';
-            const colorR = selectedRubbers[1] ? getBrandColor(selectedRubbers[1].brand) : 'rgba(155,148,132,0.3)';
-            btn.style.background = `linear-gradient(135deg, ${colorL}22, ${colorR}22)`;
+            const colors = selectedRubbers.length > 2
+                ? getSelectedRubberList().map(r => getBrandColor(r.brand))
+                : selectedRubbers.map(r => r ? getBrandColor(r.brand) : 'rgba(155,148,132,0.3)');
+            btn.style.background = `linear-gradient(135deg, ${colors.map(c => c + '22').join(', ')})`;
         }
     });
 }
@@ -405,9 +916,16 @@ function setActiveTab(tabId) {
 
     activeTab = tabId;
 
+    purgePriceHistoryCharts(pane);
+
     if (tabId && tabContents[tabId] != null) {
         pane.classList.remove('content-pane--empty');
         pane.innerHTML = tabContents[tabId];
+        renderPriceHistoryCharts(pane);
+        renderSimilarRubbers(pane);
+        renderRubberNotes(pane);
+        renderRankHistories(pane);
+        renderMetricBreakdowns(pane);
         // Restore scroll position
         requestAnimationFrame(() => {
             const scrollEl = pane.querySelector('.content-pane-scroll');
@@ -443,13 +961,18 @@ async function updateDetailPanel(panelNum, rubber) {
     const localizedRubber = tRubberName(rubber) || rubber.name || rubber.abbr || '';
     const detailMarkdown = await fetchRubberDescriptionMarkdown(rubber.brand, rubber.abbr);
     copyableMarkdownByTab[tabKey] = detailMarkdown || null;
+    const priceHistoryHtml = buildPriceHistoryHtml([rubber]);
+    const similarHtml = buildSimilarRubbersPlaceholderHtml(rubber, panelNum);
+    const notesHtml = buildRubberNotesPlaceholderHtml(rubber);
+    const rankHistoryHtml = buildRankHistoryPlaceholderHtml(rubber);
+    const breakdownHtml = buildMetricBreakdownPlaceholderHtml(rubber);
     const headerHtml =
         `<div class="rubber-title-header">` +
             `<div class="rubber-title-top">` +
-                `<span class="brand-pill" style="background:${brandColor}18;border-color:${brandColor}55;color:${brandColor}">` +
+                `<a class="brand-pill brand-pill--link" href="/${selectedCountry || 'en'}/brands/${escapeHtml(getBrandSlug(rubber.brand))}" data-brand-link="${escapeHtml(rubber.brand)}" style="background:${brandColor}18;border-color:${brandColor}55;color:${brandColor}">` +
                     `<span class="brand-dot" style="background:${brandColor}"></span>` +
                     `${escapeHtml(localizedBrand)}` +
-                `</span>` +
+                `</a>` +
             `</div>` +
             `<div class="rubber-title-row">` +
                 `<h1 class="rubber-name">${escapeHtml(localizedRubber)}</h1>` +
@@ -467,9 +990,9 @@ async function updateDetailPanel(panelNum, rubber) {
             ariaSubject: 'this description'
         });
         const html = marked.parse(detailMarkdown);
-        tabContents[tabKey] = headerHtml + `<div class="content-pane-scroll md-description">${html}${feedbackButtonsHtml}</div>`;
+        tabContents[tabKey] = headerHtml + `<div class="content-pane-scroll md-description">${breakdownHtml}${priceHistoryHtml}${rankHistoryHtml}${notesHtml}${similarHtml}${html}${feedbackButtonsHtml}</div>`;
     } else {
-        tabContents[tabKey] = headerHtml + '<div class="content-pane-scroll"><p class="comparison-status-msg">No description available.</p></div>';
+        tabContents[tabKey] = headerHtml + `<div class="content-pane-scroll">${breakdownHtml}${priceHistoryHtml}${rankHistoryHtml}${notesHtml}${similarHtml}<p class="comparison-status-msg">No description available.</p></div>`;
     }
 
     renderTabs();
@@ -481,7 +1004,8 @@ async function updateDetailPanel(panelNum, rubber) {
 }
 
 function resetDetailPanels() {
-    copyableMarkdownByTab.desc1 = copyableMarkdownByTab.desc2 = copyableMarkdownByTab.comparison = null;
+    for (const key of Object.keys(copyableMarkdownByTab)) copyableMarkdownByTab[key] = null;
+    activeComparisonPair = [0, 1];
     tabContents = { desc1: null, desc2: null, comparison: null };
     tabScrollPositions = { desc1: 0, desc2: 0, comparison: 0 };
     activeTab = null;
@@ -492,6 +1016,7 @@ function resetDetailPanels() {
 /** Clear detail slots when selected rubbers are hidden by locale (e.g. after country switch). */
 function pruneInvalidRubberSelections() {
     let changed = false;
+    const hadExtras = selectedRubbers.length > 2;
     for (let i = 0; i < 2; i++) {
         const r = selectedRubbers[i];
         if (r && !rubberByAbbr.has(r.abbr)) {
@@ -501,8 +1026,21 @@ function pruneInvalidRubberSelections() {
             changed = true;
         }
     }
+    // Extra comparison slots are dropped rather than left empty
+    for (let i = selectedRubbers.length - 1; i >= 2; i--) {
+        const r = selectedRubbers[i];
+        if (!r || !rubberByAbbr.has(r.abbr)) {
+            selectedRubbers.splice(i, 1);
+            changed = true;
+        }
+    }
     if (!changed) return;
 
+    if (hadExtras) {
+        fillEmptyBaseSlotsFromExtras();
+        resyncDetailTabs();
+    }
+
     renderTabs();
     if (activeTab) setActiveTab(activeTab);
     if (typeof updateComparisonBar === 'function') void updateComparisonBar();
@@ -511,8 +1049,153 @@ function pruneInvalidRubberSelections() {
     if (typeof pushFiltersToUrl === 'function') pushFiltersToUrl();
 }
 
-function handleRubberClick(rubber) {
+// ── Multi-rubber comparison ──
+// Slots 0/1 keep the classic pin / alternate behaviour; extra slots (up to
+// MAX_COMPARE_RUBBERS) are added with modifier-click or the popup's + button.
+
+function getSelectedRubberList() {
+    return selectedRubbers.filter(Boolean);
+}
+
+function isMultiCompareActive() {
+    return getSelectedRubberList().length > 2;
+}
+
+function fillEmptyBaseSlotsFromExtras() {
+    for (let i = 0; i < 2; i++) {
+        if (!selectedRubbers[i] && selectedRubbers.length > 2) {
+            selectedRubbers[i] = selectedRubbers.splice(2, 1)[0];
+            pinnedRubbers[i] = false;
+        }
+    }
+}
+
+/** Re-render every desc tab after slots shift (removal / prune). */
+function resyncDetailTabs() {
+    for (const key of Object.keys(tabContents)) {
+        if (!key.startsWith('desc')) continue;
+        delete tabContents[key];
+        delete tabScrollPositions[key];
+        delete copyableMarkdownByTab[key];
+    }
+    for (let i = 0; i < Math.max(2, selectedRubbers.length); i++) {
+        const key = `desc${i + 1}`;
+        tabContents[key] = null;
+        tabScrollPositions[key] = 0;
+        copyableMarkdownByTab[key] = null;
+    }
+    if (activeTab && activeTab.startsWith('desc') && !(activeTab in tabContents)) activeTab = 'comparison';
+    const [a, b] = activeComparisonPair;
+    if (!selectedRubbers[a] || !selectedRubbers[b] || a === b) activeComparisonPair = [0, 1];
+    selectedRubbers.forEach((r, i) => { if (r) updateDetailPanel(i + 1, r); });
+}
+
+function refreshComparisonViews() {
+    updateRadarChart();
+    updateComparisonBar();
+    updateChart({ preserveRanges: true, force: true });
+    renderTabs();
+    navigateToPath(buildCurrentPath(), { clearHash: true });
+}
+
+/**
+ * Add a rubber to the comparison without replacing the current pair.
+ * Empty base slots are filled first; once MAX_COMPARE_RUBBERS is reached
+ * the last extra slot is replaced. Returns the slot index used.
+ */
+function addRubberToComparison(rubber) {
+    if (!rubber) return -1;
+    const existing = selectedRubbers.indexOf(rubber);
+    if (existing >= 0) {
+        setActiveTab(`desc${existing + 1}`);
+        return existing;
+    }
     resumeSpotlightRotation();
+    let slot = selectedRubbers.findIndex(r => !r);
+    if (slot < 0) slot = Math.min(selectedRubbers.length, MAX_COMPARE_RUBBERS - 1);
+    selectedRubbers[slot] = rubber;
+    if (slot < 2) nextDetailPanel = slot === 0 ? 2 : 1;
+    tabContents[`desc${slot + 1}`] = null;
+    updateDetailPanel(slot + 1, rubber);
+    refreshComparisonViews();
+    setActiveTab(`desc${slot + 1}`);
+    return slot;
+}
+
+function removeRubberFromComparison(index) {
+    if (!selectedRubbers[index]) return;
+    if (index < 2 && selectedRubbers.length > 2) {
+        // Promote the first extra rubber into the vacated base slot
+        selectedRubbers[index] = selectedRubbers.splice(2, 1)[0];
+        pinnedRubbers[index] = false;
+    } else if (index < 2) {
+        selectedRubbers[index] = null;
+        pinnedRubbers[index] = false;
+    } else {
+        selectedRubbers.splice(index, 1);
+    }
+    resyncDetailTabs();
+    refreshComparisonViews();
+    setActiveTab(activeTab || 'comparison');
+}
+
+/** Swap the left and right rubbers, pins included; the open tab follows its rubber. */
+function swapSelectedRubbers() {
+    if (!selectedRubbers[0] && !selectedRubbers[1]) return;
+    [selectedRubbers[0], selectedRubbers[1]] = [selectedRubbers[1], selectedRubbers[0]];
+    [pinnedRubbers[0], pinnedRubbers[1]] = [pinnedRubbers[1], pinnedRubbers[0]];
+    nextDetailPanel = nextDetailPanel === 1 ? 2 : 1;
+    if (activeTab === 'desc1' || activeTab === 'desc2') activeTab = activeTab === 'desc1' ? 'desc2' : 'desc1';
+    resyncDetailTabs();
+    refreshComparisonViews();
+    setActiveTab(activeTab || 'desc1');
+}
+
+/** Pin or unpin the left (0) or right (1) rubber; only one side can be pinned at a time. */
+function togglePinnedRubber(index) {
+    if (index > 1) return;
+    const other = index === 0 ? 1 : 0;
+    pinnedRubbers[index] = !pinnedRubbers[index];
+    if (pinnedRubbers[index]) pinnedRubbers[other] = false;
+    // Update hint text to reflect current state
+    document.querySelectorAll('.radar-pin-btn').forEach(b => {
+        const i = parseInt(b.dataset.panelIndex, 10);
+        b.dataset.hint = pinnedRubbers[i] ? 'Pinned' : 'Unpinned';
+    });
+    updateRadarChart();
+    pushFiltersToUrl();
+}
+
+/** Switch which two slots the VS tab's written comparison shows. */
+function selectComparisonPair(a, b) {
+    if (!selectedRubbers[a] || !selectedRubbers[b] || a === b) return;
+    activeComparisonPair = [a, b];
+    void updateComparisonBar();
+}
+
+function buildComparisonPairNavHtml() {
+    const slots = selectedRubbers.map((r, i) => r ? i : -1).filter(i => i >= 0);
+    if (slots.length <= 2) return '';
+    const [activeA, activeB] = activeComparisonPair;
+    let chips = '';
+    for (let x = 0; x < slots.length; x++) {
+        for (let y = x + 1; y < slots.length; y++) {
+            const a = slots[x];
+            const b = slots[y];
+            const isActive = a === activeA && b === activeB;
+            const label = `${tRubberAbbr(selectedRubbers[a])} vs ${tRubberAbbr(selectedRubbers[b])}`;
+            chips +=
+                `<button type="button" class="comparison-pair-chip${isActive ? ' comparison-pair-chip--active' : ''}" data-compare-pair="${a}-${b}" aria-pressed="${isActive}">` +
+                    `<span class="content-tab-dot" style="background:${getBrandColor(selectedRubbers[a].brand)}"></span>` +
+                    `<span class="content-tab-dot" style="background:${getBrandColor(selectedRubbers[b].brand)}"></span>` +
+                    `${escapeHtml(label)}` +
+                `</button>`;
+        }
+    }
+    return `<div class="comparison-pair-nav" role="group" aria-label="${escapeHtml(tUi('COMPARE_PAIRS'))}">${chips}</div>`;
+}
+
+function handleRubberClick(rubber) {
     let panelNum;
     if (pinnedRubbers[0] && !pinnedRubbers[1]) {
         // Left is pinned — always replace right
@@ -524,6 +1207,12 @@ function handleRubberClick(rubber) {
         // Neither or both pinned — use default alternating behaviour
         panelNum = nextDetailPanel;
     }
+    return showRubberInPanel(rubber, panelNum);
+}
+
+/** Put a rubber in the left (1) or right (2) panel, whatever is pinned. */
+function showRubberInPanel(rubber, panelNum) {
+    resumeSpotlightRotation();
     nextDetailPanel = panelNum === 1 ? 2 : 1;
     selectedRubbers[panelNum - 1] = rubber;
     updateDetailPanel(panelNum, rubber);
@@ -592,12 +1281,16 @@ function buildContentFeedbackButtonsHtml(context = {}) {
 }
 
 async function updateComparisonBar() {
-    const [left, right] = selectedRubbers;
+    if (!selectedRubbers[activeComparisonPair[0]] || !selectedRubbers[activeComparisonPair[1]]) activeComparisonPair = [0, 1];
+    const left = selectedRubbers[activeComparisonPair[0]];
+    const right = selectedRubbers[activeComparisonPair[1]];
     if (left && right) {
         const renderToken = ++comparisonRenderToken;
+        const pairNavHtml = buildComparisonPairNavHtml();
         copyableMarkdownByTab.comparison = null;
         // Set initial comparison content (title only)
         tabContents.comparison =
+            pairNavHtml +
             buildComparisonTitleHtml(left, right, false) +
             `<div class="content-pane-scroll"><p class="comparison-status-msg">Loading comparison…</p></div>`;
         renderTabs();
@@ -616,15 +1309,18 @@ async function updateComparisonBar() {
                 ariaSubject: 'this comparison'
             });
             tabContents.comparison =
+                pairNavHtml +
                 buildComparisonTitleHtml(left, right, true) +
-                `<div class="content-pane-scroll md-comparison">${marked.parse(markdown)}${comparisonFeedbackButtonsHtml}</div>`;
+                `<div class="content-pane-scroll md-comparison">${buildPriceHistoryHtml([left, right])}${marked.parse(markdown)}${comparisonFeedbackButtonsHtml}</div>`;
         } else {
             copyableMarkdownByTab.comparison = null;
             const leftName = escapeHtml(left.name || left.abbr || '');
             const rightName = escapeHtml(right.name || right.abbr || '');
             tabContents.comparison =
+                pairNavHtml +
                 buildComparisonTitleHtml(left, right, false) +
                 `<div class="content-pane-scroll">` +
+                    buildPriceHistoryHtml([left, right]) +
                     `<div class="comparison-empty-state">` +
                         `<div class="comparison-empty-mascot">${MASCOT_SVG}</div>` +
                         `<h3 class="comparison-empty-title">${tUi('NO_COMPARISON')}</h3>` +
@@ -713,3 +1409,875 @@ function dismissShareToast() {
     if (b) b.classList.remove('is-visible');
     if (shareToastTimer) { clearTimeout(shareToastTimer); shareToastTimer = null; }
 }
+
+// ── Share image ──
+// A 4:5 card with the chart, the radar and the hero metrics of the selected
+// rubbers, drawn as one SVG; the PNG is that SVG rasterised on a canvas.
+
+let shareImageSvg = null;
+let shareImageRenderToken = 0;
+
+// Plotly exports a figure at its on-screen size (labels are placed for that size)
+async function exportPlotSvgUrl(elementId) {
+    const el = document.getElementById(elementId);
+    if (!el?.data || typeof Plotly === 'undefined') return null;
+    const width = el.clientWidth || el._fullLayout?.width || 900;
+    const height = el.clientHeight || el._fullLayout?.height || 560;
+    try {
+        return await Plotly.toImage(el, { format: 'svg', width, height });
+    } catch (error) {
+        console.warn('Could not export chart:', error);
+        return null;
+    }
+}
+
+function buildShareImageText(x, y, content, { size = 20, color = '#dde4f0', weight = 400, anchor = 'start' } = {}) {
+    return `<text x="${x}" y="${y}" font-size="${size}" fill="${color}" font-weight="${weight}" text-anchor="${anchor}">${content}</text>`;
+}
+
+function buildShareImageMetricsSvg(rubbers, x, y, width, height) {
+    const metrics = getHeroMetricEntries(rubbers);
+    const headingHeight = 34;
+    const rowHeight = Math.min(30, (height - 40 - metrics.length * headingHeight) / (metrics.length * rubbers.length));
+    const barX = x + 190;
+    const barWidth = width - 190 - 80;
+    let cursor = y + 20;
+    let svg = '';
+    for (const metric of metrics) {
+        cursor += headingHeight;
+        svg += buildShareImageText(x + 24, cursor - 10, `${metric.icon} ${escapeHtml(tUi(metric.labelKey))}`, { size: 20, color: '#d4b84a', weight: 700 });
+        const ranks = metric.entries.map(e => e.rank).filter(Number.isFinite);
+        const bestRank = ranks.length > 1 ? Math.min(...ranks) : null;
+        for (const { rubber, rank, pct } of metric.entries) {
+            const color = getBrandColor(rubber.brand);
+            const mid = cursor + rowHeight / 2;
+            const fill = Number.isFinite(pct) ? Math.max(0, Math.min(100, pct)) / 100 * barWidth : 0;
+            svg +=
+                buildShareImageText(x + 24, mid + 6, escapeHtml(tRubberAbbr(rubber)), { size: 17 }) +
+                `<rect x="${barX}" y="${mid - 6}" width="${barWidth}" height="12" rx="6" fill="rgba(255,255,255,0.08)"/>` +
+                `<rect x="${barX}" y="${mid - 6}" width="${fill.toFixed(1)}" height="12" rx="6" fill="${color}"/>` +
+                buildShareImageText(x + width - 24, mid + 6, Number.isFinite(rank) ? `#${rank}` : '-', {
+                    size: 17,
+                    anchor: 'end',
+                    weight: rank === bestRank ? 700 : 400,
+                    color: rank === bestRank ? '#5cb87a' : '#dde4f0'
+                });
+            cursor += rowHeight;
+        }
+    }
+    return svg;
+}
+
+/** The share card as an SVG string; `chartUrl` / `radarUrl` are Plotly SVG exports (null to leave out). */
+function buildShareImageSvg({ chartUrl, radarUrl, rubbers, url }) {
+    const W = SHARE_IMAGE_WIDTH;
+    const H = SHARE_IMAGE_HEIGHT;
+    const panel = (x, y, w, h) => `<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="20" fill="#1e2126"/>`;
+    const image = (href, x, y, w, h) => href
+        ? `<image href="${escapeHtml(href)}" x="${x}" y="${y}" width="${w}" height="${h}" preserveAspectRatio="xMidYMid meet"/>`
+        : '';
+
+    const axisCaption = ['x', 'y'].map(axis => {
+        const metric = getChartAxisMetric(axis);
+        return `${metric.icon} ${tUi(metric.labelKey)}`;
+    }).join('  ×  ');
+    const titleHtml = rubbers.length
+        ? rubbers.map((rubber, i) =>
+            (i ? '<tspan fill="#6b7280"> vs </tspan>' : '') +
+            `<tspan fill="${getBrandColor(rubber.brand)}">${escapeHtml(tRubber(rubber))}</tspan>`
+        ).join('')
+        : escapeHtml(axisCaption);
+    const subtitle = rubbers.length
+        ? [...new Set(rubbers.map(rubber => tBrand(rubber.brand) || rubber.brand))].join(' · ')
+        : '';
+
+    // Without a selection the chart takes the radar and metrics' space
+    const chartHeight = rubbers.length ? 600 : 1040;
+    let body = panel(40, 200, W - 80, chartHeight) + image(chartUrl, 50, 210, W - 100, chartHeight - 40) +
+        buildShareImageText(W - 64, 200 + chartHeight - 16, escapeHtml(axisCaption), { size: 16, color: '#6b7280', anchor: 'end' });
+    if (rubbers.length) {
+        body +=
+            panel(40, 830, 470, 420) + image(radarUrl, 50, 840, 450, 400) +
+            panel(530, 830, W - 570, 420) + buildShareImageMetricsSvg(rubbers, 530, 830, W - 570, 420);
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}" font-family="${escapeHtml(CHART_FONT)}">` +
+        `<rect width="${W}" height="${H}" fill="#111214"/>` +
+        buildShareImageText(60, 70, 'PingPongLab', { size: 28, color: '#e07a40', weight: 700 }) +
+        buildShareImageText(60, 136, titleHtml, { size: rubbers.length > 2 ? 34 : 46, weight: 700 }) +
+        (subtitle ? buildShareImageText(60, 176, escapeHtml(subtitle), { size: 22, color: '#6b7280' }) : '') +
+        body +
+        buildShareImageText(60, H - 40, escapeHtml(url), { size: 22, color: '#60a5d8' }) +
+        `</svg>`;
+}
+
+function getShareImageDataUrl(svg) {
+    return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+}
+
+function rasterizeShareImage(svg) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = SHARE_IMAGE_WIDTH * SHARE_IMAGE_PNG_SCALE;
+            canvas.height = SHARE_IMAGE_HEIGHT * SHARE_IMAGE_PNG_SCALE;
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+        };
+        img.onerror = () => reject(new Error('Share image did not load'));
+        img.src = getShareImageDataUrl(svg);
+    });
+}
+
+function getShareImageFileName(extension) {
+    const names = getSelectedRubberList().map(rubber => SLUG_MAP?.abbrToSlug[rubber.abbr] || rubber.abbr);
+    const stem = (names.length ? names.join('-vs-') : 'chart').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return `pingponglab-${stem}.${extension}`;
+}
+
+async function handleShareImageAction(action) {
+    if (!shareImageSvg) return;
+    if (action === 'svg') {
+        downloadBlob(new Blob([shareImageSvg], { type: 'image/svg+xml' }), getShareImageFileName('svg'));
+        return;
+    }
+    try {
+        const blob = await rasterizeShareImage(shareImageSvg);
+        if (action === 'send') {
+            const file = new File([blob], getShareImageFileName('png'), { type: 'image/png' });
+            await navigator.share({ files: [file], title: document.title, url: getShareUrl() });
+        } else {
+            downloadBlob(blob, getShareImageFileName('png'));
+        }
+    } catch (error) {
+        // Closing the share sheet rejects with AbortError
+        if (error?.name !== 'AbortError') setShareImageStatus(tUi('SHARE_IMAGE_FAILED'));
+    }
+}
+
+function setShareImageStatus(message) {
+    const status = document.getElementById('shareImageStatus');
+    if (!status) return;
+    status.textContent = message;
+}
+
+function ensureShareImageModal() {
+    let modal = document.getElementById('shareImageModal');
+    if (modal) return modal;
+    modal = createModal({
+        id: 'shareImageModal',
+        className: 'share-image-modal',
+        cardClassName: 'share-image-modal-card',
+        labelledBy: 'shareImageTitle',
+        html:
+            `<h2 id="shareImageTitle"></h2>` +
+            `<img class="share-image-preview" id="shareImagePreview" alt="" hidden>` +
+            `<p class="share-image-status" id="shareImageStatus" role="status"></p>` +
+            `<div class="finder-actions share-image-actions">` +
+                `<button type="button" class="finder-action-btn" data-share-image-action="png"></button>` +
+                `<button type="button" class="finder-action-btn" data-share-image-action="svg"></button>` +
+                `<button type="button" class="finder-action-btn finder-action-btn--primary" data-share-image-action="send" hidden></button>` +
+            `</div>`,
+        onClose: closeShareImage
+    });
+
+    modal.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-share-image-action]');
+        if (btn && !btn.disabled) void handleShareImageAction(btn.dataset.shareImageAction);
+    });
+    return modal;
+}
+
+// Sharing files is the part of the Web Share API many desktop browsers lack
+function canShareImageFile() {
+    try {
+        const probe = new File([''], 'probe.png', { type: 'image/png' });
+        return typeof navigator.share === 'function' && Boolean(navigator.canShare?.({ files: [probe] }));
+    } catch {
+        return false;
+    }
+}
+
+async function openShareImage() {
+    const modal = ensureShareImageModal();
+    const preview = document.getElementById('shareImagePreview');
+    const actionButtons = modal.querySelectorAll('[data-share-image-action]');
+    const labels = { png: 'SHARE_IMAGE_PNG', svg: 'SHARE_IMAGE_SVG', send: 'SHARE_IMAGE_SEND' };
+    actionButtons.forEach(btn => {
+        btn.textContent = tUi(labels[btn.dataset.shareImageAction]);
+        btn.disabled = true;
+    });
+    modal.querySelector('[data-share-image-action="send"]').hidden = !canShareImageFile();
+    document.getElementById('shareImageTitle').textContent = tUi('SHARE_IMAGE_TITLE');
+    showModal(modal);
+
+    const renderToken = ++shareImageRenderToken;
+    shareImageSvg = null;
+    preview.hidden = true;
+    setShareImageStatus(tUi('SHARE_IMAGE_RENDERING'));
+    const rubbers = getSelectedRubberList();
+    const [chartUrl, radarUrl] = await Promise.all([
+        exportPlotSvgUrl('chart'),
+        rubbers.length ? exportPlotSvgUrl('radarChart') : null
+    ]);
+    if (renderToken !== shareImageRenderToken) return;
+    if (!chartUrl) {
+        setShareImageStatus(tUi('SHARE_IMAGE_FAILED'));
+        return;
+    }
+
+    shareImageSvg = buildShareImageSvg({ chartUrl, radarUrl, rubbers, url: window.location.origin + buildCurrentPath() });
+    preview.src = getShareImageDataUrl(shareImageSvg);
+    preview.alt = tUi('SHARE_IMAGE_TITLE');
+    preview.hidden = false;
+    setShareImageStatus('');
+    actionButtons.forEach(btn => { btn.disabled = false; });
+}
+
+function closeShareImage() {
+    if (hideModal(document.getElementById('shareImageModal'))) shareImageRenderToken++;
+}
+
+// ── Players ──
+// Pro player list and per-player pages. Both render into the content pane as the
+// "players" tab; the path mirrors them as /{country}/players[/{slug}].
+
+const PLAYER_SORT_LABEL_KEYS = { ranking: 'PLAYERS_SORT_RANKING', country: 'PLAYERS_SORT_COUNTRY', brand: 'PLAYERS_SORT_BRAND' };
+
+function getPlayerRankSortKey(player) {
+    if (Number.isFinite(player.ranking)) return player.ranking;
+    // TTBL-only players follow everyone with a world ranking
+    if (Number.isFinite(player.ttbl_ranking)) return 1000 + player.ttbl_ranking;
+    return Infinity;
+}
+
+function comparePlayersByRank(a, b) {
+    const ra = getPlayerRankSortKey(a);
+    const rb = getPlayerRankSortKey(b);
+    if (ra !== rb) return ra < rb ? -1 : 1;
+    return a.canonical_name.localeCompare(b.canonical_name);
+}
+
+// Players without the field (no country, no known rubber) sink to the bottom
+function comparePlayerField(a, b, getField) {
+    const va = getField(a);
+    const vb = getField(b);
+    if (va && vb) return va.localeCompare(vb) || comparePlayersByRank(a, b);
+    if (va || vb) return va ? -1 : 1;
+    return comparePlayersByRank(a, b);
+}
+
+function getSortedPlayers(sortKey = playerListSort) {
+    const players = Object.values(playersData);
+    if (sortKey === 'country') {
+        return players.sort((a, b) => comparePlayerField(a, b, p => p.country_code || ''));
+    }
+    if (sortKey === 'brand') {
+        return players.sort((a, b) => comparePlayerField(a, b, p => (p.forehand || '').split('/')[0]));
+    }
+    return players.sort(comparePlayersByRank);
+}
+
+function formatPlayerRankLabel(player) {
+    if (player.ranking) return `WTT #${player.ranking}`;
+    if (player.ttbl_ranking) return `TTBL #${player.ttbl_ranking}`;
+    return '';
+}
+
+function buildPlayerRubberChipHtml(player, side) {
+    const rubber = getPlayerRubber(player, side);
+    const sideLabel = side === 'backhand' ? 'BH' : 'FH';
+    if (!rubber) {
+        const fallback = (player[side] || '').split('/').pop() || '—';
+        return `<span class="player-rubber-chip player-rubber-chip--missing" title="${escapeHtml(tUi('PLAYERS_RUBBER_UNAVAILABLE'))}">` +
+            `<span class="player-rubber-side">${sideLabel}</span>${escapeHtml(fallback)}</span>`;
+    }
+    const color = getBrandColor(rubber.brand);
+    return `<span class="player-rubber-chip" style="border-color:${color}55;color:${color}">` +
+        `<span class="player-rubber-side">${sideLabel}</span>${escapeHtml(tRubberAbbr(rubber))}</span>`;
+}
+
+function buildPlayerListHtml() {
+    const country = selectedCountry || 'en';
+    const sortButtons = Object.entries(PLAYER_SORT_LABEL_KEYS).map(([key, labelKey]) =>
+        `<button type="button" class="player-sort-btn${key === playerListSort ? ' is-active' : ''}" data-player-sort="${key}" aria-pressed="${key === playerListSort}">${escapeHtml(tUi(labelKey))}</button>`
+    ).join('');
+    const rows = getSortedPlayers().map(player => {
+        const slug = getPlayerSlug(player.canonical_name);
+        const imgSrc = playerEmojiPath(getPlayerImageName(player.canonical_name), player.image_ext);
+        return `<li><a class="player-row" href="/${country}/players/${escapeHtml(slug)}" data-player-slug="${escapeHtml(slug)}">` +
+            `<img class="player-row-img" src="${escapeHtml(imgSrc)}" alt="" width="36" height="36" loading="lazy" onerror="this.style.visibility='hidden'">` +
+            `<span class="player-row-name">${getPlayerCountryFlagHtml(player)}${escapeHtml(getLocalizedPlayerName(player.canonical_name))}</span>` +
+            `<span class="player-row-rank">${escapeHtml(formatPlayerRankLabel(player))}</span>` +
+            `<span class="player-row-rubbers">${buildPlayerRubberChipHtml(player, 'forehand')}${buildPlayerRubberChipHtml(player, 'backhand')}</span>` +
+            `</a></li>`;
+    }).join('');
+
+    return `<div class="rubber-title-header players-header">` +
+            `<h2 class="players-title">${escapeHtml(tUi('PLAYERS_TITLE'))}</h2>` +
+            `<div class="player-sort" role="group" aria-label="${escapeHtml(tUi('PLAYERS_SORT_BY'))}">${sortButtons}</div>` +
+        `</div>` +
+        `<div class="content-pane-scroll"><ol class="player-list">${rows}</ol></div>`;
+}
+
+function buildPlayerSideCardHtml(player, side, slotIndex) {
+    const rubber = getPlayerRubber(player, side);
+    const label = escapeHtml(tUi(side === 'backhand' ? 'BACKHAND' : 'FOREHAND'));
+    if (!rubber) {
+        const fallback = (player[side] || '').split('/').pop() || '—';
+        return `<div class="player-side-card player-side-card--missing">` +
+            `<span class="player-side-label">${label}</span>` +
+            `<span class="player-side-name">${escapeHtml(fallback)}</span>` +
+            `<span class="player-side-note">${escapeHtml(tUi('PLAYERS_RUBBER_UNAVAILABLE'))}</span>` +
+            `</div>`;
+    }
+    const color = getBrandColor(rubber.brand);
+    const slug = SLUG_MAP?.abbrToSlug[rubber.abbr] || '';
+    return `<a class="player-side-card" href="/${selectedCountry || 'en'}/rubbers/${escapeHtml(slug)}" data-player-rubber-slot="${slotIndex}" style="border-top-color:${color}">` +
+        `<span class="player-side-label">${label}</span>` +
+        `<span class="brand-pill" style="background:${color}18;border-color:${color}55;color:${color}">` +
+            `<span class="brand-dot" style="background:${color}"></span>${escapeHtml(tBrand(rubber.brand))}` +
+        `</span>` +
+        `<span class="player-side-name">${escapeHtml(tRubberName(rubber) || rubber.abbr)}</span>` +
+        `</a>`;
+}
+
+function buildPlayerPageHtml(player) {
+    const country = selectedCountry || 'en';
+    const name = getLocalizedPlayerName(player.canonical_name);
+    const fh = getPlayerRubber(player, 'forehand');
+    const bh = getPlayerRubber(player, 'backhand');
+    const imgSrc = playerEmojiPath(getPlayerImageName(player.canonical_name), player.image_ext);
+
+    let compareHtml = '';
+    if (fh && bh && fh === bh) {
+        compareHtml = `<p class="player-compare-note">${escapeHtml(tUi('PLAYERS_SAME_RUBBER'))}</p>`;
+    } else if (fh && bh && SLUG_MAP) {
+        const slugs = [fh, bh].map(r => SLUG_MAP.abbrToSlug[r.abbr]);
+        if (slugs.every(Boolean)) {
+            compareHtml = `<a class="player-compare-link" href="/${country}/rubbers/compare/${escapeHtml(slugs.sort().join('-vs-'))}" data-player-compare>` +
+                `🆚 ${escapeHtml(tUi('PLAYERS_COMPARE_RUBBERS'))}</a>`;
+        }
+    }
+
+    const videoIds = collectPlayerVideoIdsByName(player.canonical_name);
+    const playlist = escapeHtml(videoIds.join(','));
+    const videos = videoIds.map((id, i) =>
+        `<li><a class="player-video" href="#" data-yt-videoid="${escapeHtml(id)}" data-yt-playlist="${playlist}" data-yt-index="${i}" aria-label="${escapeHtml(name)} ${i + 1}">` +
+            `<img src="https://i.ytimg.com/vi/${escapeHtml(id)}/mqdefault.jpg" alt="" loading="lazy" width="160" height="90">` +
+        `</a></li>`
+    ).join('');
+    const videosHtml = videos
+        ? `<h3 class="player-section-title">${escapeHtml(tUi('PLAYERS_VIDEOS'))} <span class="player-section-count">${videoIds.length}</span></h3><ul class="player-videos">${videos}</ul>`
+        : '';
+    // Slot index matches the selection made by openPlayersTab (same rubber on both sides uses slot 0)
+    const bhSlot = fh && bh === fh ? 0 : 1;
+
+    return `<div class="rubber-title-header player-page-header">` +
+            `<a class="player-back-link" href="/${country}/players" data-player-slug="">← ${escapeHtml(tUi('PLAYERS_BACK'))}</a>` +
+            `<div class="player-page-title">` +
+                `<img class="player-page-img" src="${escapeHtml(imgSrc)}" alt="" width="56" height="56" onerror="this.remove()">` +
+                `<div>` +
+                    `<h2 class="rubber-name">${getPlayerCountryFlagHtml(player)}${escapeHtml(name)}</h2>` +
+                    `<span class="player-row-rank">${escapeHtml(formatPlayerRankLabel(player))}</span>` +
+                `</div>` +
+            `</div>` +
+        `</div>` +
+        `<div class="content-pane-scroll">` +
+            `<div class="player-sides">${buildPlayerSideCardHtml(player, 'forehand', 0)}${buildPlayerSideCardHtml(player, 'backhand', bhSlot)}</div>` +
+            compareHtml +
+            videosHtml +
+        `</div>`;
+}
+
+/** Put the player's forehand/backhand rubbers into slots 1 and 2 so they show on the chart and radar. */
+function selectPlayerRubbers(player) {
+    const fh = getPlayerRubber(player, 'forehand');
+    const bh = getPlayerRubber(player, 'backhand');
+    const picks = [fh, bh !== fh ? bh : null];
+    if (!picks.some(Boolean)) return;
+
+    resetYouTubePlayers();
+    selectedRubbers = [null, null];
+    pinnedRubbers = [false, false];
+    resetDetailPanels();
+    picks.forEach((rubber, i) => {
+        if (!rubber) return;
+        selectedRubbers[i] = rubber;
+        updateDetailPanel(i + 1, rubber);
+    });
+    nextDetailPanel = picks[0] && picks[1] ? 1 : 2;
+    updateRadarChart();
+    updateComparisonBar();
+    renderTabs();
+    if (hasPlotted) updateChart({ preserveRanges: true, force: true });
+}
+
+/**
+ * Show the player list (player = null) or a player's page in the content pane.
+ * `updateUrl: false` when the URL already points there (initial load, back/forward).
+ */
+function openPlayersTab(player = null, { updateUrl = true } = {}) {
+    activePlayerName = player ? player.canonical_name : null;
+    if (player) selectPlayerRubbers(player);
+    tabScrollPositions.players = 0;
+    refreshPlayersTab();
+    if (updateUrl) navigateToPath(buildCurrentPath(), { clearHash: true });
+}
+
+/** Rebuild the players pane in place (sort or locale change). */
+function refreshPlayersTab() {
+    const player = activePlayerName ? getPlayerDataByName(activePlayerName) : null;
+    tabContents.players = player ? buildPlayerPageHtml(player) : buildPlayerListHtml();
+    setActiveTab('players');
+}
+
+function setPlayerListSort(sortKey) {
+    if (!PLAYER_SORT_LABEL_KEYS[sortKey] || sortKey === playerListSort) return;
+    playerListSort = sortKey;
+    if (activeTab === 'players' && !activePlayerName) refreshPlayersTab();
+}
+
+/** Leave a player or brand page for one of the selected rubber tabs ('desc1' … or 'comparison'). */
+function showSelectionTab(tabId) {
+    setActiveTab(tabId);
+    navigateToPath(buildCurrentPath(), { clearHash: true });
+}
+
+// ── Brand pages ──
+// /{country}/brands/{slug}: the chart is filtered to the brand and its lineup outlined
+// (buildBrandHullShapes in chart.js); the "brand" tab lists the rubbers and their pros.
+
+function compareRanks(a, b) {
+    const ra = a ?? Infinity;
+    const rb = b ?? Infinity;
+    return ra === rb ? 0 : ra < rb ? -1 : 1;
+}
+
+function getBrandLineup(brand) {
+    return rubberData
+        .filter(r => r.brand === brand)
+        .sort((a, b) => compareRanks(a.speedRank, b.speedRank) || compareRanks(a.spinRank, b.spinRank) || a.abbr.localeCompare(b.abbr));
+}
+
+function getBrandPlayers(brand) {
+    const usesBrand = side => p => (p[side] || '').split('/')[0] === brand;
+    return Object.values(playersData)
+        .filter(p => usesBrand('forehand')(p) || usesBrand('backhand')(p))
+        .sort(comparePlayersByRank);
+}
+
+function buildBrandLineupTableHtml(lineup) {
+    const rankCell = rank => (rank ? `#${rank}` : '—');
+    const headers = ['RUBBER', 'SPEED', 'SPIN', 'CONTROL', 'HARDNESS', 'WEIGHT', 'PRICE', 'RELEASE']
+        .map(key => `<th scope="col">${escapeHtml(tUi(key))}</th>`).join('');
+    const rows = lineup.map(rubber => {
+        const price = formatPriceValue(getRubberEffectivePrice(rubber));
+        return `<tr>` +
+            `<th scope="row"><button type="button" class="brand-lineup-rubber" data-brand-rubber="${escapeHtml(rubber.abbr)}">${escapeHtml(tRubberAbbr(rubber))}</button></th>` +
+            `<td>${rankCell(rubber.speedRank)}</td>` +
+            `<td>${rankCell(rubber.spinRank)}</td>` +
+            `<td>${Number.isFinite(rubber.controlLevel) ? rubber.controlLevel : '—'}</td>` +
+            `<td>${escapeHtml(rubber.hardnessLabel)}</td>` +
+            `<td>${escapeHtml(rubber.weightLabel)}</td>` +
+            `<td>${price ? escapeHtml(price) : '—'}</td>` +
+            `<td>${escapeHtml(rubber.releaseYearLabel)}</td>` +
+            `</tr>`;
+    }).join('');
+    return `<div class="brand-lineup-wrap"><table class="brand-lineup-table"><thead><tr>${headers}</tr></thead><tbody>${rows}</tbody></table></div>`;
+}
+
+function buildBrandPlayersHtml(brand) {
+    const country = selectedCountry || 'en';
+    const players = getBrandPlayers(brand);
+    if (!players.length) return `<p class="brand-page-note">${escapeHtml(tUi('BRAND_PAGE_NO_PROS'))}</p>`;
+    const rows = players.map(player => {
+        const slug = getPlayerSlug(player.canonical_name);
+        return `<li><a class="player-row" href="/${country}/players/${escapeHtml(slug)}" data-player-slug="${escapeHtml(slug)}">` +
+            `<span class="player-row-name">${getPlayerCountryFlagHtml(player)}${escapeHtml(getLocalizedPlayerName(player.canonical_name))}</span>` +
+            `<span class="player-row-rank">${escapeHtml(formatPlayerRankLabel(player))}</span>` +
+            `<span class="player-row-rubbers">${buildPlayerRubberChipHtml(player, 'forehand')}${buildPlayerRubberChipHtml(player, 'backhand')}</span>` +
+            `</a></li>`;
+    }).join('');
+    return `<ol class="player-list">${rows}</ol>`;
+}
+
+function buildBrandPageHtml(brand) {
+    const color = getBrandColor(brand);
+    const lineup = getBrandLineup(brand);
+    return `<div class="rubber-title-header brand-page-header">` +
+            `<div class="rubber-title-row">` +
+                `<h2 class="rubber-name"><span class="brand-dot" style="background:${color}"></span>${escapeHtml(tBrand(brand) || brand)}</h2>` +
+                `<span class="brand-page-count">${lineup.length} ${escapeHtml(tUi('BRAND_PAGE_RUBBERS'))}</span>` +
+            `</div>` +
+            `<button type="button" class="player-sort-btn" data-brand-clear>${escapeHtml(tUi('BRAND_PAGE_SHOW_ALL'))}</button>` +
+        `</div>` +
+        `<div class="content-pane-scroll">` +
+            `<h3 class="player-section-title">${escapeHtml(tUi('BRAND_PAGE_LINEUP'))}</h3>` +
+            `<p class="brand-page-note">${escapeHtml(tUi('BRAND_PAGE_HULL_NOTE'))}</p>` +
+            buildBrandLineupTableHtml(lineup) +
+            `<h3 class="player-section-title">${escapeHtml(tUi('BRAND_PAGE_PROS'))}</h3>` +
+            buildBrandPlayersHtml(brand) +
+        `</div>`;
+}
+
+/**
+ * Open the brand page: filter the chart to the brand and show its lineup tab.
+ * `updateUrl: false` when the URL already points there (initial load, back/forward).
+ */
+function openBrandPage(brand, { updateUrl = true } = {}) {
+    if (!brand) return;
+    const brandChanged = brand !== activeBrand;
+    activeBrand = brand;
+    if (brandChanged) {
+        setCheckedValues('brandFilter', [brand]);
+        buildNameOptionsFromFilters();
+        updateFilterSummary();
+        if (hasPlotted) updateChart({ force: true, resetRanges: true });
+    }
+    tabContents.brand = buildBrandPageHtml(brand);
+    if (brandChanged) tabScrollPositions.brand = 0;
+    renderTabs();
+    setActiveTab('brand');
+    if (updateUrl) navigateToPath(buildCurrentPath(), { clearHash: true });
+}
+
+/** Leave the brand page and restore every brand in the filter. */
+function closeBrandPage({ updateUrl = true } = {}) {
+    if (!activeBrand) return;
+    activeBrand = null;
+    tabContents.brand = null;
+    setCheckedValues('brandFilter', getAllCheckboxValues('brandFilter'));
+    buildNameOptionsFromFilters();
+    updateFilterSummary();
+    renderTabs();
+    if (activeTab === 'brand') setActiveTab(selectedRubbers[0] && selectedRubbers[1] ? 'comparison' : 'desc1');
+    if (hasPlotted) updateChart({ force: true, resetRanges: true });
+    if (updateUrl) navigateToPath(buildCurrentPath(), { clearHash: true });
+}
+
+// ── Setup builder ──
+// Forehand + backhand sheets on one blade. Lives in its own modal so it can
+// be opened from any page; the state is mirrored into the /{country}/setup/… path.
+
+function getSetupSide(side) {
+    return side === 'bh'
+        ? { rubber: setupBuilderState.bh, thickness: setupBuilderState.bhThickness }
+        : { rubber: setupBuilderState.fh, thickness: setupBuilderState.fhThickness };
+}
+
+/** Keep the chosen thickness when the rubber offers it, otherwise fall back to its thickest option. */
+function pickSetupThickness(rubber, thickness) {
+    const options = rubber?.thicknessOptions || [];
+    if (!options.length) return null;
+    if (thickness && options.includes(thickness)) return thickness;
+    return options.find(t => t.toLowerCase() === 'max') ||
+        [...options].sort((a, b) => (getThicknessMm(b) || 0) - (getThicknessMm(a) || 0))[0];
+}
+
+function setSetupRubber(side, rubber, thickness = null) {
+    const picked = rubber || null;
+    setupBuilderState[side] = picked;
+    setupBuilderState[`${side}Thickness`] = picked ? pickSetupThickness(picked, thickness) : null;
+}
+
+function getSetupTotals(state = setupBuilderState) {
+    const sheets = [
+        state.fh ? estimateSheetWeight(state.fh, state.fhThickness) : null,
+        state.bh ? estimateSheetWeight(state.bh, state.bhThickness) : null
+    ];
+    const prices = [state.fh, state.bh].map(r => (r ? getRubberEffectivePrice(r) : null));
+    const blade = Number.isFinite(state.bladeWeight) ? state.bladeWeight : 0;
+    const hasBothSheets = sheets.every(Number.isFinite);
+    return {
+        sheets,
+        prices,
+        weight: hasBothSheets ? blade + sheets[0] + sheets[1] : null,
+        price: state.fh && state.bh && prices.every(Number.isFinite) ? prices[0] + prices[1] : null
+    };
+}
+
+function formatSetupGrams(value) {
+    return Number.isFinite(value) ? `${Math.round(value)}g` : '—';
+}
+
+function buildSetupRubberOptionsHtml(selected) {
+    const byBrand = new Map();
+    for (const r of rubberData) {
+        if (!byBrand.has(r.brand)) byBrand.set(r.brand, []);
+        byBrand.get(r.brand).push(r);
+    }
+    const groups = [...byBrand.keys()].sort().map(brand => {
+        const options = byBrand.get(brand)
+            .sort((a, b) => tRubberAbbr(a).localeCompare(tRubberAbbr(b)))
+            .map(r => `<option value="${escapeHtml(r.abbr)}"${r === selected ? ' selected' : ''}>${escapeHtml(tRubberAbbr(r))}</option>`)
+            .join('');
+        return `<optgroup label="${escapeHtml(tBrand(brand))}">${options}</optgroup>`;
+    }).join('');
+    return `<option value="">${escapeHtml(tUi('SETUP_PICK_RUBBER'))}</option>${groups}`;
+}
+
+function buildSetupSideHtml(side, totals) {
+    const { rubber, thickness } = getSetupSide(side);
+    const index = side === 'bh' ? 1 : 0;
+    const color = rubber ? getBrandColor(rubber.brand) : 'var(--drac-comment)';
+    const thicknessOptions = (rubber?.thicknessOptions || [])
+        .map(t => `<option value="${escapeHtml(t)}"${t === thickness ? ' selected' : ''}>${escapeHtml(t)}</option>`)
+        .join('');
+    const price = totals.prices[index];
+
+    return `<div class="setup-side" style="--setup-color:${color}">` +
+        `<div class="setup-side-label">${escapeHtml(tUi(side === 'bh' ? 'BACKHAND' : 'FOREHAND'))}</div>` +
+        `<select class="setup-select" data-setup-rubber="${side}">${buildSetupRubberOptionsHtml(rubber)}</select>` +
+        `<label class="setup-field">` +
+            `<span>${escapeHtml(tUi('SETUP_THICKNESS'))}</span>` +
+            `<select class="setup-select" data-setup-thickness="${side}"${thicknessOptions ? '' : ' disabled'}>${thicknessOptions}</select>` +
+        `</label>` +
+        `<dl class="setup-side-stats">` +
+            `<dt>${escapeHtml(tUi('SETUP_SHEET_WEIGHT'))}</dt><dd>${formatSetupGrams(totals.sheets[index])}</dd>` +
+            `<dt>${escapeHtml(tUi('PRICE'))}</dt><dd>${rubber && Number.isFinite(price) ? escapeHtml(formatPriceValue(price)) : '—'}</dd>` +
+        `</dl>` +
+        `<div class="setup-radar" id="setupRadar-${side}"></div>` +
+        `</div>`;
+}
+
+function buildSetupSummaryHtml(totals) {
+    return `<div class="setup-total">` +
+            `<span class="setup-total-label">${escapeHtml(tUi('SETUP_TOTAL_WEIGHT'))}</span>` +
+            `<span class="setup-total-value">${formatSetupGrams(totals.weight)}</span>` +
+        `</div>` +
+        `<div class="setup-total">` +
+            `<span class="setup-total-label">${escapeHtml(tUi('SETUP_TOTAL_PRICE'))}</span>` +
+            `<span class="setup-total-value">${Number.isFinite(totals.price) ? escapeHtml(formatPriceValue(totals.price)) : '—'}</span>` +
+        `</div>`;
+}
+
+function buildSavedSetupsHtml() {
+    const saved = loadSavedSetups();
+    if (!saved.length) return '';
+    const items = saved.map((entry, i) => {
+        const fh = rubberByAbbr.get(entry.fh);
+        const bh = rubberByAbbr.get(entry.bh);
+        const label = [fh, bh].map(r => (r ? tRubberAbbr(r) : '—')).join(' / ');
+        const weight = getSetupTotals({
+            fh, bh,
+            fhThickness: entry.fhThickness,
+            bhThickness: entry.bhThickness,
+            bladeWeight: entry.bladeWeight
+        }).weight;
+        return `<li class="setup-saved-item">` +
+            `<button type="button" class="setup-saved-load" data-setup-load="${i}">${escapeHtml(label)}` +
+                `<span class="setup-saved-meta">${formatSetupGrams(weight)}</span></button>` +
+            `<button type="button" class="setup-saved-delete" data-setup-delete="${i}" aria-label="${escapeHtml(tUi('SETUP_DELETE'))}">×</button>` +
+            `</li>`;
+    }).join('');
+    return `<h3 class="setup-saved-title">${escapeHtml(tUi('SETUP_SAVED'))}</h3><ul class="setup-saved-list">${items}</ul>`;
+}
+
+function renderSetupBuilder() {
+    const body = document.getElementById('setupBody');
+    if (!body) return;
+    const totals = getSetupTotals();
+    body.innerHTML =
+        `<div class="setup-sides">${buildSetupSideHtml('fh', totals)}${buildSetupSideHtml('bh', totals)}</div>` +
+        `<label class="setup-field setup-blade-field">` +
+            `<span>${escapeHtml(tUi('SETUP_BLADE_WEIGHT'))}</span>` +
+            `<input type="number" class="setup-blade-input" id="setupBladeWeight" min="40" max="150" step="1" inputmode="numeric" value="${escapeHtml(String(setupBuilderState.bladeWeight ?? ''))}">` +
+        `</label>` +
+        `<div class="setup-summary" id="setupSummary">${buildSetupSummaryHtml(totals)}</div>` +
+        `<p class="setup-note">${escapeHtml(tUi('SETUP_WEIGHT_NOTE'))}</p>` +
+        `<div class="finder-actions">` +
+            `<button type="button" class="finder-action-btn" data-setup-action="share">${escapeHtml(tUi('SHARE'))}</button>` +
+            `<button type="button" class="finder-action-btn finder-action-btn--primary" data-setup-action="save"${setupBuilderState.fh || setupBuilderState.bh ? '' : ' disabled'}>${escapeHtml(tUi('SETUP_SAVE'))}</button>` +
+        `</div>` +
+        `<div class="setup-saved" id="setupSaved">${buildSavedSetupsHtml()}</div>`;
+    renderSetupRadars();
+}
+
+function renderSetupRadars() {
+    if (typeof Plotly === 'undefined') return;
+    const isMobile = window.innerWidth <= 768;
+    const categories = [tUi('SPEED'), tUi('SPIN'), tUi('CONTROL'), tUi('CUT_WEIGHT'), tUi('HARDNESS')];
+    for (const side of ['fh', 'bh']) {
+        const el = document.getElementById(`setupRadar-${side}`);
+        if (!el) continue;
+        const { rubber } = getSetupSide(side);
+        if (!rubber) {
+            Plotly.purge(el);
+            continue;
+        }
+        const layout = {
+            autosize: true,
+            height: isMobile ? 170 : 210,
+            polar: {
+                bgcolor: 'rgba(0,0,0,0)',
+                radialaxis: { visible: true, range: [0, 100], showticklabels: false, gridcolor: 'rgba(158,150,137,0.12)', linecolor: 'rgba(0,0,0,0)' },
+                angularaxis: {
+                    categoryorder: 'array',
+                    categoryarray: categories,
+                    gridcolor: 'rgba(158,150,137,0.12)',
+                    linecolor: 'rgba(158,150,137,0.15)',
+                    tickfont: { color: 'rgba(232,224,208,0.88)', size: 10, family: CHART_FONT },
+                },
+            },
+            showlegend: false,
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            margin: { t: 24, b: 24, l: 44, r: 44 },
+        };
+        Plotly.react(el, [buildRadarTrace(rubber, getRadarData(rubber))], layout, { displayModeBar: false, responsive: true, staticPlot: true });
+    }
+}
+
+function refreshSetupSummary() {
+    const summary = document.getElementById('setupSummary');
+    if (summary) summary.innerHTML = buildSetupSummaryHtml(getSetupTotals());
+}
+
+// ── Saved setups (localStorage) ──
+
+function loadSavedSetups() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETUP_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(entry => entry && typeof entry === 'object') : [];
+    } catch {
+        return [];
+    }
+}
+
+function persistSavedSetups(list) {
+    try {
+        localStorage.setItem(SETUP_STORAGE_KEY, JSON.stringify(list.slice(0, SETUP_MAX_SAVED)));
+    } catch {}
+}
+
+function saveCurrentSetup() {
+    const { fh, fhThickness, bh, bhThickness, bladeWeight } = setupBuilderState;
+    if (!fh && !bh) return;
+    const entry = { fh: fh?.abbr || null, fhThickness, bh: bh?.abbr || null, bhThickness, bladeWeight };
+    const key = JSON.stringify(entry);
+    const rest = loadSavedSetups().filter(e =>
+        JSON.stringify({ fh: e.fh, fhThickness: e.fhThickness, bh: e.bh, bhThickness: e.bhThickness, bladeWeight: e.bladeWeight }) !== key
+    );
+    persistSavedSetups([{ ...entry, savedAt: new Date().toISOString() }, ...rest]);
+    const saved = document.getElementById('setupSaved');
+    if (saved) saved.innerHTML = buildSavedSetupsHtml();
+    showCopyMarkdownToast(tUi('SETUP_SAVED_TOAST'));
+}
+
+function loadSavedSetup(index) {
+    const entry = loadSavedSetups()[index];
+    if (!entry) return;
+    setSetupRubber('fh', rubberByAbbr.get(entry.fh), entry.fhThickness);
+    setSetupRubber('bh', rubberByAbbr.get(entry.bh), entry.bhThickness);
+    setupBuilderState.bladeWeight = Number.isFinite(entry.bladeWeight) ? entry.bladeWeight : SETUP_DEFAULT_BLADE_WEIGHT;
+    renderSetupBuilder();
+    pushFiltersToUrl();
+}
+
+function deleteSavedSetup(index) {
+    const list = loadSavedSetups();
+    list.splice(index, 1);
+    persistSavedSetups(list);
+    const saved = document.getElementById('setupSaved');
+    if (saved) saved.innerHTML = buildSavedSetupsHtml();
+}
+
+// ── Setup modal ──
+
+function ensureSetupModal() {
+    let modal = document.getElementById('setupModal');
+    if (modal) return modal;
+    modal = createModal({
+        id: 'setupModal',
+        className: 'setup-modal',
+        cardClassName: 'setup-modal-card',
+        labelledBy: 'setupTitle',
+        html: `<h2 id="setupTitle"></h2><div class="setup-body" id="setupBody"></div>`,
+        onClose: () => closeSetupBuilder()
+    });
+
+    modal.addEventListener('click', (e) => {
+        const loadBtn = e.target.closest('[data-setup-load]');
+        if (loadBtn) {
+            loadSavedSetup(parseInt(loadBtn.dataset.setupLoad, 10));
+            return;
+        }
+        const deleteBtn = e.target.closest('[data-setup-delete]');
+        if (deleteBtn) {
+            deleteSavedSetup(parseInt(deleteBtn.dataset.setupDelete, 10));
+            return;
+        }
+        const action = e.target.closest('[data-setup-action]')?.dataset.setupAction;
+        if (action === 'save') saveCurrentSetup();
+        else if (action === 'share') handleSetupShareClick();
+    });
+    modal.addEventListener('change', (e) => {
+        const rubberSide = e.target.dataset.setupRubber;
+        const thicknessSide = e.target.dataset.setupThickness;
+        if (rubberSide) {
+            setSetupRubber(rubberSide, rubberByAbbr.get(e.target.value), setupBuilderState[`${rubberSide}Thickness`]);
+            renderSetupBuilder();
+        } else if (thicknessSide) {
+            setupBuilderState[`${thicknessSide}Thickness`] = e.target.value;
+            renderSetupBuilder();
+        } else {
+            return;
+        }
+        pushFiltersToUrl();
+    });
+    modal.addEventListener('input', (e) => {
+        if (e.target.id !== 'setupBladeWeight') return;
+        const value = Number.parseFloat(e.target.value);
+        setupBuilderState.bladeWeight = Number.isFinite(value) && value > 0 ? value : null;
+        refreshSetupSummary();
+        pushFiltersToUrl();
+    });
+    return modal;
+}
+
+async function handleSetupShareClick() {
+    const url = window.location.origin + buildSetupPath();
+    try {
+        await navigator.clipboard.writeText(url);
+    } catch {}
+    showShareToast(tUi('SHARE_COPIED'), url);
+}
+
+/**
+ * Open the setup builder. `setup` is a parsed route (slugs + thickness) or null to
+ * start from the current selection; `updateUrl: false` when the URL already points here.
+ */
+function openSetupBuilder(setup = null, { updateUrl = true } = {}) {
+    if (setup) {
+        setSetupRubber('fh', findRubberBySlug(setup.fhSlug), setup.fhThickness);
+        setSetupRubber('bh', findRubberBySlug(setup.bhSlug), setup.bhThickness);
+        setupBuilderState.bladeWeight = setup.bladeWeight ?? SETUP_DEFAULT_BLADE_WEIGHT;
+    } else if (!setupBuilderState.fh && !setupBuilderState.bh) {
+        setSetupRubber('fh', selectedRubbers[0]);
+        setSetupRubber('bh', selectedRubbers[1]);
+    }
+
+    const modal = ensureSetupModal();
+    setupBuilderState.open = true;
+    showModal(modal);
+    document.getElementById('setupTitle').textContent = tUi('SETUP_TITLE');
+    renderSetupBuilder();
+    if (updateUrl) navigateToPath(buildCurrentPath(), { clearHash: true });
+}
+
+function closeSetupBuilder({ updateUrl = true } = {}) {
+    const modal = document.getElementById('setupModal');
+    if (!modal || !setupBuilderState.open) return;
+    setupBuilderState.open = false;
+    hideModal(modal);
+    modal.querySelectorAll('.setup-radar').forEach(el => {
+        if (typeof Plotly !== 'undefined') Plotly.purge(el);
+    });
+    if (updateUrl) navigateToPath(buildCurrentPath(), { clearHash: true });
+}
+
+function initSetupBuilder() {
+    document.getElementById('setupOpenBtn')?.addEventListener('click', () => openSetupBuilder());
+}
@@ -91,6 +91,40 @@ function getLocalizedPlayerName(name) {
     return parsedName;
 }
 
+function getPlayerSlug(name) {
+    const player = getPlayerDataByName(name);
+    return toSlug(player?.canonical_name || name || '');
+}
+
+function findPlayerBySlug(slug) {
+    if (!slug) return null;
+    const target = String(slug).toLowerCase();
+    return Object.values(playersData).find(p => toSlug(p.canonical_name) === target) || null;
+}
+
+/**
+ * The rubber a player uses on one side ('forehand' | 'backhand').
+ * players.json stores rubber file paths ("Brand/Abbr"); null when not listed in this locale.
+ */
+function getPlayerRubber(player, side) {
+    const path = typeof player?.[side] === 'string' ? player[side].trim() : '';
+    const slash = path.indexOf('/');
+    if (slash < 0) return null;
+    const brand = path.slice(0, slash);
+    const abbr = path.slice(slash + 1);
+    return rubberData.find(r => r.brand === brand && r.abbr === abbr) || null;
+}
+
+function getBrandSlug(brand) {
+    return toSlug(brand || '');
+}
+
+function findBrandBySlug(slug) {
+    if (!slug) return null;
+    const target = String(slug).toLowerCase();
+    return rubberData.find(r => getBrandSlug(r.brand) === target)?.brand || null;
+}
+
 function collectPlayerVideoIdsByName(name) {
     const player = getPlayerDataByName(name);
     if (!player || !Array.isArray(player.youtubes)) return [];
@@ -281,16 +315,36 @@ function formatPlayersBySide(raw) {
     };
 }
 
+function getThicknessOptions(value) {
+    const list = Array.isArray(value) ? value : [value];
+    return list
+        .map(item => (item == null ? '' : String(item).trim()))
+        .filter(Boolean);
+}
+
 function formatThicknessLabel(value) {
-    if (Array.isArray(value)) {
-        const entries = value
-            .map(item => (item == null ? '' : String(item).trim()))
-            .filter(Boolean);
-        return entries.length ? entries.join(', ') : 'N/A';
-    }
-    if (value == null) return 'N/A';
-    const normalized = String(value).trim();
-    return normalized || 'N/A';
+    const entries = getThicknessOptions(value);
+    return entries.length ? entries.join(', ') : 'N/A';
+}
+
+function getThicknessMm(thickness) {
+    if (String(thickness).toLowerCase() === 'max') return SETUP_MAX_THICKNESS_MM;
+    const mm = Number.parseFloat(thickness);
+    return Number.isFinite(mm) ? mm : null;
+}
+
+/**
+ * Estimated weight of one cut sheet at the given sponge thickness.
+ * The listed cut weight is taken to be for the thickest option; thinner sponges
+ * lose SETUP_GRAMS_PER_MM per millimetre.
+ */
+function estimateSheetWeight(rubber, thickness) {
+    if (!Number.isFinite(rubber?.weight)) return null;
+    const options = (rubber.thicknessOptions || []).map(getThicknessMm).filter(Number.isFinite);
+    const reference = options.length ? Math.max(...options) : SETUP_MAX_THICKNESS_MM;
+    const selected = getThicknessMm(thickness);
+    if (!Number.isFinite(selected)) return rubber.weight;
+    return rubber.weight - Math.max(0, reference - selected) * SETUP_GRAMS_PER_MM;
 }
 
 function buildFullName(brand, name) {
@@ -312,6 +366,111 @@ function buildLocalizedTextMap(rawMap, fallbackText) {
     return next;
 }
 
+// Numeric amount of a free-form price string ("$59.95", "84.0"); null when unparsable.
+function parsePriceAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+    const parsed = Number.parseFloat(value.replace(/[^0-9.]/g, ''));
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Amount and currency of a store price string: a currency symbol wins, otherwise
+ * the locale's store currency (see LOCALE_CURRENCY). Null when unparsable.
+ * @returns {{ amount: number, currency: string }|null}
+ */
+function parsePriceString(value, country = selectedCountry) {
+    const amount = parsePriceAmount(value);
+    if (amount == null) return null;
+    const text = typeof value === 'string' ? value.trim() : '';
+    const symbolMatch = PRICE_SYMBOL_CURRENCY.find(([symbol]) => text.includes(symbol));
+    if (symbolMatch) return { amount, currency: symbolMatch[1] };
+    const store = LOCALE_CURRENCY[country] || LOCALE_CURRENCY.en;
+    return { amount: amount * store.unit, currency: store.code };
+}
+
+let exchangeRates = null;  // { base, updated, rates: { code: units per base } }
+
+async function loadExchangeRates() {
+    try {
+        const data = await fetchOptionalJson(EXCHANGE_RATES_FILE, null);
+        exchangeRates = data && typeof data.rates === 'object' ? data : null;
+    } catch (error) {
+        console.warn('Failed to load exchange rates:', error);
+        exchangeRates = null;
+    }
+}
+
+function getDisplayCurrency() {
+    if (selectedCurrency && DISPLAY_CURRENCIES[selectedCurrency]) return selectedCurrency;
+    return DEFAULT_DISPLAY_CURRENCY[selectedCountry] || 'USD';
+}
+
+// Null when either rate is missing, so callers never show an unconverted amount as converted.
+function convertPrice(amount, from, to = getDisplayCurrency()) {
+    if (!Number.isFinite(amount)) return null;
+    if (from === to) return amount;
+    const rates = exchangeRates?.rates;
+    const fromRate = Number(rates?.[from]);
+    const toRate = Number(rates?.[to]);
+    if (!(fromRate > 0) || !(toRate > 0)) return null;
+    return (amount / fromRate) * toRate;
+}
+
+// Amount of a locale price string in the display currency (or `currency`); null when unparsable or not convertible.
+function parseLocalePrice(value, country = selectedCountry, currency = getDisplayCurrency()) {
+    const parsed = parsePriceString(value, country);
+    return parsed ? convertPrice(parsed.amount, parsed.currency, currency) : null;
+}
+
+// Effective price (sale if present, otherwise regular) for a locale, in the display currency (or `currency`).
+function getRubberEffectivePrice(rubber, country = selectedCountry, currency = getDisplayCurrency()) {
+    const priceData = rubber?.price?.[country];
+    if (!priceData) return null;
+    return parseLocalePrice(priceData.sale, country, currency) ?? parseLocalePrice(priceData.regular, country, currency);
+}
+
+function formatPriceValue(amount, currencyCode = getDisplayCurrency()) {
+    if (!Number.isFinite(amount)) return '';
+    const currency = DISPLAY_CURRENCIES[currencyCode] || DISPLAY_CURRENCIES.USD;
+    return new Intl.NumberFormat(currency.locale, {
+        style: 'currency',
+        currency: currencyCode,
+        minimumFractionDigits: Number.isInteger(amount) ? 0 : currency.decimals,
+        maximumFractionDigits: currency.decimals
+    }).format(amount);
+}
+
+function getCurrencySymbol(currencyCode = getDisplayCurrency()) {
+    const currency = DISPLAY_CURRENCIES[currencyCode] || DISPLAY_CURRENCIES.USD;
+    const parts = new Intl.NumberFormat(currency.locale, { style: 'currency', currency: currencyCode }).formatToParts(0);
+    return parts.find(part => part.type === 'currency')?.value || currencyCode;
+}
+
+/**
+ * Buy-button price label: the store's price (falling back to the en store like the
+ * product link does) converted to the display currency. Without a rate it stays in
+ * the store's currency; an unparsable string is shown as listed.
+ * @returns {{ label: string, discount: string, isSale: boolean }|null}
+ */
+function getRubberPriceDisplay(rubber) {
+    const country = rubber?.price?.[selectedCountry] ? selectedCountry : 'en';
+    const priceData = rubber?.price?.[country];
+    if (!priceData) return null;
+    const raw = priceData.sale || priceData.regular || '';
+    if (!raw) return null;
+    const parsed = parsePriceString(raw, country);
+    const amount = parsed ? convertPrice(parsed.amount, parsed.currency) : null;
+    let label = raw;
+    if (Number.isFinite(amount)) label = formatPriceValue(amount);
+    else if (parsed) label = formatPriceValue(parsed.amount, parsed.currency);
+    return {
+        label,
+        discount: priceData.discount || '',
+        isSale: Boolean(priceData.sale)
+    };
+}
+
 // ════════════════════════════════════════════════════════════
 //  Description Markdown
 // ════════════════════════════════════════════════════════════
@@ -352,6 +511,9 @@ function applyRubberLocaleFilter() {
             top30Set.add(rubber.fullName);
         }
     }
+
+    if (typeof applyChartAxisValues === 'function') applyChartAxisValues(rubberData);
+    if (typeof refreshPriceRangeBounds === 'function') refreshPriceRangeBounds();
 }
 
 async function loadRankings() {
@@ -366,6 +528,163 @@ async function loadRankings() {
     return Object.fromEntries(results);
 }
 
+// Control level lookup from the 5-level category format
+function buildControlLevelMap(controlData) {
+    const controlLevelMap = new Map();
+    for (const [key, rubbers] of Object.entries(controlData || {})) {
+        const level = parseInt(key, 10);
+        if (!Number.isFinite(level)) continue;
+        for (const entry of rubbers) {
+            const mapKey = `${(entry.brand || '').trim().toLowerCase()}|${entry.name}`;
+            controlLevelMap.set(mapKey, level);
+        }
+    }
+    return controlLevelMap;
+}
+
+function parseRankingScore(value) {
+    return typeof value === 'number' && value >= 0 && value <= 100 ? value : null;
+}
+
+/**
+ * Continuous 0–100 rating and sub-metrics of a spin/speed ranking entry (see RANKING_SUBMETRICS).
+ * @returns {{ rating: number|null, metrics: Object<string, number>|null }} rating is null for
+ *          entries that only have a position
+ */
+function getRankingEntryMetrics(entry, metricKey) {
+    const defs = RANKING_SUBMETRICS[metricKey];
+    const raw = entry?.metrics && typeof entry.metrics === 'object' ? entry.metrics : {};
+    const metrics = {};
+    for (const def of defs) {
+        const value = parseRankingScore(raw[def.key]);
+        if (value !== null) metrics[def.key] = value;
+    }
+    const rating = parseRankingScore(entry?.score)
+        ?? getWeightedRating(metrics, metricKey, getDefaultRankingWeights(metricKey));
+    return { rating, metrics: Object.keys(metrics).length ? metrics : null };
+}
+
+/** Sub-metric weights in percent, e.g. { rallySpeed: 30, catapult: 30, maxSpeed: 40 }. */
+function getDefaultRankingWeights(metricKey) {
+    return Object.fromEntries(RANKING_SUBMETRICS[metricKey].map(def => [def.key, Math.round(def.weight * 100)]));
+}
+
+// Weighted mean of a complete set of sub-metrics; the weights need not add up to 100
+function getWeightedRating(metrics, metricKey, weights) {
+    const defs = RANKING_SUBMETRICS[metricKey];
+    if (!metrics || !defs.every(def => def.key in metrics)) return null;
+    const totalWeight = defs.reduce((sum, def) => sum + weights[def.key], 0);
+    if (!(totalWeight > 0)) return null;
+    return defs.reduce((sum, def) => sum + metrics[def.key] * weights[def.key], 0) / totalWeight;
+}
+
+// Share of one weight in its group, in percent, as applied by getWeightedRating
+function getMetricWeightShare(metricKey, subKey) {
+    const weights = rankingWeights?.[metricKey] || getDefaultRankingWeights(metricKey);
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    return total > 0 ? Math.round((weights[subKey] / total) * 100) : 0;
+}
+
+// Custom weighting: re-rate the entries that have sub-metrics (with the user's weights) or
+// their own score, and re-sort them among the positions they already hold. Rank-only
+// entries keep their position, so their made-up place is never compared with real ratings.
+function reweightRankingList(list, metricKey, weights) {
+    const rated = [];
+    const slots = [];
+    list.forEach((entry, index) => {
+        const { metrics } = getRankingEntryMetrics(entry, metricKey);
+        const score = getWeightedRating(metrics, metricKey, weights) ?? parseRankingScore(entry.score);
+        if (score === null) return;
+        rated.push({ ...entry, score });
+        slots.push(index);
+    });
+    rated.sort((a, b) => b.score - a.score);
+    const reweighted = [...list];
+    slots.forEach((slot, i) => { reweighted[slot] = rated[i]; });
+    return reweighted;
+}
+
+// Custom weighting only has something to work with once a spin/speed entry carries a
+// full set of measured sub-metrics; until then the weights control stays hidden.
+function hasRankingSubmetrics(rankings = liveRankings) {
+    if (!rankings) return false;
+    return ['spin', 'speed'].some(metricKey => (rankings[metricKey] || []).some(entry =>
+        getWeightedRating(getRankingEntryMetrics(entry, metricKey).metrics, metricKey, getDefaultRankingWeights(metricKey)) !== null));
+}
+
+/** The rankings as ordered by the user's sub-metric weights (unchanged when there are none). */
+function applyRankingWeights(rankings) {
+    if (!rankingWeights) return rankings;
+    return {
+        ...rankings,
+        spin: reweightRankingList(rankings.spin, 'spin', rankingWeights.spin),
+        speed: reweightRankingList(rankings.speed, 'speed', rankingWeights.speed)
+    };
+}
+
+/**
+ * 1-based spin/speed ranks, continuous ratings and sub-metrics, and control level of one
+ * rubber in a set of rankings (null when absent).
+ */
+function getRubberRankingPosition(rubber, rankings, controlLevelMap = buildControlLevelMap(rankings.control)) {
+    const spinIdx = findRubberRank(rubber, rankings.spin);
+    const speedIdx = findRubberRank(rubber, rankings.speed);
+    const spin = getRankingEntryMetrics(rankings.spin[spinIdx], 'spin');
+    const speed = getRankingEntryMetrics(rankings.speed[speedIdx], 'speed');
+    // Control level from manual 5-level categories (1 = hardest, 5 = easiest)
+    const brandKey = (rubber.brand || '').trim().toLowerCase();
+    return {
+        spinRank: spinIdx >= 0 ? spinIdx + 1 : null,
+        speedRank: speedIdx >= 0 ? speedIdx + 1 : null,
+        spinRating: spin.rating,
+        speedRating: speed.rating,
+        spinMetrics: spin.metrics,
+        speedMetrics: speed.metrics,
+        controlLevel: controlLevelMap.get(`${brandKey}|${rubber.name}`)
+            ?? controlLevelMap.get(`${brandKey}|${rubber.abbr}`)
+            ?? null
+    };
+}
+
+// True when every entry of a spin/speed list has a 0–100 rating, the only case where
+// ratings can place the dots: a rating and a bare rank position share no common scale.
+function isFullyRatedRankingList(list, metricKey) {
+    return list.length > 0 && list.every(entry => getRankingEntryMetrics(entry, metricKey).rating !== null);
+}
+
+// `rating` is only passed for fully rated lists (see isFullyRatedRankingList)
+function toRankingAxisScore(rank, rating, total) {
+    if (rank === null) return null;
+    return rating !== null ? (rating / 100) * total : total - rank + 1;
+}
+
+// Ranks, scores and control levels from one set of rankings: the live files at load,
+// or a dated snapshot picked on the chart timeline (see setRankingSnapshot).
+function applyRankingPositions(rubbers, rankings) {
+    rankings = applyRankingWeights(rankings);
+    const spinTotal = rankings.spin.length;
+    const speedTotal = rankings.speed.length;
+    const spinRated = isFullyRatedRankingList(rankings.spin, 'spin');
+    const speedRated = isFullyRatedRankingList(rankings.speed, 'speed');
+    const controlLevelMap = buildControlLevelMap(rankings.control);
+    for (const rubber of rubbers) {
+        const position = getRubberRankingPosition(rubber, rankings, controlLevelMap);
+        // Spin/speed scores: higher value = more spin / more speed (rank 1 → highest value).
+        // When the whole list is rated, the 0–100 rating is stretched onto the same scale so the
+        // gaps between dots follow the ratings; otherwise every entry is placed by rank alone.
+        // Chart x/y are derived from these (or other metrics) by applyChartAxisValues.
+        rubber.spinScore = toRankingAxisScore(position.spinRank, spinRated ? position.spinRating : null, spinTotal);
+        rubber.speedScore = toRankingAxisScore(position.speedRank, speedRated ? position.speedRating : null, speedTotal);
+        rubber.spinRank = position.spinRank;
+        rubber.speedRank = position.speedRank;
+        rubber.spinRating = position.spinRating;
+        rubber.speedRating = position.speedRating;
+        rubber.spinMetrics = position.spinMetrics;
+        rubber.speedMetrics = position.speedMetrics;
+        rubber.controlLevel = position.controlLevel;
+    }
+}
+
 // Find a rubber's 0-based position in a ranking array.
 // Tries matching the ranking entry name against both rubber.name and rubber.abbr.
 function findRubberRank(rubber, rankingArray) {
@@ -384,15 +703,166 @@ function findRubberRank(rubber, rankingArray) {
     return -1;
 }
 
+// ── Ranking snapshots ──
+
+// The spin/speed/control rankings are overwritten in place, so scripts/snapshot-rankings.js
+// keeps a dated copy of each version. Snapshot files are small and only fetched once the
+// chart is up; the chart timeline and the detail panel rank history both read them.
+
+let liveRankings = null;                  // rankings as loaded by loadRubberData
+const rankingSnapshotCache = new Map();   // snapshot date → { spin, speed, control }
+
+function isValidRankingSet(rankings) {
+    return Array.isArray(rankings?.spin) && Array.isArray(rankings?.speed)
+        && rankings.control !== null && typeof rankings.control === 'object';
+}
+
+function isSameRankingSet(a, b) {
+    return ['spin', 'speed', 'control'].every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+}
+
+async function loadRankingSnapshot(entry) {
+    if (rankingSnapshotCache.has(entry.date)) return rankingSnapshotCache.get(entry.date);
+    const resp = await fetch(v('/' + entry.file));
+    if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${entry.file}`);
+    const snapshot = await resp.json();
+    if (!isValidRankingSet(snapshot)) throw new Error(`${entry.file} is not a ranking snapshot`);
+    const rankings = { spin: snapshot.spin, speed: snapshot.speed, control: snapshot.control };
+    rankingSnapshotCache.set(entry.date, rankings);
+    return rankings;
+}
+
+// The debug fixture stands in for real history until there is some
+function getRankingSnapshotsManifestFile() {
+    const useFixture = DEBUG_MODE && new URLSearchParams(window.location.search).get('snapshots') === 'fixture';
+    return useFixture ? RANKING_SNAPSHOTS_FIXTURE_FILE : RANKING_SNAPSHOTS_FILE;
+}
+
+/**
+ * Load the snapshot manifest and every snapshot it lists into `rankingTimeline`, oldest
+ * first. Live rankings that differ from the newest snapshot are appended as `{ date: null }`.
+ */
+async function loadRankingTimeline() {
+    let manifest = [];
+    try {
+        manifest = await fetchOptionalJson(getRankingSnapshotsManifestFile(), []);
+    } catch (error) {
+        console.warn('Skipping ranking snapshots:', error);
+    }
+    const entries = (Array.isArray(manifest) ? manifest : [])
+        .filter(entry => /^\d{4}-\d{2}-\d{2}$/.test(entry?.date) && typeof entry.file === 'string')
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const results = await Promise.allSettled(entries.map(loadRankingSnapshot));
+    const timeline = entries.filter((entry, i) => {
+        if (results[i].status === 'fulfilled') return true;
+        console.warn('Skipping ranking snapshot:', results[i].reason);
+        return false;
+    }).map(({ date, file }) => ({ date, file }));
+
+    const newest = timeline.length ? rankingSnapshotCache.get(timeline[timeline.length - 1].date) : null;
+    if (timeline.length && liveRankings && !isSameRankingSet(newest, liveRankings)) {
+        timeline.push({ date: null, file: null });
+    }
+    rankingTimeline = timeline;
+    return timeline;
+}
+
+/** Rankings behind a timeline date; null is the live rankings. */
+function getTimelineRankings(date) {
+    if (date === null) return liveRankings;
+    return rankingSnapshotCache.get(date) || null;
+}
+
+/** Rankings the chart currently plots: the timeline snapshot, or the live files. */
+function getActiveRankings() {
+    return getTimelineRankings(activeRankingSnapshot) || liveRankings;
+}
+
+/**
+ * A rubber's ranks at every point of the timeline, oldest first, under the same
+ * custom weighting as the chart.
+ * @returns {{ date: string|null, spinRank: number|null, speedRank: number|null, controlLevel: number|null }[]}
+ */
+function getRubberRankHistory(rubber) {
+    return rankingTimeline.map(({ date }) => ({
+        date,
+        ...getRubberRankingPosition(rubber, applyRankingWeights(getTimelineRankings(date)))
+    }));
+}
+
+// ── Value for money ──
+
+let _valueScoreCache = { data: null, key: '', scores: new Map() };
+
+// Performance per price: the mean of the spin and speed percentiles (1 = top of both
+// rankings) divided by the effective price, ranked among the rubbers priced here.
+function computeValueScores(rubbers) {
+    const spinTotal = Math.max(0, ...rubbers.map(r => r.spinRank).filter(Number.isFinite));
+    const speedTotal = Math.max(0, ...rubbers.map(r => r.speedRank).filter(Number.isFinite));
+    const entries = [];
+    for (const rubber of rubbers) {
+        const price = getRubberEffectivePrice(rubber);
+        if (!(price > 0) || !Number.isFinite(rubber.spinRank) || !Number.isFinite(rubber.speedRank)) continue;
+        const performance = ((spinTotal - rubber.spinRank + 1) / spinTotal + (speedTotal - rubber.speedRank + 1) / speedTotal) / 2;
+        entries.push({ rubber, ratio: performance / price });
+    }
+    entries.sort((a, b) => b.ratio - a.ratio);
+
+    const scores = new Map();
+    const best = entries[0]?.ratio;
+    entries.forEach(({ rubber, ratio }, i) => {
+        scores.set(rubber, { rank: i + 1, total: entries.length, score: Math.round((ratio / best) * 100) });
+    });
+    return scores;
+}
+
+/**
+ * Value-for-money standing in the current locale and display currency.
+ * @returns {{ rank: number, total: number, score: number }|null} score is 0–100 (best value = 100);
+ *          null when the rubber has no price or no spin/speed rank
+ */
+function getRubberValueScore(rubber) {
+    // Ranks change with the timeline snapshot and custom weights, so both are part of the key
+    const key = `${selectedCountry}|${getDisplayCurrency()}|${activeRankingSnapshot ?? ''}|${JSON.stringify(rankingWeights)}`;
+    if (_valueScoreCache.data !== rubberData || _valueScoreCache.key !== key) {
+        _valueScoreCache = { data: rubberData, key, scores: computeValueScores(rubberData) };
+    }
+    return _valueScoreCache.scores.get(rubber) || null;
+}
+
 // ════════════════════════════════════════════════════════════
 //  Data Loading
 // ════════════════════════════════════════════════════════════
 
+let _dataBundlePromise = null;
+
+/**
+ * The prebuilt bundle from scripts/build-data-bundle.js, fetched once.
+ * Resolves to null when it is missing or malformed; callers then load the individual files.
+ */
+function loadDataBundle() {
+    _dataBundlePromise ??= fetch(v(DATA_BUNDLE_FILE))
+        .then(resp => (resp.ok ? resp.json() : null))
+        .then(bundle => (bundle && Array.isArray(bundle.rubbers) && bundle.rankings ? bundle : null))
+        .catch(() => null);
+    return _dataBundlePromise;
+}
+
+async function fetchOptionalJson(url, fallback) {
+    const resp = await fetch(v(url));
+    return resp.ok ? resp.json() : fallback;
+}
+
 async function loadPlayersData() {
     try {
-        const resp = await fetch(v(PLAYERS_FILE));
-        if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${PLAYERS_FILE}`);
-        const rawPlayersData = await resp.json();
+        const bundle = await loadDataBundle();
+        let rawPlayersData = bundle?.players;
+        if (!rawPlayersData) {
+            const resp = await fetch(v(PLAYERS_FILE));
+            if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${PLAYERS_FILE}`);
+            rawPlayersData = await resp.json();
+        }
         const normalizedPlayersData = {};
         const normalizedPlayerNames = {};
 
@@ -437,7 +907,8 @@ async function loadPlayersData() {
     }
 }
 
-async function loadRubberData() {
+// Per-file fallback when there is no bundle: the index, then one request per rubber
+async function fetchRubberFiles() {
     const indexResp = await fetch(v(RUBBER_INDEX_FILE));
     if (!indexResp.ok) {
         throw new Error(`HTTP ${indexResp.status} for ${RUBBER_INDEX_FILE}`);
@@ -457,7 +928,7 @@ async function loadRubberData() {
         )
     );
 
-    const rawItems = results.flatMap(result => {
+    return results.flatMap(result => {
         if (result.status !== 'fulfilled') {
             console.warn('Skipping rubber data file:', result.reason);
             return [];
@@ -471,6 +942,11 @@ async function loadRubberData() {
         }
         return [];
     });
+}
+
+async function loadRubberData() {
+    const bundle = await loadDataBundle();
+    const rawItems = bundle ? bundle.rubbers : await fetchRubberFiles();
 
     const data = [];
     const descriptionMap = {};
@@ -501,13 +977,16 @@ async function loadRubberData() {
             hardness: parseRatingNumber(ratings.sponge_hardness),
             manufacturerHardness: hardness,
             normalizedHardness: normalizedH,
+            hardnessCountry: details.country || null,
             hardnessLabel: Number.isFinite(hardness) ? `${hardness}°${hardnessFlag ? ` ${hardnessFlag}` : ''}` : 'N/A',
             hardnessLabelDE: (details.country === 'Japan' || details.country === 'China') && Number.isFinite(normalizedH)
                 ? `${Number.isInteger(normalizedH) ? String(normalizedH) : normalizedH.toFixed(1)}° 🇩🇪`
                 : null,
             weightLabel: Number.isFinite(weightValue) ? `${weightValue}g` : 'N/A',
             releaseYearLabel: Number.isFinite(releaseYear) ? String(Math.round(releaseYear)) : 'N/A',
+            releaseYear: Number.isFinite(releaseYear) ? Math.round(releaseYear) : null,
             thicknessLabel: formatThicknessLabel(details.thickness),
+            thicknessOptions: getThicknessOptions(details.thickness),
             playerLabel: formatPlayerLabel(raw),
             playerSearchNames: collectPlayerSearchNames(raw),
             ...formatPlayersBySide(raw),
@@ -533,50 +1012,20 @@ async function loadRubberData() {
     }
 
     // ── Override chart positions with ranking data ──
-    const rankings = await loadRankings();
-    const spinTotal = rankings.spin.length;
-    const speedTotal = rankings.speed.length;
-
-    // Build control level lookup from the 5-level category format
-    const controlLevelMap = new Map();
-    const controlData = rankings.control;
-    for (const [key, rubbers] of Object.entries(controlData)) {
-        const level = parseInt(key, 10);
-        if (!Number.isFinite(level)) continue;
-        for (const entry of rubbers) {
-            const mapKey = `${(entry.brand || '').trim().toLowerCase()}|${entry.name}`;
-            controlLevelMap.set(mapKey, level);
-        }
-    }
+    const [rankings] = await Promise.all([bundle ? bundle.rankings : loadRankings(), loadExchangeRates()]);
+    liveRankings = rankings;
+    applyRankingPositions(data, rankings);
 
     // ── Override priority with priority ranking ──
-    const priorityResp = await fetch(v(PRIORITY_FILE));
-    const priorityRanking = priorityResp.ok ? await priorityResp.json() : [];
-    const bestsellerResp = await fetch(v(BESTSELLER_FILE));
-    const bestsellerData = bestsellerResp.ok ? await bestsellerResp.json() : {};
+    const [priorityRanking, bestsellerData] = bundle
+        ? [bundle.priority || [], bundle.bestseller || {}]
+        : await Promise.all([fetchOptionalJson(PRIORITY_FILE, []), fetchOptionalJson(BESTSELLER_FILE, {})]);
     // Support both old flat array format and new per-language object format
     const bestsellerRanking = Array.isArray(bestsellerData)
         ? { en: bestsellerData, ko: bestsellerData, cn: bestsellerData }
         : bestsellerData;
 
     for (const rubber of data) {
-        const spinIdx = findRubberRank(rubber, rankings.spin);
-        const speedIdx = findRubberRank(rubber, rankings.speed);
-
-        // Chart axes: higher value = more spin / more speed (rank 0 → highest value)
-        rubber.x = spinIdx >= 0 ? spinTotal - spinIdx : null;
-        rubber.y = speedIdx >= 0 ? speedTotal - speedIdx : null;
-
-        // Store 1-based ranks for display
-        rubber.spinRank = spinIdx >= 0 ? spinIdx + 1 : null;
-        rubber.speedRank = speedIdx >= 0 ? speedIdx + 1 : null;
-
-        // Control level from manual 5-level categories (1 = hardest, 5 = easiest)
-        const brandKey = (rubber.brand || '').trim().toLowerCase();
-        rubber.controlLevel = controlLevelMap.get(`${brandKey}|${rubber.name}`)
-            ?? controlLevelMap.get(`${brandKey}|${rubber.abbr}`)
-            ?? null;
-
         // Display order: bestseller first, then priority ranking.
         const popIdx = findRubberRank(rubber, priorityRanking);
         const enBestsellerIdx = findRubberRank(rubber, bestsellerRanking.en || []);
@@ -599,8 +1048,48 @@ async function loadRubberData() {
     }
 
     // Only show rubbers that appear in both spin and speed rankings
-    rubberDataUnfiltered = data.filter(r => r.x !== null && r.y !== null);
+    rubberDataUnfiltered = data.filter(r => r.spinScore !== null && r.speedScore !== null);
     top30PriorityRanking = priorityRanking.slice(0, 30);
     applyRubberLocaleFilter();
 
 }
+
+// ── Debug validation (?debug) ──
+
+// The raw dataset exactly as loadRubberData and loadPlayersData read it
+async function loadRawDataset() {
+    const bundle = await loadDataBundle();
+    if (bundle) return bundle;
+    const [rubbers, rankings, priority, bestseller, players] = await Promise.all([
+        fetchRubberFiles(),
+        loadRankings(),
+        fetchOptionalJson(PRIORITY_FILE, []),
+        fetchOptionalJson(BESTSELLER_FILE, {}),
+        fetchOptionalJson(PLAYERS_FILE, null)
+    ]);
+    return { rubbers, rankings, priority, bestseller, players };
+}
+
+// js/validate.js is only needed for debugging, so it is not part of the page's scripts
+function loadValidationScript() {
+    if (typeof validateDataset === 'function') return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = v('/js/validate.js');
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error('Failed to load /js/validate.js'));
+        document.head.appendChild(script);
+    });
+}
+
+/** Validate the dataset against the schema and log the report (same as scripts/validate-data.js). */
+async function validateLoadedData() {
+    try {
+        const [dataset] = await Promise.all([loadRawDataset(), loadValidationScript()]);
+        const report = validateDataset(dataset, { pinyinTable: PINYIN_SYLLABLE_CHARS });
+        const log = report.errorCount ? console.error : (report.warningCount ? console.warn : console.info);
+        log(formatValidationReport(report));
+    } catch (error) {
+        console.warn('Data validation failed:', error);
+    }
+}
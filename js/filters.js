@@ -20,6 +20,14 @@ function setAllChecked(container, checked) {
     });
 }
 
+function setCheckedValues(containerId, values) {
+    const wanted = new Set(values);
+    document.querySelectorAll(`#${containerId} input[type="checkbox"]`).forEach(cb => {
+        cb.checked = wanted.has(cb.value);
+        cb.closest('.fp-pill')?.classList.toggle('active', cb.checked);
+    });
+}
+
 // ── Weight range filter helpers ──
 
 function getWeightBoundsFromData() {
@@ -38,8 +46,8 @@ function formatWeightValue(value) {
 
 function getWeightTone(weight) {
     if (!Number.isFinite(weight)) return '';
-    if (weight <= 48) return 'green';
-    if (weight <= 51) return 'yellow';
+    if (weight <= WEIGHT_LIGHT_MAX) return 'green';
+    if (weight <= WEIGHT_MEDIUM_MAX) return 'yellow';
     return 'red';
 }
 
@@ -317,6 +325,182 @@ function initHardnessRangeFilter(onChange) {
     });
 }
 
+// ── Price range filter helpers ──
+// Bounds follow the selected country's currency, so they are rebuilt on every
+// locale switch (see refreshPriceRangeBounds).
+
+function getPriceBoundsFromData() {
+    const step = (DISPLAY_CURRENCIES[getDisplayCurrency()] || DISPLAY_CURRENCIES.USD).step;
+    const prices = rubberData.map(r => getRubberEffectivePrice(r)).filter(Number.isFinite);
+    if (!prices.length) return null;
+    return {
+        min: Math.floor(Math.min(...prices) / step) * step,
+        max: Math.ceil(Math.max(...prices) / step) * step,
+        step
+    };
+}
+
+function getPriceRangeInputs() {
+    return {
+        minInput: document.getElementById('priceMinSlider'),
+        maxInput: document.getElementById('priceMaxSlider')
+    };
+}
+
+function updatePriceSliderTrack() {
+    const { dataMin, dataMax, selectedMin, selectedMax } = priceFilterState;
+    const track = document.getElementById('priceSliderTrack');
+    const minLabel = document.getElementById('priceMinLabel');
+    const maxLabel = document.getElementById('priceMaxLabel');
+    if (!track || !Number.isFinite(dataMin) || !Number.isFinite(dataMax)) return;
+    const span = dataMax - dataMin;
+    const leftPct = span > 0 ? ((selectedMin - dataMin) / span) * 100 : 0;
+    const rightPct = span > 0 ? ((dataMax - selectedMax) / span) * 100 : 0;
+    track.style.left = `${leftPct}%`;
+    track.style.right = `${rightPct}%`;
+    if (minLabel) minLabel.textContent = formatPriceValue(selectedMin);
+    if (maxLabel) maxLabel.textContent = formatPriceValue(selectedMax);
+}
+
+function setPriceRange(minValue, maxValue) {
+    const { dataMin, dataMax } = priceFilterState;
+    if (!Number.isFinite(dataMin) || !Number.isFinite(dataMax)) return;
+
+    const safeMin = Number.isFinite(minValue) ? minValue : dataMin;
+    const safeMax = Number.isFinite(maxValue) ? maxValue : dataMax;
+    const clampedMin = Math.max(dataMin, Math.min(dataMax, safeMin));
+    const clampedMax = Math.max(dataMin, Math.min(dataMax, safeMax));
+
+    priceFilterState.selectedMin = Math.min(clampedMin, clampedMax);
+    priceFilterState.selectedMax = Math.max(clampedMin, clampedMax);
+
+    const { minInput, maxInput } = getPriceRangeInputs();
+    if (minInput) minInput.value = priceFilterState.selectedMin;
+    if (maxInput) maxInput.value = priceFilterState.selectedMax;
+    updatePriceSliderTrack();
+}
+
+function setPriceIncludeUnpriced(include) {
+    priceFilterState.includeUnpriced = include;
+    const toggle = document.getElementById('priceIncludeUnpriced');
+    if (toggle) toggle.checked = include;
+}
+
+function resetPriceFilter() {
+    setPriceRange(priceFilterState.dataMin, priceFilterState.dataMax);
+    setPriceIncludeUnpriced(true);
+}
+
+function syncPriceRangeFromInputs() {
+    const { minInput, maxInput } = getPriceRangeInputs();
+    if (!minInput || !maxInput) return false;
+    const minVal = Number.parseFloat(minInput.value);
+    const maxVal = Number.parseFloat(maxInput.value);
+    setPriceRange(Math.min(minVal, maxVal), Math.max(minVal, maxVal));
+    return true;
+}
+
+function isPriceRangeActive() {
+    const { dataMin, dataMax, selectedMin, selectedMax } = priceFilterState;
+    if (![dataMin, dataMax, selectedMin, selectedMax].every(Number.isFinite)) return false;
+    return selectedMin > dataMin || selectedMax < dataMax;
+}
+
+function isPriceFilterActive() {
+    return isPriceRangeActive() || !priceFilterState.includeUnpriced;
+}
+
+function matchesPriceFilter(rubber) {
+    const price = getRubberEffectivePrice(rubber);
+    if (price == null) return priceFilterState.includeUnpriced;
+    if (!isPriceRangeActive()) return true;
+    return price >= priceFilterState.selectedMin && price <= priceFilterState.selectedMax;
+}
+
+// The price section is not part of the static filter panel markup; insert it after Weight.
+function ensurePriceFilterSection() {
+    let container = document.getElementById('priceFilter');
+    if (container) return container;
+    const weightFilter = document.getElementById('weightFilter');
+    if (!weightFilter) return null;
+    const header = document.createElement('div');
+    header.className = 'fp-section-header fp-section-header-sub';
+    header.innerHTML = `<span data-i18n-key="PRICE">${tUi('PRICE')}</span>`;
+    container = document.createElement('div');
+    container.className = 'fp-options';
+    container.id = 'priceFilter';
+    weightFilter.after(header, container);
+    return container;
+}
+
+function renderPriceRangeFilter() {
+    const container = document.getElementById('priceFilter');
+    if (!container) return;
+
+    const bounds = getPriceBoundsFromData();
+    const toggleHtml = `
+        <label class="price-unpriced-toggle">
+            <input id="priceIncludeUnpriced" type="checkbox"${priceFilterState.includeUnpriced ? ' checked' : ''}>
+            <span data-i18n-key="PRICE_INCLUDE_UNPRICED">${tUi('PRICE_INCLUDE_UNPRICED')}</span>
+        </label>
+    `;
+
+    if (!bounds) {
+        Object.assign(priceFilterState, { dataMin: null, dataMax: null, selectedMin: null, selectedMax: null });
+        container.innerHTML = `<div class="filter-instructions" data-i18n-key="NO_PRICE_DATA">${tUi('NO_PRICE_DATA')}</div>${toggleHtml}`;
+        return;
+    }
+
+    priceFilterState.dataMin = bounds.min;
+    priceFilterState.dataMax = bounds.max;
+    priceFilterState.selectedMin = bounds.min;
+    priceFilterState.selectedMax = bounds.max;
+
+    container.classList.add('weight-range-filter', 'price-range-filter');
+    container.innerHTML = `
+        <div class="weight-range-labels">
+            <span id="priceMinLabel">${formatPriceValue(bounds.min)}</span>
+            <span id="priceMaxLabel">${formatPriceValue(bounds.max)}</span>
+        </div>
+        <div class="weight-slider-container">
+            <div class="weight-slider-rail"></div>
+            <div class="weight-slider-track" id="priceSliderTrack"></div>
+            <input id="priceMinSlider" type="range" min="${bounds.min}" max="${bounds.max}" value="${bounds.min}" step="${bounds.step}">
+            <input id="priceMaxSlider" type="range" min="${bounds.min}" max="${bounds.max}" value="${bounds.max}" step="${bounds.step}">
+        </div>
+        ${toggleHtml}
+    `;
+    updatePriceSliderTrack();
+}
+
+let _priceFilterOnChange = null;
+
+function initPriceRangeFilter(onChange) {
+    const container = ensurePriceFilterSection();
+    if (!container) return;
+    _priceFilterOnChange = onChange;
+    renderPriceRangeFilter();
+
+    // Delegated so the listeners survive re-renders on locale switch
+    const debouncedChange = debounce(onChange, 40);
+    container.addEventListener('input', (e) => {
+        if (e.target.type !== 'range') return;
+        syncPriceRangeFromInputs();
+        debouncedChange();
+    });
+    container.addEventListener('change', (e) => {
+        if (e.target.id !== 'priceIncludeUnpriced') return;
+        priceFilterState.includeUnpriced = e.target.checked;
+        onChange();
+    });
+}
+
+/** Rebuild the slider for the current locale's currency; the previous range no longer applies. */
+function refreshPriceRangeBounds() {
+    if (!_priceFilterOnChange) return;
+    renderPriceRangeFilter();
+}
+
 // ════════════════════════════════════════════════════════════
 //  Control Toggle Filter (5 manual levels)
 // ════════════════════════════════════════════════════════════
@@ -420,18 +604,24 @@ function initTop30Filter(onChange) {
     slider.className = 'fp-seg-slider';
     seg.appendChild(slider);
 
-    ['All', 'Top 30'].forEach(label => {
+    [['all', 'All'], ['top30', 'Top 30'], ['favorites', '★']].forEach(([value, label]) => {
         const btn = document.createElement('button');
         btn.type = 'button';
         btn.className = 'fp-seg-btn';
-        btn.dataset.value = label === 'All' ? 'all' : 'top30';
+        btn.dataset.value = value;
         btn.textContent = label;
-        if (label === 'All') btn.classList.add('active');
+        if (value === 'favorites') {
+            btn.id = 'favoritesFilterBtn';
+            btn.title = tUi('FAVORITES_ONLY');
+            btn.setAttribute('aria-label', tUi('FAVORITES_ONLY'));
+        }
+        if (value === 'all') btn.classList.add('active');
         btn.addEventListener('click', () => {
             seg.querySelector('.fp-seg-btn.active')?.classList.remove('active');
             btn.classList.add('active');
             positionSegSlider(seg);
-            top30FilterActive = btn.dataset.value === 'top30';
+            top30FilterActive = value === 'top30';
+            favoritesFilterActive = value === 'favorites';
             onChange();
         });
         seg.appendChild(btn);
@@ -590,6 +780,33 @@ function buildCheckboxOptions(container, values, checkedValues) {
     container.appendChild(frag);
 }
 
+// Every filter except the brand/name/sheet checkboxes, shared by getFilteredData()
+// and the name list so the two can't drift apart. Reads the filter state once,
+// so build it per pass rather than per rubber.
+function getRubberFilterPredicate(queryClauses = searchQueryClauses) {
+    const filterByWeight = isWeightFilterActive();
+    const minWeight = weightFilterState.selectedMin;
+    const maxWeight = weightFilterState.selectedMax;
+
+    const filterByHardness = isHardnessFilterActive();
+    const minHardness = hardnessFilterState.selectedMin;
+    const maxHardness = hardnessFilterState.selectedMax;
+
+    const filterByPrice = isPriceFilterActive();
+
+    const filterByControl = isControlFilterActive();
+    const selectedLevels = controlFilterState.selectedLevels;
+
+    return rubber =>
+        (!filterByHardness || (Number.isFinite(rubber.normalizedHardness) && rubber.normalizedHardness >= minHardness && rubber.normalizedHardness <= maxHardness)) &&
+        (!filterByWeight || (Number.isFinite(rubber.weight) && rubber.weight >= minWeight && rubber.weight <= maxWeight)) &&
+        (!filterByPrice || matchesPriceFilter(rubber)) &&
+        (!filterByControl || selectedLevels.has(rubber.controlLevel)) &&
+        (!top30FilterActive || top30Set.has(rubber.fullName)) &&
+        (!favoritesFilterActive || isFavoriteRubber(rubber)) &&
+        matchesSearchQuery(rubber, queryClauses);
+}
+
 function buildNameOptionsFromFilters() {
     const nameFilter = document.getElementById('nameFilter');
     const selectedBrands = new Set(getCheckedValues('brandFilter'));
@@ -602,24 +819,11 @@ function buildNameOptionsFromFilters() {
         return;
     }
 
-    const filterByWeight = isWeightFilterActive();
-    const minWeight = weightFilterState.selectedMin;
-    const maxWeight = weightFilterState.selectedMax;
-
-    const filterByHardness = isHardnessFilterActive();
-    const minHardness = hardnessFilterState.selectedMin;
-    const maxHardness = hardnessFilterState.selectedMax;
-
-    const filterByControl = isControlFilterActive();
-    const selectedLevels = controlFilterState.selectedLevels;
-
+    const matchesFilters = getRubberFilterPredicate();
     const filtered = rubberData.filter(rubber =>
         selectedBrands.has(rubber.brand) &&
         (selectedSheet.size === 0 || selectedSheet.has(rubber.sheet)) &&
-        (!filterByHardness || (Number.isFinite(rubber.normalizedHardness) && rubber.normalizedHardness >= minHardness && rubber.normalizedHardness <= maxHardness)) &&
-        (!filterByWeight || (Number.isFinite(rubber.weight) && rubber.weight >= minWeight && rubber.weight <= maxWeight)) &&
-        (!filterByControl || selectedLevels.has(rubber.controlLevel)) &&
-        (!top30FilterActive || top30Set.has(rubber.fullName))
+        matchesFilters(rubber)
     );
 
     const seenNames = new Map();
@@ -654,6 +858,97 @@ function buildNameOptionsFromFilters() {
     );
 }
 
+// ════════════════════════════════════════════════════════════
+//  Search Query Filter (typed in the header search)
+// ════════════════════════════════════════════════════════════
+
+// `field<op>value` terms from SEARCH_QUERY_FIELDS, optionally negated with - or !, plus
+// bare words matched against rubber names. Numeric fields take < <= > >= = and `field:a..b` ranges;
+// text fields take : or = and match like the header search.
+const SEARCH_QUERY_TOKEN_RE = /([-!]?)([a-z]+)(<=|>=|<|>|=|:)("[^"]*"?|\S*)|\S+/gi;
+
+/** Parse a query into { clauses, errors, isQuery }; `isQuery` is false for a plain name search. */
+function parseSearchQuery(text) {
+    const clauses = [];
+    const errors = [];
+    let isQuery = false;
+    for (const match of String(text || '').matchAll(SEARCH_QUERY_TOKEN_RE)) {
+        const [token, negation, rawField, op, rawValue] = match;
+        if (!op) {
+            const negate = token.length > 1 && /^[-!]/.test(token) && !/^-\d/.test(token);
+            clauses.push({ field: 'name', op: ':', value: negate ? token.slice(1) : token, negate });
+            continue;
+        }
+        isQuery = true;
+        const field = rawField.toLowerCase();
+        const def = SEARCH_QUERY_FIELDS[field];
+        const value = rawValue.replace(/^"|"$/g, '').trim();
+        if (!def) {
+            errors.push(`${tUi('QUERY_UNKNOWN_FIELD')}: ${rawField}`);
+        } else if (!value) {
+            errors.push(`${tUi('QUERY_MISSING_VALUE')}: ${token}`);
+        } else if (!def.numeric) {
+            if (op === ':' || op === '=') clauses.push({ field, op, value, negate: Boolean(negation) });
+            else errors.push(`${tUi('QUERY_BAD_VALUE')}: ${token}`);
+        } else {
+            const range = (op === ':' || op === '=') ? value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/) : null;
+            const numbers = range ? [Number(range[1]), Number(range[2])] : [Number(value)];
+            if (numbers.every(Number.isFinite)) {
+                clauses.push({ field, op: range ? '..' : op, value: range ? numbers : numbers[0], negate: Boolean(negation) });
+            } else {
+                errors.push(`${tUi('QUERY_BAD_VALUE')}: ${token}`);
+            }
+        }
+    }
+    return { clauses, errors, isQuery };
+}
+
+function matchesSearchQueryClause(rubber, { field, op, value }) {
+    if (field === 'name') {
+        return [rubber.abbr, rubber.fullName, ...getRubberLocalizedSearchTerms(rubber)]
+            .some(name => matchSearchText(name, value));
+    }
+    const def = SEARCH_QUERY_FIELDS[field];
+    if (!def.numeric) {
+        return def.get(rubber).some(candidate => typeof candidate === 'string' && matchSearchText(candidate, value));
+    }
+    const n = def.get(rubber);
+    if (!Number.isFinite(n)) return false;
+    switch (op) {
+        case '<': return n < value;
+        case '<=': return n <= value;
+        case '>': return n > value;
+        case '>=': return n >= value;
+        case '..': return n >= Math.min(...value) && n <= Math.max(...value);
+        default: return n === value;
+    }
+}
+
+function matchesSearchQuery(rubber, clauses = searchQueryClauses) {
+    return clauses.every(clause => matchesSearchQueryClause(rubber, clause) !== clause.negate);
+}
+
+/** Field names completing the last word of `text`, for the search dropdown. */
+function getSearchQueryFieldSuggestions(text, minLength = 1) {
+    const word = /(?:^|\s)[-!]?([a-z]+)$/i.exec(text)?.[1]?.toLowerCase();
+    if (!word || word.length < minLength) return [];
+    return Object.keys(SEARCH_QUERY_FIELDS).filter(field => field.startsWith(word) && field !== word);
+}
+
+// Replace the last word of `text` with `field` and the operator to type next
+function completeSearchQueryField(text, field) {
+    const suffix = SEARCH_QUERY_FIELDS[field]?.numeric ? '' : ':';
+    return text.replace(/([-!]?)[a-z]+$/i, `$1${field}${suffix}`);
+}
+
+/** Make `text` the active query filter ('' clears it); the caller refreshes the chart. */
+function setSearchQuery(text) {
+    const { clauses, isQuery } = parseSearchQuery(text);
+    searchQueryClauses = isQuery ? clauses : [];
+    searchQueryText = isQuery ? text.trim() : '';
+    document.getElementById('headerSearch')?.classList.toggle('has-query', Boolean(searchQueryText));
+}
+
 // ════════════════════════════════════════════════════════════
 //  Filter Panel Management
 // ════════════════════════════════════════════════════════════
@@ -685,5 +980,450 @@ function updateFilterSummary(filteredCount) {
     if (!summary) return;
 
     const count = filteredCount ?? getFilteredData().length;
-    summary.textContent = `(${count} rubbers)`;
+    const priceNote = isPriceRangeActive()
+        ? ` · ${formatPriceValue(priceFilterState.selectedMin)}–${formatPriceValue(priceFilterState.selectedMax)}`
+        : '';
+    const queryNote = searchQueryText ? ` · ${searchQueryText}` : '';
+    summary.textContent = `(${count} rubbers${priceNote}${queryNote})`;
+}
+
+// ════════════════════════════════════════════════════════════
+//  Dataset Export (CSV / JSON)
+// ════════════════════════════════════════════════════════════
+
+// Rows follow DATASET_EXPORT_COLUMNS; both formats carry the active filters
+// (or the lack of them) so a file still says what it contains once it is shared.
+
+function describeCheckboxFilter(containerId, label, format = value => value) {
+    const checked = getCheckedValues(containerId);
+    if (checked.length >= getAllCheckboxValues(containerId).length) return null;
+    return `${label}: ${checked.map(format).join(', ')}`;
+}
+
+/** One "Label: value" line per active filter, in the current language. */
+function getActiveFilterDescriptions() {
+    const lines = [
+        describeCheckboxFilter('brandFilter', tUi('BRAND'), brand => tBrand(brand) || brand),
+        describeCheckboxFilter('nameFilter', tUi('RUBBER'), abbr => tRubberAbbr(abbr)),
+        describeCheckboxFilter('sheetFilter', tUi('TOPSHEET'), sheet => tUi(SHEET_I18N_KEYS[sheet]) || sheet)
+    ];
+    if (isHardnessFilterActive()) {
+        lines.push(`${tUi('HARDNESS')}: ${formatHardnessValue(hardnessFilterState.selectedMin)}–${formatHardnessValue(hardnessFilterState.selectedMax)}°`);
+    }
+    if (isWeightFilterActive()) {
+        lines.push(`${tUi('WEIGHT')}: ${formatWeightValue(weightFilterState.selectedMin)}–${formatWeightValue(weightFilterState.selectedMax)}g`);
+    }
+    if (isPriceRangeActive()) {
+        lines.push(`${tUi('PRICE')}: ${formatPriceValue(priceFilterState.selectedMin)}–${formatPriceValue(priceFilterState.selectedMax)}`);
+    }
+    if (!priceFilterState.includeUnpriced) lines.push(tUi('EXPORT_PRICED_ONLY'));
+    if (isControlFilterActive()) {
+        lines.push(`${tUi('CONTROL')}: ${[...controlFilterState.selectedLevels].sort().join(', ')}`);
+    }
+    if (top30FilterActive) lines.push(tUi('EXPORT_TOP30'));
+    if (favoritesFilterActive) lines.push(tUi('FAVORITES_ONLY'));
+    if (searchQueryText) lines.push(searchQueryText);
+    return lines.filter(Boolean);
+}
+
+function getDatasetExportRows(rubbers) {
+    return rubbers.map(rubber => Object.fromEntries(
+        DATASET_EXPORT_COLUMNS.map(col => [col.key, col.get(rubber) ?? null])
+    ));
+}
+
+function formatCsvCell(value) {
+    if (value == null) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function buildDatasetCsv(rubbers, meta) {
+    const header = [
+        `# PingPongLab rubbers, exported ${meta.exported}`,
+        `# ${meta.url}`,
+        ...(meta.filters.length ? meta.filters : [tUi('EXPORT_NO_FILTERS')]).map(line => `# ${line}`)
+    ];
+    const rows = getDatasetExportRows(rubbers).map(row => Object.values(row).map(formatCsvCell).join(','));
+    return [...header, DATASET_EXPORT_COLUMNS.map(col => col.key).join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function buildDatasetJson(rubbers, meta) {
+    return JSON.stringify({ ...meta, count: rubbers.length, rubbers: getDatasetExportRows(rubbers) }, null, 2);
+}
+
+/** Download the filtered rubbers (or all of them) as 'csv' or 'json'. */
+function exportDataset(format, { all = false } = {}) {
+    const rubbers = [...(all ? rubberData : getFilteredData())]
+        .sort((a, b) => a.brand.localeCompare(b.brand) || a.abbr.localeCompare(b.abbr));
+    const meta = {
+        exported: new Date().toISOString(),
+        url: window.location.href,
+        filters: all ? [] : getActiveFilterDescriptions()
+    };
+    const stem = `pingponglab-rubbers-${all ? 'all' : 'filtered'}-${meta.exported.slice(0, 10)}`;
+    if (format === 'json') {
+        downloadBlob(new Blob([buildDatasetJson(rubbers, meta)], { type: 'application/json' }), `${stem}.json`);
+    } else {
+        // The BOM makes Excel read the file as UTF-8 (Korean / Chinese names)
+        downloadBlob(new Blob(['\uFEFF', buildDatasetCsv(rubbers, meta)], { type: 'text/csv;charset=utf-8' }), `${stem}.csv`);
+    }
+}
+
+function renderDatasetExportModal() {
+    const body = document.getElementById('datasetExportBody');
+    if (!body) return;
+    const filters = getActiveFilterDescriptions();
+    const scopeOption = (value, label, count, checked) =>
+        `<label class="dataset-export-scope">` +
+            `<input type="radio" name="datasetExportScope" value="${value}"${checked ? ' checked' : ''}>` +
+            `<span>${escapeHtml(label)} <strong>${count}</strong></span>` +
+        `</label>`;
+    body.innerHTML =
+        `<p class="finder-note">${escapeHtml(tUi('EXPORT_NOTE'))}</p>` +
+        scopeOption('filtered', tUi('EXPORT_FILTERED'), getFilteredData().length, true) +
+        `<ul class="dataset-export-filters">${(filters.length ? filters : [tUi('EXPORT_NO_FILTERS')])
+            .map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` +
+        scopeOption('all', tUi('EXPORT_ALL'), rubberData.length, false) +
+        `<div class="finder-actions">` +
+            `<button type="button" class="finder-action-btn" data-export-format="json">${escapeHtml(tUi('EXPORT_JSON'))}</button>` +
+            `<button type="button" class="finder-action-btn finder-action-btn--primary" data-export-format="csv">${escapeHtml(tUi('EXPORT_CSV'))}</button>` +
+        `</div>`;
+}
+
+function ensureDatasetExportModal() {
+    let modal = document.getElementById('datasetExportModal');
+    if (modal) return modal;
+    modal = createModal({
+        id: 'datasetExportModal',
+        className: 'dataset-export-modal',
+        labelledBy: 'datasetExportTitle',
+        html: `<h2 id="datasetExportTitle"></h2><div id="datasetExportBody"></div>`,
+        onClose: closeDatasetExport
+    });
+
+    modal.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-export-format]');
+        if (!btn) return;
+        const scope = modal.querySelector('input[name="datasetExportScope"]:checked')?.value;
+        exportDataset(btn.dataset.exportFormat, { all: scope === 'all' });
+    });
+    return modal;
+}
+
+function openDatasetExport() {
+    const modal = ensureDatasetExportModal();
+    document.getElementById('datasetExportTitle').textContent = tUi('EXPORT_TITLE');
+    renderDatasetExportModal();
+    showModal(modal);
+}
+
+function closeDatasetExport() {
+    hideModal(document.getElementById('datasetExportModal'));
+}
+
+// The entry button is not part of the static filter panel markup; add it beside "Reset all".
+function initDatasetExport() {
+    const actions = document.getElementById('clearAllFilters')?.parentElement;
+    if (!actions || document.getElementById('datasetExportBtn')) return;
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'fp-reset-all-btn fp-export-btn';
+    btn.id = 'datasetExportBtn';
+    btn.textContent = tUi('EXPORT_DATA');
+    btn.title = tUi('EXPORT_TITLE');
+    btn.addEventListener('click', openDatasetExport);
+    actions.insertBefore(btn, actions.firstChild);
+}
+
+// ════════════════════════════════════════════════════════════
+//  Rubber Finder (guided questionnaire)
+// ════════════════════════════════════════════════════════════
+
+// Loosened in this order when too few rubbers match every answer.
+const FINDER_RELAX_ORDER = ['feel', 'weight', 'budget', 'level'];
+const FINDER_CONTROL_LEVELS = { beginner: [3, 4, 5], intermediate: [2, 3, 4, 5], advanced: CONTROL_LEVELS };
+
+let _finderStepIndex = 0;
+
+function isFinderAnswerSetComplete(answers) {
+    return FINDER_STEPS.every(step => Object.prototype.hasOwnProperty.call(step.options, answers[step.id]));
+}
+
+function serializeFinderAnswers(answers) {
+    if (!isFinderAnswerSetComplete(answers)) return '';
+    return FINDER_STEPS.map(step => answers[step.id]).join('.');
+}
+
+function parseFinderParam(value) {
+    const parts = String(value || '').toLowerCase().split('.');
+    const answers = {};
+    FINDER_STEPS.forEach((step, i) => { answers[step.id] = parts[i]; });
+    return isFinderAnswerSetComplete(answers) ? answers : null;
+}
+
+function buildFinderResultUrl(answers) {
+    const serialized = serializeFinderAnswers(answers);
+    const base = `${window.location.origin}/${selectedCountry || 'en'}/`;
+    return serialized ? `${base}?finder=${serialized}` : base;
+}
+
+function getFinderPriceQuantile(sortedPrices, q) {
+    return sortedPrices[Math.round(q * (sortedPrices.length - 1))];
+}
+
+function applyFinderBudget(budget) {
+    const prices = rubberData.map(r => getRubberEffectivePrice(r)).filter(Number.isFinite).sort((a, b) => a - b);
+    if (!prices.length) return;
+    const { dataMin, dataMax } = priceFilterState;
+    if (budget === 'low') setPriceRange(dataMin, getFinderPriceQuantile(prices, 0.33));
+    else if (budget === 'mid') setPriceRange(getFinderPriceQuantile(prices, 0.33), getFinderPriceQuantile(prices, 0.75));
+    else if (budget === 'high') setPriceRange(getFinderPriceQuantile(prices, 0.5), dataMax);
+    else return;
+    setPriceIncludeUnpriced(false);
+}
+
+/**
+ * Translate finder answers into the regular filter state, starting from a full reset.
+ * Steps listed in `relaxed` are left at their defaults.
+ */
+function applyFinderAnswersToFilters(answers, relaxed = new Set()) {
+    resetFiltersToAll();
+
+    if (!relaxed.has('level')) {
+        controlFilterState.selectedLevels = new Set(FINDER_CONTROL_LEVELS[answers.level] || CONTROL_LEVELS);
+        syncControlPillUI();
+    }
+
+    // Tacky Chinese sheets suit forehand loops, not backhands or flat hitting
+    if (answers.side === 'bh' || answers.style === 'speed') {
+        document.querySelectorAll('#sheetFilter input[type="checkbox"]').forEach(cb => {
+            cb.checked = cb.value !== 'Chinese';
+            cb.closest('.fp-pill')?.classList.toggle('active', cb.checked);
+        });
+    }
+
+    if (!relaxed.has('budget')) applyFinderBudget(answers.budget);
+
+    if (!relaxed.has('weight')) {
+        if (answers.weight === 'light') setWeightRange(weightFilterState.dataMin, WEIGHT_LIGHT_MAX);
+        else if (answers.weight === 'medium') setWeightRange(weightFilterState.dataMin, WEIGHT_MEDIUM_MAX);
+    }
+
+    if (!relaxed.has('feel')) {
+        const { dataMin, dataMax } = hardnessFilterState;
+        if (answers.feel === 'soft') setHardnessRange(dataMin, HARDNESS_MEDIUM_MIN);
+        else if (answers.feel === 'medium') setHardnessRange(HARDNESS_MEDIUM_MIN, HARDNESS_HARD_MIN);
+        else if (answers.feel === 'hard') setHardnessRange(HARDNESS_HARD_MIN, dataMax);
+    }
+
+    buildNameOptionsFromFilters();
+}
+
+function getFinderScore(rubber, answers) {
+    const data = getRadarData(rubber);
+    const weights = { ...(FINDER_STYLE_WEIGHTS[answers.style] || FINDER_STYLE_WEIGHTS.allround) };
+    if (answers.level === 'beginner') weights.control += 0.5;
+
+    let sum = 0;
+    let totalWeight = 0;
+    for (const [key, w] of Object.entries(weights)) {
+        sum += w * data[key];
+        totalWeight += w;
+    }
+    // Pros using it on the same side break ties (worth up to 10 points)
+    const players = answers.side === 'bh' ? rubber.backhandPlayers : rubber.forehandPlayers;
+    return sum / totalWeight + Math.min(players?.length || 0, 5) * 2;
+}
+
+/** Apply the answers as filters, loosening them until at least two rubbers match, then rank. */
+function rankFinderMatches(answers) {
+    const relaxed = new Set();
+    applyFinderAnswersToFilters(answers, relaxed);
+    let filtered = getFilteredData();
+    for (const stepId of FINDER_RELAX_ORDER) {
+        if (filtered.length >= 2) break;
+        relaxed.add(stepId);
+        applyFinderAnswersToFilters(answers, relaxed);
+        filtered = getFilteredData();
+    }
+
+    const seen = new Set();
+    const matches = filtered
+        .map(rubber => ({ rubber, score: getFinderScore(rubber, answers) }))
+        .sort((a, b) => b.score - a.score)
+        .filter(({ rubber }) => !seen.has(rubber.abbr) && seen.add(rubber.abbr));
+    return { matches, relaxed: relaxed.size > 0 };
+}
+
+/**
+ * Run the finder: set filters, select the top two into the comparison view.
+ * `fromUrl` is used during startup, before the chart exists and without a new history entry.
+ */
+function runRubberFinder(answers, { fromUrl = false } = {}) {
+    finderAnswers = { ...answers };
+    const result = rankFinderMatches(answers);
+    const top = result.matches.slice(0, 2).map(m => m.rubber);
+
+    updateFilterSummary();
+    if (!top.length) {
+        pushFiltersToUrl();
+        if (!fromUrl) updateChart();
+        return result;
+    }
+
+    resetYouTubePlayers();
+    selectedRubbers = [null, null];
+    pinnedRubbers = [false, false];
+    resetDetailPanels();
+    top.forEach((r, i) => {
+        selectedRubbers[i] = r;
+        updateDetailPanel(i + 1, r);
+    });
+    nextDetailPanel = top.length > 1 ? 1 : 2;
+    updateRadarChart();
+    updateComparisonBar();
+    renderTabs();
+    if (fromUrl) {
+        pushFiltersToUrl();
+    } else {
+        updateChart({ force: true });
+        navigateToPath(buildCurrentPath(), { clearHash: true });
+    }
+    setActiveTab(top.length > 1 ? 'comparison' : 'desc1');
+    if (typeof updateDocumentTitle === 'function') updateDocumentTitle();
+    return result;
+}
+
+/** Apply a shared `?finder=` link; returns true when it selected rubbers. */
+function applyFinderFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('finder')) return false;
+    const answers = parseFinderParam(params.get('finder'));
+    if (!answers) return false;
+    return runRubberFinder(answers, { fromUrl: true }).matches.length > 0;
+}
+
+// ── Finder modal ──
+
+function ensureFinderModal() {
+    let modal = document.getElementById('finderModal');
+    if (modal) return modal;
+    modal = createModal({
+        id: 'finderModal',
+        className: 'finder-modal',
+        cardClassName: 'finder-modal-card',
+        labelledBy: 'finderTitle',
+        html: `<h2 id="finderTitle"></h2><div class="finder-body" id="finderBody"></div>`,
+        onClose: closeRubberFinder
+    });
+
+    modal.addEventListener('click', (e) => {
+        const option = e.target.closest('[data-finder-option]');
+        if (option) {
+            chooseFinderOption(option.dataset.finderOption);
+            return;
+        }
+        const item = e.target.closest('[data-finder-abbr]');
+        if (item) {
+            const rubber = rubberData.find(r => r.abbr === item.dataset.finderAbbr);
+            closeRubberFinder();
+            if (rubber) addRubberToComparison(rubber);
+            return;
+        }
+        const actionBtn = e.target.closest('[data-finder-action]');
+        if (!actionBtn) return;
+        const action = actionBtn.dataset.finderAction;
+        if (action === 'back') showFinderStep(Math.max(0, _finderStepIndex - 1));
+        else if (action === 'restart') showFinderStep(0);
+        else if (action === 'copy') copyFinderResultLink(actionBtn);
+    });
+    return modal;
+}
+
+function showFinderStep(index) {
+    const body = document.getElementById('finderBody');
+    const step = FINDER_STEPS[index];
+    if (!body || !step) return;
+    _finderStepIndex = index;
+    document.getElementById('finderTitle').textContent = tUi('FINDER_TITLE');
+
+    const options = Object.entries(step.options).map(([value, labelKey]) => {
+        const selected = finderAnswers[step.id] === value ? ' is-selected' : '';
+        return `<button type="button" class="finder-option${selected}" data-finder-option="${value}">${escapeHtml(tUi(labelKey))}</button>`;
+    }).join('');
+    const progress = FINDER_STEPS.map((_, i) =>
+        `<span class="finder-progress-dot${i <= index ? ' is-done' : ''}"></span>`
+    ).join('');
+
+    body.innerHTML =
+        `<div class="finder-progress" aria-label="${index + 1} / ${FINDER_STEPS.length}">${progress}</div>` +
+        `<p class="finder-question">${escapeHtml(tUi(step.labelKey))}</p>` +
+        `<div class="finder-options">${options}</div>` +
+        (index > 0
+            ? `<div class="finder-actions"><button type="button" class="finder-action-btn" data-finder-action="back">${escapeHtml(tUi('FINDER_BACK'))}</button></div>`
+            : '');
+}
+
+function chooseFinderOption(value) {
+    const step = FINDER_STEPS[_finderStepIndex];
+    if (!step) return;
+    finderAnswers[step.id] = value;
+    if (_finderStepIndex < FINDER_STEPS.length - 1) {
+        showFinderStep(_finderStepIndex + 1);
+        return;
+    }
+    showFinderResults(runRubberFinder(finderAnswers));
+}
+
+function showFinderResults({ matches, relaxed }) {
+    const body = document.getElementById('finderBody');
+    if (!body) return;
+    document.getElementById('finderTitle').textContent = tUi('FINDER_RESULTS');
+
+    const list = matches.slice(0, FINDER_RESULTS_LIMIT).map(({ rubber }, i) => {
+        const color = getBrandColor(rubber.brand);
+        return `<li><button type="button" class="finder-result-item" data-finder-abbr="${escapeHtml(rubber.abbr)}" style="border-left-color:${color}">` +
+            `<span class="finder-result-rank">${i + 1}</span>` +
+            `<span class="finder-result-name">${escapeHtml(tRubberAbbr(rubber))}</span>` +
+            `<span class="finder-result-brand" style="color:${color}">${escapeHtml(tBrand(rubber.brand))}</span>` +
+            `</button></li>`;
+    }).join('');
+
+    body.innerHTML =
+        (relaxed ? `<p class="finder-note">${escapeHtml(tUi('FINDER_RELAXED'))}</p>` : '') +
+        (list
+            ? `<ol class="finder-results">${list}</ol>`
+            : `<p class="finder-note">${escapeHtml(tUi('FINDER_NO_RESULTS'))}</p>`) +
+        `<div class="finder-actions">` +
+            `<button type="button" class="finder-action-btn" data-finder-action="restart">${escapeHtml(tUi('FINDER_RESTART'))}</button>` +
+            `<button type="button" class="finder-action-btn finder-action-btn--primary" data-finder-action="copy">${escapeHtml(tUi('FINDER_COPY_LINK'))}</button>` +
+        `</div>`;
+}
+
+function copyFinderResultLink(button) {
+    const url = buildFinderResultUrl(finderAnswers);
+    const done = () => {
+        button.textContent = tUi('SHARE_COPIED');
+        setTimeout(() => { button.textContent = tUi('FINDER_COPY_LINK'); }, 1500);
+    };
+    if (navigator.clipboard?.writeText) {
+        navigator.clipboard.writeText(url).then(done).catch(() => window.prompt(tUi('FINDER_COPY_LINK'), url));
+    } else {
+        window.prompt(tUi('FINDER_COPY_LINK'), url);
+    }
+}
+
+function openRubberFinder() {
+    const modal = ensureFinderModal();
+    showModal(modal);
+    showFinderStep(0);
+}
+
+function closeRubberFinder() {
+    hideModal(document.getElementById('finderModal'));
+}
+
+function initRubberFinder() {
+    document.getElementById('finderOpenBtn')?.addEventListener('click', openRubberFinder);
 }
@@ -15,7 +15,7 @@ function initFilters() {
         const filtered = getFilteredData();
         updateFilterSummary(filtered.length);
         pushFiltersToUrl();
-        const isRangeFilter = filterId === 'hardness' || filterId === 'weight';
+        const isRangeFilter = filterId === 'hardness' || filterId === 'weight' || filterId === 'price';
         if (isRangeFilter) {
             updateChart({ _cachedFilteredData: filtered });
         } else {
@@ -26,12 +26,13 @@ function initFilters() {
     initSheetToggleFilter(() => onFilterChange('sheet'));
     initHardnessRangeFilter(() => onFilterChange('hardness'));
     initWeightRangeFilter(() => onFilterChange('weight'));
+    initPriceRangeFilter(() => onFilterChange('price'));
     initControlToggleFilter(() => onFilterChange('control'));
     initTop30Filter(() => onFilterChange('top30'));
     buildNameOptionsFromFilters();
 
     // Filter change listeners (checkbox-based filters only)
-    FILTER_IDS.filter(id => id !== 'weight' && id !== 'hardness' && id !== 'control' && id !== 'sheet' && id !== 'top30').forEach(id => {
+    FILTER_IDS.filter(id => id !== 'weight' && id !== 'hardness' && id !== 'price' && id !== 'control' && id !== 'sheet' && id !== 'top30').forEach(id => {
         document.getElementById(id + 'Filter').addEventListener('change', () => onFilterChange(id));
     });
 
@@ -141,6 +142,7 @@ function initCountrySelector() {
         updateChart({ preserveRanges: true, force: true });
 
         syncCountrySelectorUI();
+        syncCurrencySelectUI();
         requestAnimationFrame(() => positionCountryPill(selector));
 
         // Pop animation on newly active flag
@@ -154,7 +156,7 @@ function initCountrySelector() {
 
         // Crossfade content pane
         const pane = document.getElementById('contentPane');
-        if (pane && (selectedRubbers[0] || selectedRubbers[1])) {
+        if (pane && selectedRubbers.some(Boolean)) {
             _countrySwitchFade = true;
             pane.classList.add('content-pane--country-fade');
         }
@@ -162,13 +164,15 @@ function initCountrySelector() {
         // Navigate to new country path (replaces country prefix)
         const newPath = buildCurrentPath();
         navigateToPath(newPath);
-        if (selectedRubbers[0]) updateDetailPanel(1, selectedRubbers[0]);
-        if (selectedRubbers[1]) updateDetailPanel(2, selectedRubbers[1]);
+        selectedRubbers.forEach((r, i) => { if (r) updateDetailPanel(i + 1, r); });
         updateComparisonBar();
         renderTabs();
+        if (activeTab === 'players') refreshPlayersTab();
+        else if (activeTab === 'brand') openBrandPage(activeBrand, { updateUrl: false });
         updateRadarChart();
         updateDocumentTitle();
         initPriceDropTicker();
+        refreshWatchlistAlerts();
     }
 
     syncCountrySelectorUI();
@@ -210,6 +214,66 @@ function initCountrySelector() {
     });
 }
 
+// ── Display currency ──
+
+function loadStoredCurrency() {
+    try {
+        const stored = localStorage.getItem(CURRENCY_STORAGE_KEY);
+        return stored && DISPLAY_CURRENCIES[stored] ? stored : null;
+    } catch {
+        return null;
+    }
+}
+
+function syncCurrencySelectUI() {
+    const select = document.getElementById('currencySelect');
+    if (select) select.value = getDisplayCurrency();
+}
+
+// Re-render everything that shows a price (same set as a language switch, minus the labels)
+function applyCurrencySelection(code) {
+    if (!DISPLAY_CURRENCIES[code] || code === getDisplayCurrency()) return;
+    // Picking the language's own currency goes back to following the language
+    selectedCurrency = code === DEFAULT_DISPLAY_CURRENCY[selectedCountry] ? null : code;
+    try {
+        if (selectedCurrency) localStorage.setItem(CURRENCY_STORAGE_KEY, selectedCurrency);
+        else localStorage.removeItem(CURRENCY_STORAGE_KEY);
+    } catch {}
+
+    if (typeof applyChartAxisValues === 'function') applyChartAxisValues(rubberData);
+    refreshPriceRangeBounds();
+    pushFiltersToUrl();
+    updateFilterSummary();
+    updateChart({ preserveRanges: true, force: true });
+    selectedRubbers.forEach((r, i) => { if (r) updateDetailPanel(i + 1, r); });
+    renderTabs();
+    if (activeTab === 'brand') openBrandPage(activeBrand, { updateUrl: false });
+    updateRadarChart();
+    if (document.getElementById('setupModal')?.classList.contains('open')) renderSetupBuilder();
+    initPriceDropTicker();
+    refreshWatchlistAlerts();
+    syncCurrencySelectUI();
+}
+
+function initCurrencySelector() {
+    selectedCurrency = loadStoredCurrency();
+    const controls = document.querySelector('.header-controls');
+    if (!controls || document.getElementById('currencySelect')) return;
+
+    const select = document.createElement('select');
+    select.id = 'currencySelect';
+    select.className = 'currency-select';
+    select.innerHTML = Object.keys(DISPLAY_CURRENCIES)
+        .map(code => `<option value="${code}">${escapeHtml(getCurrencySymbol(code))} ${code}</option>`)
+        .join('');
+    select.setAttribute('aria-label', tUi('CURRENCY'));
+    select.title = tUi('CURRENCY');
+    controls.insertBefore(select, controls.firstChild);
+    syncCurrencySelectUI();
+
+    select.addEventListener('change', () => applyCurrencySelection(select.value));
+}
+
 function initHeaderSearch() {
     const input = document.getElementById('headerSearchInput');
     const results = document.getElementById('headerSearchResults');
@@ -224,26 +288,35 @@ function initHeaderSearch() {
         return Array.isArray(filtered) && filtered.length > 0 ? filtered : rubberData;
     }
 
+    // Best matchSearchText score among `names`, 0 when none match
+    function getBestMatchScore(names, query) {
+        let best = 0;
+        for (const name of names) {
+            const match = matchSearchText(name, query);
+            if (match && match.score > best) best = match.score;
+        }
+        return best;
+    }
+
     function collectMatchedPlayersBySide(rubber, query) {
         const matchesByPlayer = new Map();
-        const playerMatchesQuery = (name) => {
-            if (typeof name !== 'string') return false;
+        const playerMatchScore = (name) => {
+            if (typeof name !== 'string') return 0;
             const trimmed = name.trim();
-            if (!trimmed) return false;
-            if (trimmed.toLowerCase().includes(query)) return true;
+            if (!trimmed) return 0;
 
+            const candidates = [trimmed];
             const player = getPlayerDataByName(trimmed);
-            if (!player) return false;
-
-            const candidates = [];
-            if (typeof player.canonical_name === 'string') candidates.push(player.canonical_name);
-            if (typeof player.full_name === 'string') candidates.push(player.full_name);
-            if (player.localized_names && typeof player.localized_names === 'object') {
-                Object.values(player.localized_names).forEach((localizedName) => {
-                    if (typeof localizedName === 'string') candidates.push(localizedName);
-                });
+            if (player) {
+                if (typeof player.canonical_name === 'string') candidates.push(player.canonical_name);
+                if (typeof player.full_name === 'string') candidates.push(player.full_name);
+                if (player.localized_names && typeof player.localized_names === 'object') {
+                    Object.values(player.localized_names).forEach((localizedName) => {
+                        if (typeof localizedName === 'string') candidates.push(localizedName);
+                    });
+                }
             }
-            return candidates.some(candidate => candidate.trim().toLowerCase().includes(query));
+            return getBestMatchScore(candidates, query);
         };
 
         const addMatches = (players, side) => {
@@ -252,10 +325,12 @@ function initHeaderSearch() {
                 if (typeof name !== 'string') return;
                 const trimmed = name.trim();
                 if (!trimmed) return;
-                if (playerMatchesQuery(trimmed)) {
+                const score = playerMatchScore(trimmed);
+                if (score > 0) {
                     const key = trimmed.toLowerCase();
                     const existing = matchesByPlayer.get(key) || {
                         name: trimmed,
+                        score,
                         forehand: false,
                         backhand: false
                     };
@@ -273,27 +348,23 @@ function initHeaderSearch() {
     function search(query) {
         const q = query.trim().toLowerCase();
         if (!q) { closeResults(); return; }
-        // Hyphen/whitespace-insensitive query so "MXP" finds "MX-P", etc.
-        const qNorm = normalizeSearchText(query);
 
+        const parsedQuery = parseSearchQuery(query);
+        if (parsedQuery.isQuery) {
+            renderQueryResults(query, parsedQuery);
+            return;
+        }
+
+        // Ranked by matchSearchText score; a brand or player hit counts for less than the rubber's own name
         const matches = [];
         getHeaderSearchPool().forEach((r) => {
-            const nameMatch =
-                r.abbr.toLowerCase().includes(q) ||
-                r.fullName.toLowerCase().includes(q) ||
-                (qNorm && (
-                    normalizeSearchText(r.abbr).includes(qNorm) ||
-                    normalizeSearchText(r.fullName).includes(qNorm)
-                ));
-            const brandMatch = Object.values(BRAND_NAMES_I18N).some(m => m[r.brand]?.toLowerCase().includes(q));
-            const localizedNameMatch = getRubberLocalizedSearchTerms(r).some(name =>
-                name.toLowerCase().includes(q) ||
-                (qNorm && normalizeSearchText(name).includes(qNorm))
-            );
-            const playerNameMatch = r.playerSearchNames.some(name => name.toLowerCase().includes(q));
-
-            if (nameMatch || brandMatch || localizedNameMatch) {
-                matches.push({ rubber: r, matchedPlayer: '', matchedSide: '' });
+            const nameScore = getBestMatchScore([r.abbr, r.fullName, ...getRubberLocalizedSearchTerms(r)], q);
+            const brandScore = getBestMatchScore(
+                Object.values(BRAND_NAMES_I18N).map(m => m[r.brand]).filter(Boolean), q
+            ) * 0.6;
+
+            if (nameScore || brandScore) {
+                matches.push({ rubber: r, matchedPlayer: '', matchedSide: '', score: Math.max(nameScore, brandScore) });
                 return;
             }
 
@@ -305,16 +376,22 @@ function initHeaderSearch() {
                     matchedSides: {
                         forehand: playerMatch.forehand,
                         backhand: playerMatch.backhand
-                    }
+                    },
+                    score: playerMatch.score * 0.8
                 });
             });
 
-            if (playerNameMatch && sidePlayerMatches.length === 0) {
-                matches.push({ rubber: r, matchedPlayer: '', matchedSide: '' });
+            if (sidePlayerMatches.length === 0) {
+                const playerScore = getBestMatchScore(r.playerSearchNames, q) * 0.8;
+                if (playerScore) matches.push({ rubber: r, matchedPlayer: '', matchedSide: '', score: playerScore });
             }
         });
 
-        currentMatches = matches.slice(0, 30);
+        // Array.prototype.sort is stable, so equal scores keep the pool's order
+        currentMatches = [
+            ...getSearchQueryFieldSuggestions(query, 2).map(field => ({ suggestion: field })),
+            ...matches.sort((a, b) => b.score - a.score).slice(0, 30)
+        ];
 
         if (currentMatches.length === 0) {
             results.innerHTML = '<div class="header-search-no-results">No rubbers found</div>';
@@ -323,48 +400,87 @@ function initHeaderSearch() {
             return;
         }
 
-        results.innerHTML = currentMatches.map((entry, i) => {
-            const r = entry.rubber;
-            const matchedPlayer = entry.matchedPlayer;
-            const matchedSides = entry.matchedSides || {};
-            const sideBadgeHtml = [
-                matchedSides.forehand
-                    ? '<span class="header-search-side-badge header-search-side-badge--fh">🏓</span>'
-                    : '',
-                matchedSides.backhand
-                    ? '<span class="header-search-side-badge header-search-side-badge--bh"><span class="header-search-paddle-black">🏓</span></span>'
-                    : ''
-            ].filter(Boolean).join(' ');
-            const matchedPlayerLabel = matchedPlayer
-                ? (getLocalizedPlayerName(matchedPlayer) || matchedPlayer)
-                : '';
-
-            const brandColor = getBrandColor(r.brand);
-            return `<div class="header-search-result" data-index="${i}" style="border-left-color:${brandColor}">` +
-                `<span class="header-search-result-abbr">${highlightMatch(tRubberAbbr(r), q)}</span>` +
-                `<span class="header-search-result-brand" style="color:${brandColor}">${tBrand(r.brand)}</span>` +
-                (matchedPlayerLabel
-                    ? `<span class="header-search-result-player">${highlightMatch(matchedPlayerLabel, q)}${sideBadgeHtml ? ` ${sideBadgeHtml}` : ''}</span>`
-                    : '') +
-                `</div>`;
-        }).join('');
+        results.innerHTML = currentMatches.map((entry, i) => buildResultHtml(entry, i, q)).join('');
+        results.classList.add('is-open');
+        activeIndex = -1;
+    }
+
+    // Structured query: live count of the rubbers it would keep, plus those rubbers
+    function renderQueryResults(query, parsedQuery) {
+        const matched = parsedQuery.errors.length ? [] : getFilteredData(parsedQuery.clauses);
+        const isApplied = query.trim() === searchQueryText;
+        currentMatches = [
+            ...getSearchQueryFieldSuggestions(query).map(field => ({ suggestion: field })),
+            ...matched.slice(0, 30).map(rubber => ({ rubber, matchedPlayer: '', matchedSides: {} }))
+        ];
+        const headerHtml = parsedQuery.errors.length
+            ? parsedQuery.errors.map(message => `<div class="header-search-query-error">${escapeHtml(message)}</div>`).join('')
+            : `<div class="header-search-list-header">${matched.length} ${escapeHtml(tUi('QUERY_MATCHES'))}` +
+                `${isApplied ? '' : ` · ${escapeHtml(tUi('QUERY_APPLY_HINT'))}`}</div>`;
+        results.innerHTML = headerHtml + currentMatches.map((entry, i) => buildResultHtml(entry, i, '')).join('');
         results.classList.add('is-open');
         activeIndex = -1;
     }
 
+    function buildResultHtml(entry, i, q) {
+        if (entry.suggestion) {
+            return `<div class="header-search-result header-search-suggestion" data-index="${i}">` +
+                `<span class="header-search-result-abbr">${escapeHtml(entry.suggestion)}</span>` +
+                `<span class="header-search-result-brand">${escapeHtml(SEARCH_QUERY_FIELDS[entry.suggestion].example)}</span>` +
+                `</div>`;
+        }
+        const r = entry.rubber;
+        const matchedPlayer = entry.matchedPlayer;
+        const matchedSides = entry.matchedSides || {};
+        const sideBadgeHtml = [
+            matchedSides.forehand
+                ? '<span class="header-search-side-badge header-search-side-badge--fh">🏓</span>'
+                : '',
+            matchedSides.backhand
+                ? '<span class="header-search-side-badge header-search-side-badge--bh"><span class="header-search-paddle-black">🏓</span></span>'
+                : ''
+        ].filter(Boolean).join(' ');
+        const matchedPlayerLabel = matchedPlayer
+            ? (getLocalizedPlayerName(matchedPlayer) || matchedPlayer)
+            : '';
+
+        const brandColor = getBrandColor(r.brand);
+        return `<div class="header-search-result" data-index="${i}" style="border-left-color:${brandColor}">` +
+            `<span class="header-search-result-abbr">${highlightMatch(tRubberAbbr(r), q)}${buildFavoriteStarHtml(r)}</span>` +
+            `<span class="header-search-result-brand" style="color:${brandColor}">${tBrand(r.brand)}</span>` +
+            (matchedPlayerLabel
+                ? `<span class="header-search-result-player">${highlightMatch(matchedPlayerLabel, q)}${sideBadgeHtml ? ` ${sideBadgeHtml}` : ''}</span>`
+                : '') +
+            `</div>`;
+    }
+
+    // Suggestion rows complete a field name instead of pointing at a rubber
+    function getMatchRubber(match) {
+        return match?.suggestion ? null : (match?.rubber || match);
+    }
+
+    function applyQueryFromInput() {
+        const parsedQuery = parseSearchQuery(input.value);
+        if (parsedQuery.errors.length) return;
+        setSearchQuery(input.value);
+        closeResults();
+        input.blur();
+        refreshForSearchQuery();
+    }
+
+    function refreshForSearchQuery() {
+        buildNameOptionsFromFilters();
+        const filtered = getFilteredData();
+        updateFilterSummary(filtered.length);
+        pushFiltersToUrl();
+        animateChartUpdate({ _cachedFilteredData: filtered });
+    }
+
     function highlightMatch(text, query) {
         const markOpen = '<mark style="background:rgba(218,138,82,0.3);color:inherit;border-radius:2px;padding:0 1px">';
         const markClose = '</mark>';
-        const idx = text.toLowerCase().indexOf(query);
-        if (idx !== -1) {
-            return escapeHtml(text.slice(0, idx)) +
-                markOpen +
-                escapeHtml(text.slice(idx, idx + query.length)) + markClose +
-                escapeHtml(text.slice(idx + query.length));
-        }
-        // Fallback: hyphen/whitespace-insensitive match (e.g. "MXP" → "MX-P").
-        const qNorm = normalizeSearchText(query);
-        const range = qNorm ? findNormalizedMatchRange(text, qNorm) : null;
+        // Covers "MXP" → "MX-P", Hangul initials, pinyin and typo matches
+        const range = matchSearchText(text, query)?.range;
         if (range) {
             return escapeHtml(text.slice(0, range.start)) +
                 markOpen +
@@ -379,10 +495,17 @@ function initHeaderSearch() {
     }
 
     function selectResult(match) {
+        if (match?.suggestion) {
+            input.value = completeSearchQueryField(input.value, match.suggestion);
+            input.focus();
+            search(input.value);
+            return;
+        }
         const rubber = match?.rubber || match;
         if (!rubber) return;
         handleRubberClick(rubber);
-        input.value = '';
+        // An applied query stays in the box; it is the filter
+        input.value = searchQueryText;
         closeResults();
         input.blur();
         trackSearchSelectEvent(rubber);
@@ -461,8 +584,7 @@ function initHeaderSearch() {
         if (index >= 0 && index < items.length) {
             items[index].classList.add('is-active');
             items[index].scrollIntoView({ block: 'nearest' });
-            const match = currentMatches[index];
-            highlightRubberDot(match?.rubber || match);
+            highlightRubberDot(getMatchRubber(currentMatches[index]));
         } else {
             clearSearchSpotlight();
         }
@@ -471,10 +593,20 @@ function initHeaderSearch() {
 
     input.addEventListener('input', () => {
         document.getElementById('headerBestsellerBtn')?.classList.remove('is-active');
+        // Emptying the box drops an applied query
+        if (!input.value.trim() && searchQueryText) {
+            setSearchQuery('');
+            refreshForSearchQuery();
+        }
         search(input.value);
     });
 
     input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && activeIndex < 0 && parseSearchQuery(input.value).isQuery) {
+            e.preventDefault();
+            applyQueryFromInput();
+            return;
+        }
         const items = results.querySelectorAll('.header-search-result');
         if (!results.classList.contains('is-open') || items.length === 0) {
             if (e.key === 'Escape') { input.blur(); closeResults(); }
@@ -518,8 +650,7 @@ function initHeaderSearch() {
         const item = e.target.closest('.header-search-result');
         if (!item) return;
         const idx = parseInt(item.dataset.index, 10);
-        const match = currentMatches[idx];
-        highlightRubberDot(match?.rubber || match);
+        highlightRubberDot(getMatchRubber(currentMatches[idx]));
     });
 
     results.addEventListener('mouseleave', () => {
@@ -565,14 +696,14 @@ function initHeaderSearch() {
                 const brandColor = getBrandColor(r.brand);
                 return `<div class="header-search-result" data-index="${i}" style="border-left-color:${brandColor}">` +
                     `<span class="header-search-result-rank">#${item.rank}</span>` +
-                    `<span class="header-search-result-abbr">${escapeHtml(tRubberAbbr(r))}</span>` +
+                    `<span class="header-search-result-abbr">${escapeHtml(tRubberAbbr(r))}${buildFavoriteStarHtml(r)}</span>` +
                     `<span class="header-search-result-brand" style="color:${brandColor}">${tBrand(r.brand)}</span>` +
                     `</div>`;
             }).join('');
             results.classList.add('is-open');
             bestsellerBtn.classList.add('is-active');
             activeIndex = -1;
-            input.value = '';
+            input.value = searchQueryText;
         }
 
         function scheduleBestsellerClose() {
@@ -984,7 +1115,18 @@ window.addEventListener('resize', () => {
 function applyRoute(route) {
     if (!route || !SLUG_MAP) return;
 
-    if (route.type === 'rubber') {
+    if (route.type === 'setup') {
+        openSetupBuilder(route.setup, { updateUrl: false });
+        return;
+    }
+
+    if (route.type === 'brand') {
+        const brand = findBrandBySlug(route.slug);
+        if (brand) openBrandPage(brand, { updateUrl: false });
+    } else if (route.type === 'players' || route.type === 'player') {
+        const player = route.type === 'player' ? findPlayerBySlug(route.slug) : null;
+        openPlayersTab(player, { updateUrl: false });
+    } else if (route.type === 'rubber') {
         const rubber = findRubberBySlug(route.slug);
         if (rubber) {
             selectedRubbers[0] = rubber;
@@ -996,13 +1138,14 @@ function applyRoute(route) {
             setActiveTab('desc1');
         }
     } else if (route.type === 'comparison') {
-        const rubberA = findRubberBySlug(route.slugA);
-        const rubberB = findRubberBySlug(route.slugB);
+        const found = (route.slugs || [route.slugA, route.slugB])
+            .map(findRubberBySlug)
+            .filter(Boolean)
+            .slice(0, MAX_COMPARE_RUBBERS);
+        const [rubberA, rubberB] = found;
         if (rubberA && rubberB) {
-            selectedRubbers[0] = rubberA;
-            selectedRubbers[1] = rubberB;
-            updateDetailPanel(1, rubberA);
-            updateDetailPanel(2, rubberB);
+            selectedRubbers = found;
+            found.forEach((r, i) => updateDetailPanel(i + 1, r));
             nextDetailPanel = 1;
             updateRadarChart();
             updateComparisonBar();
@@ -1070,11 +1213,16 @@ async function initializeApp() {
     const chart = document.getElementById('chart');
     if (chart) chart.innerHTML = '<div style="padding: 20px; color: #9b9484;">Loading rubber data\u2026</div>';
 
-    // Load slug map
+    // Load slug map (the data bundle carries one; otherwise fetch the standalone file)
     try {
-        const slugMapResp = await fetch(v('/js/slug-map.json'));
-        if (slugMapResp.ok) {
-            SLUG_MAP = await slugMapResp.json();
+        const bundle = await loadDataBundle();
+        if (bundle?.slugMap) {
+            SLUG_MAP = bundle.slugMap;
+        } else {
+            const slugMapResp = await fetch(v('/js/slug-map.json'));
+            if (slugMapResp.ok) {
+                SLUG_MAP = await slugMapResp.json();
+            }
         }
     } catch (e) {
         console.warn('Could not load slug map:', e);
@@ -1103,6 +1251,7 @@ async function initializeApp() {
     } catch (error) {
         console.error('Failed to load data:', error);
     }
+    if (DEBUG_MODE) void validateLoadedData();
 
     if (rubberData.length === 0) {
         const isFileProtocol = window.location.protocol === 'file:';
@@ -1122,13 +1271,21 @@ async function initializeApp() {
     if (chart) chart.innerHTML = '';
     initAuth();
     initCountrySelector();
+    initCurrencySelector();
     applyLocalizedStaticText();
     initHomeLogo();
     initMascotEmotes();
     initHeaderSearch();
     initPriceDropTicker();
+    initWatchlist();
+    initCommandPalette();
     initFeedbackModal();
+    initRubberFinder();
+    initDatasetExport();
+    initSetupBuilder();
+    initOfflineSupport();
     initComparisonRequestModal();
+    loadRubberNotes();
     initFilters();
 
     // Tab click listener
@@ -1137,6 +1294,10 @@ async function initializeApp() {
             void handleCopyMarkdownClick();
             return;
         }
+        if (e.target.closest('.content-tab--image')) {
+            void openShareImage();
+            return;
+        }
         // Share button
         if (e.target.closest('.content-tab--share')) {
             handleShareClick();
@@ -1145,8 +1306,20 @@ async function initializeApp() {
         const tab = e.target.closest('.content-tab');
         if (!tab || tab.classList.contains('content-tab--active')) return;
         const tabId = tab.dataset.tab;
-        const hashMap = { desc1: '#1', desc2: '#2' };
-        const hash = hashMap[tabId] || '';
+        if (tabId === 'players') {
+            openPlayersTab(null);
+            return;
+        }
+        if (tabId === 'brand') {
+            openBrandPage(activeBrand);
+            return;
+        }
+        // Player and brand paths don't describe rubber tabs; swap them for the selection path
+        if (activeTab === 'players' || activeTab === 'brand') {
+            showSelectionTab(tabId);
+            return;
+        }
+        const hash = /^desc\d+$/.test(tabId) ? '#' + tabId.slice(4) : '';
         history.replaceState(null, '', window.location.pathname + window.location.search + hash);
         setActiveTab(tabId);
     });
@@ -1254,6 +1427,98 @@ async function initializeApp() {
             return;
         }
 
+        const favoriteBtn = e.target.closest('[data-favorite-abbr]');
+        if (favoriteBtn) {
+            toggleFavoriteRubber(favoriteBtn.dataset.favoriteAbbr);
+            return;
+        }
+
+        const rankHistoryBtn = e.target.closest('[data-rank-history-date]');
+        if (rankHistoryBtn) {
+            setRankingSnapshot(rankHistoryBtn.dataset.rankHistoryDate || null);
+            return;
+        }
+
+        const noteStatusBtn = e.target.closest('[data-note-status]');
+        if (noteStatusBtn) {
+            setRubberNoteStatus(noteStatusBtn.dataset.noteAbbr, noteStatusBtn.dataset.noteStatus);
+            return;
+        }
+
+        const notesAction = e.target.closest('[data-notes-action]')?.dataset.notesAction;
+        if (notesAction) {
+            if (notesAction === 'export') exportRubberNotes();
+            else pickRubberNotesFile();
+            return;
+        }
+
+        const similarItem = e.target.closest('.similar-rubber-item');
+        if (similarItem) {
+            const section = similarItem.closest('.similar-rubbers');
+            selectSimilarRubber(similarItem.dataset.similarAbbr, parseInt(section?.dataset.similarPanel, 10));
+            return;
+        }
+
+        const brandLink = e.target.closest('[data-brand-link]');
+        if (brandLink) {
+            e.preventDefault();
+            openBrandPage(brandLink.dataset.brandLink);
+            return;
+        }
+
+        const brandRubberBtn = e.target.closest('[data-brand-rubber]');
+        if (brandRubberBtn) {
+            const rubber = rubberByAbbr.get(brandRubberBtn.dataset.brandRubber);
+            if (rubber) handleRubberClick(rubber);
+            return;
+        }
+
+        if (e.target.closest('[data-brand-clear]')) {
+            closeBrandPage();
+            return;
+        }
+
+        const playerSortBtn = e.target.closest('[data-player-sort]');
+        if (playerSortBtn) {
+            setPlayerListSort(playerSortBtn.dataset.playerSort);
+            return;
+        }
+
+        const playerLink = e.target.closest('[data-player-slug]');
+        if (playerLink) {
+            e.preventDefault();
+            const slug = playerLink.dataset.playerSlug;
+            openPlayersTab(slug ? findPlayerBySlug(slug) : null);
+            return;
+        }
+
+        const playerRubberLink = e.target.closest('[data-player-rubber-slot]');
+        if (playerRubberLink) {
+            e.preventDefault();
+            showSelectionTab(`desc${parseInt(playerRubberLink.dataset.playerRubberSlot, 10) + 1}`);
+            return;
+        }
+
+        if (e.target.closest('[data-player-compare]')) {
+            e.preventDefault();
+            showSelectionTab('comparison');
+            return;
+        }
+
+        const watchBtn = e.target.closest('[data-watch-abbr]');
+        if (watchBtn) {
+            const rubber = rubberByAbbr.get(watchBtn.dataset.watchAbbr);
+            if (rubber) openWatchlist(rubber);
+            return;
+        }
+
+        const pairChip = e.target.closest('[data-compare-pair]');
+        if (pairChip) {
+            const [a, b] = pairChip.dataset.comparePair.split('-').map(n => parseInt(n, 10));
+            selectComparisonPair(a, b);
+            return;
+        }
+
         const voteBtn = e.target.closest('[data-feedback-vote]');
         if (!voteBtn) return;
 
@@ -1276,27 +1541,32 @@ async function initializeApp() {
         showContentFeedbackToast(vote);
     });
 
-    // Pin button click listener (event delegation)
+    document.getElementById('contentBody').addEventListener('input', (e) => {
+        const noteText = e.target.closest('[data-note-text]');
+        if (noteText) {
+            updateRubberNote(noteText.dataset.noteText, { note: noteText.value });
+            return;
+        }
+        const slider = e.target.closest('[data-similar-weight]');
+        if (!slider) return;
+        setSimilarityWeight(slider.dataset.similarWeight, Number.parseFloat(slider.value));
+    });
+
+    // Pin / remove button click listener (event delegation)
     document.getElementById('radarSection').addEventListener('click', (e) => {
         const buyLink = e.target.closest('.rubber-title-icon-link--product');
         if (buyLink) {
             trackBuyClickEvent(buyLink.dataset.rubberName || '');
             return;
         }
+        const removeBtn = e.target.closest('.radar-remove-btn');
+        if (removeBtn) {
+            removeRubberFromComparison(parseInt(removeBtn.dataset.removeIndex, 10));
+            return;
+        }
         const btn = e.target.closest('.radar-pin-btn');
         if (!btn) return;
-        const idx = parseInt(btn.dataset.panelIndex, 10);
-        const other = idx === 0 ? 1 : 0;
-        pinnedRubbers[idx] = !pinnedRubbers[idx];
-        // Only one side can be pinned at a time
-        if (pinnedRubbers[idx]) pinnedRubbers[other] = false;
-        // Update hint text to reflect current state
-        document.querySelectorAll('.radar-pin-btn').forEach(b => {
-            const i = parseInt(b.dataset.panelIndex, 10);
-            b.dataset.hint = pinnedRubbers[i] ? 'Pinned' : 'Unpinned';
-        });
-        updateRadarChart();
-        pushFiltersToUrl();
+        togglePinnedRubber(parseInt(btn.dataset.panelIndex, 10));
     });
 
     // Capture the hash fragment before any setActiveTab/pushFiltersToUrl strips it.
@@ -1304,7 +1574,7 @@ async function initializeApp() {
 
     applyFiltersFromUrl();
     applyRoute(route);
-    applySeoDefaultPair();
+    if (!applyFinderFromUrl()) applySeoDefaultPair();
     if (!activeTab) {
         renderTabs();
         setActiveTab('desc1');
@@ -1356,6 +1626,14 @@ async function initializeApp() {
             updateFilterSummary();
             updateChart({ preserveRanges: true, force: true });
         }
+        // The setup builder sits on top of the current selection
+        if (newRoute.type === 'setup') {
+            openSetupBuilder(newRoute.setup, { updateUrl: false });
+            return;
+        }
+        closeSetupBuilder({ updateUrl: false });
+        if (newRoute.type !== 'brand') closeBrandPage({ updateUrl: false });
+
         // Reset selections and apply route
         selectedRubbers = [null, null];
         nextDetailPanel = 1;
@@ -1380,8 +1658,7 @@ function applyHashFragment(hash) {
         if (el) el.scrollIntoView({ behavior: 'smooth', block: 'start' });
         return;
     }
-    const tabMap = { '1': 'desc1', '2': 'desc2' };
-    const tabId = tabMap[hash];
+    const tabId = /^\d+$/.test(hash) && `desc${hash}` in tabContents ? `desc${hash}` : null;
     if (tabId) {
         setActiveTab(tabId);
         const el = document.getElementById('radarSection');
@@ -1403,7 +1680,6 @@ function getPriceDrops() {
     const now = Date.now();
     const weekMs = 7 * 24 * 60 * 60 * 1000;
     const drops = [];
-    const parsePrice = s => parseFloat((s || '').replace(/[^0-9.]/g, ''));
 
     for (const r of rubberData) {
         if (!r.price_history) continue;
@@ -1412,13 +1688,13 @@ function getPriceDrops() {
             const hist = h[selectedCountry];
             const cur = r.price?.[selectedCountry];
             if (!hist || !cur) continue;
-            const oldEff = parsePrice(hist.sale || hist.regular);
-            const newEff = parsePrice(cur.sale || cur.regular);
-            if (!isNaN(oldEff) && !isNaN(newEff) && newEff < oldEff && oldEff > 0) {
+            const oldEff = parseLocalePrice(hist.sale || hist.regular);
+            const newEff = parseLocalePrice(cur.sale || cur.regular);
+            if (Number.isFinite(oldEff) && Number.isFinite(newEff) && newEff < oldEff && oldEff > 0) {
                 drops.push({
                     rubber: r,
-                    oldPrice: hist.sale || hist.regular,
-                    newPrice: cur.sale || cur.regular,
+                    oldPrice: formatPriceValue(oldEff),
+                    newPrice: formatPriceValue(newEff),
                     pctChange: ((newEff - oldEff) / oldEff) * 100,
                     date: h.date,
                 });
@@ -1561,4 +1837,619 @@ function initPriceDropTicker() {
     });
 }
 
+// ════════════════════════════════════════════════════════════
+//  Price Watchlist
+// ════════════════════════════════════════════════════════════
+
+// Stored as [{ abbr, locale, target, currency, basePrice, added, dismissedPrice }].
+// `target`, `basePrice` (the price when the alert was set) and `dismissedPrice` are
+// in `currency`, the display currency at the time, so a later currency switch
+// doesn't move the target.
+
+function loadWatchlist() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) || '[]');
+        return Array.isArray(saved)
+            ? saved.filter(entry => entry && typeof entry.abbr === 'string' && Number.isFinite(entry.target))
+            : [];
+    } catch {
+        return [];
+    }
+}
+
+function persistWatchlist(list) {
+    try {
+        localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(list));
+    } catch {}
+}
+
+function findWatchEntry(list, abbr, locale = selectedCountry) {
+    return list.find(entry => entry.abbr === abbr && entry.locale === locale) || null;
+}
+
+function getDefaultWatchTarget(rubber) {
+    const price = getRubberEffectivePrice(rubber);
+    if (!Number.isFinite(price)) return null;
+    const step = (DISPLAY_CURRENCIES[getDisplayCurrency()] || DISPLAY_CURRENCIES.USD).step;
+    return Math.max(step, Math.floor((price * WATCHLIST_DEFAULT_TARGET_RATIO) / step) * step);
+}
+
+/** Add a rubber for the current locale, or move its target. */
+function setWatchTarget(rubber, target, currency = getDisplayCurrency()) {
+    if (!rubber || !(target > 0)) return;
+    const list = loadWatchlist();
+    const existing = findWatchEntry(list, rubber.abbr);
+    const next = {
+        abbr: rubber.abbr,
+        locale: selectedCountry,
+        target,
+        currency,
+        basePrice: existing
+            ? convertPrice(existing.basePrice, existing.currency, currency)
+            : getRubberEffectivePrice(rubber, selectedCountry, currency),
+        added: existing?.added || new Date().toISOString().slice(0, 10),
+        dismissedPrice: null
+    };
+    persistWatchlist(existing ? list.map(entry => (entry === existing ? next : entry)) : [...list, next]);
+    refreshWatchlistAlerts();
+}
+
+function removeWatch(abbr) {
+    persistWatchlist(loadWatchlist().filter(entry => !(entry.abbr === abbr && entry.locale === selectedCountry)));
+    refreshWatchlistAlerts();
+}
+
+/**
+ * Where a watched rubber stands now. `hit` when the store price is at or below the target;
+ * `since` is the last earlier price above today's (from price_history, else the price
+ * when the alert was set), which the percent change is measured against.
+ */
+function getWatchStatus(entry) {
+    const rubber = rubberByAbbr.get(entry.abbr);
+    if (!rubber) return null;
+    const current = getRubberEffectivePrice(rubber, entry.locale, entry.currency);
+    const hit = Number.isFinite(current) && current <= entry.target;
+
+    let since = null;
+    if (Number.isFinite(current)) {
+        const history = (rubber.price_history || [])
+            .filter(snapshot => snapshot?.date && snapshot[entry.locale])
+            .sort((a, b) => b.date.localeCompare(a.date));
+        for (const snapshot of history) {
+            const prices = snapshot[entry.locale];
+            const amount = parseLocalePrice(prices.sale, entry.locale, entry.currency)
+                ?? parseLocalePrice(prices.regular, entry.locale, entry.currency);
+            if (amount > current) {
+                since = { amount, date: snapshot.date };
+                break;
+            }
+        }
+        if (!since && entry.basePrice > current) since = { amount: entry.basePrice, date: entry.added };
+    }
+
+    return {
+        entry,
+        rubber,
+        current,
+        hit,
+        since,
+        pctChange: since ? ((current - since.amount) / since.amount) * 100 : null
+    };
+}
+
+function getWatchStatuses() {
+    return loadWatchlist()
+        .filter(entry => entry.locale === selectedCountry)
+        .map(getWatchStatus)
+        .filter(Boolean);
+}
+
+// An alert stays dismissed until the price falls below what it was when dismissed
+function isWatchAlertDismissed(status) {
+    const dismissed = status.entry.dismissedPrice;
+    return Number.isFinite(dismissed) && status.current >= dismissed;
+}
+
+function dismissWatchAlerts() {
+    const hits = getWatchStatuses().filter(s => s.hit);
+    persistWatchlist(loadWatchlist().map(entry => {
+        const hit = hits.find(s => s.entry.abbr === entry.abbr && s.entry.locale === entry.locale);
+        return hit ? { ...entry, dismissedPrice: hit.current } : entry;
+    }));
+    refreshWatchlistAlerts();
+}
+
+function formatWatchChangeHtml(status) {
+    if (!Number.isFinite(status.pctChange)) return '';
+    const pct = `${Math.abs(status.pctChange).toFixed(1)}%`;
+    return `<span class="watch-change">▼${escapeHtml(pct)} ${escapeHtml(tUi('WATCH_SINCE'))} ${escapeHtml(formatDropDate(status.since.date))}</span>`;
+}
+
+function buildWatchAlertPanelHtml(hits) {
+    const items = hits.map(status => {
+        const color = getBrandColor(status.rubber.brand);
+        return `<li class="watch-alert-item">` +
+            `<span class="content-tab-dot" style="background:${color}"></span>` +
+            `<span class="watch-alert-name">${escapeHtml(tRubber(status.rubber))}</span>` +
+            `<strong class="watch-alert-price">${escapeHtml(formatPriceValue(status.current, status.entry.currency))}</strong>` +
+            formatWatchChangeHtml(status) +
+            `<button type="button" class="announcement-action" data-watch-select="${escapeHtml(status.rubber.abbr)}">${escapeHtml(tUi('WATCH_SELECT'))}</button>` +
+        `</li>`;
+    }).join('');
+    return `<span class="watch-alert-title">🔔 ${escapeHtml(tUi('WATCH_ALERT_TITLE'))}</span>` +
+        `<ul class="watch-alert-list">${items}</ul>` +
+        `<button type="button" class="watch-alert-dismiss" data-watch-action="dismiss" aria-label="${escapeHtml(tUi('WATCH_DISMISS'))}" title="${escapeHtml(tUi('WATCH_DISMISS'))}">×</button>`;
+}
+
+/** Update the watchlist badge and the alert panel; run on load and whenever locale, currency or the list changes. */
+function refreshWatchlistAlerts() {
+    const statuses = getWatchStatuses();
+    const hits = statuses.filter(s => s.hit);
+
+    const btn = document.getElementById('watchlistBtn');
+    if (btn) {
+        btn.classList.toggle('has-alerts', hits.length > 0);
+        const badge = btn.querySelector('.watchlist-badge');
+        badge.textContent = String(hits.length);
+        badge.hidden = hits.length === 0;
+    }
+
+    const fresh = hits.filter(s => !isWatchAlertDismissed(s));
+    let panel = document.getElementById('watchAlertPanel');
+    if (!fresh.length) {
+        panel?.remove();
+    } else {
+        if (!panel) {
+            const anchor = document.querySelector('.chart-bleed');
+            if (!anchor) return;
+            panel = document.createElement('div');
+            panel.id = 'watchAlertPanel';
+            panel.className = 'announcement announcement--watch';
+            panel.setAttribute('role', 'status');
+            panel.addEventListener('click', handleWatchlistClick);
+            anchor.before(panel);
+        }
+        panel.innerHTML = buildWatchAlertPanelHtml(fresh);
+    }
+
+    if (document.getElementById('watchlistModal')?.classList.contains('open')) renderWatchlist(statuses);
+}
+
+// ── Watchlist modal ──
+
+function buildWatchRowHtml(status) {
+    const { entry, rubber, current, hit } = status;
+    const color = getBrandColor(rubber.brand);
+    const step = (DISPLAY_CURRENCIES[entry.currency] || DISPLAY_CURRENCIES.USD).step;
+    const abbr = escapeHtml(rubber.abbr);
+    const currentHtml = Number.isFinite(current)
+        ? escapeHtml(formatPriceValue(current, entry.currency))
+        : escapeHtml(tUi('WATCH_NO_PRICE'));
+    return `<li class="watchlist-row${hit ? ' is-hit' : ''}">` +
+        `<button type="button" class="watchlist-name" data-watch-select="${abbr}"><span class="content-tab-dot" style="background:${color}"></span>${escapeHtml(tRubber(rubber))}</button>` +
+        `<span class="watchlist-current"><span class="watchlist-label">${escapeHtml(tUi('PRICE_CURRENT'))}</span>${currentHtml}</span>` +
+        `<label class="watchlist-target"><span class="watchlist-label">${escapeHtml(tUi('WATCH_TARGET'))} (${escapeHtml(entry.currency)})</span>` +
+            `<input type="number" min="0" step="${step}" value="${entry.target}" data-watch-target="${abbr}" data-watch-currency="${escapeHtml(entry.currency)}">` +
+        `</label>` +
+        `<span class="watchlist-status">${hit ? `✓ ${escapeHtml(tUi('WATCH_HIT'))} ${formatWatchChangeHtml(status)}` : ''}</span>` +
+        `<button type="button" class="setup-saved-delete" data-watch-remove="${abbr}" aria-label="${escapeHtml(tUi('WATCH_REMOVE'))}" title="${escapeHtml(tUi('WATCH_REMOVE'))}">×</button>` +
+    `</li>`;
+}
+
+function renderWatchlist(statuses = getWatchStatuses()) {
+    const body = document.getElementById('watchlistBody');
+    if (!body) return;
+    // Alerts first, then the closest to their target
+    const sorted = [...statuses].sort((a, b) =>
+        Number(b.hit) - Number(a.hit)
+        || ((a.current / a.entry.target) || Infinity) - ((b.current / b.entry.target) || Infinity)
+    );
+    const watched = new Set(statuses.map(s => s.rubber.abbr));
+    const options = rubberData
+        .filter(r => !watched.has(r.abbr) && Number.isFinite(getRubberEffectivePrice(r)))
+        .sort((a, b) => tRubber(a).localeCompare(tRubber(b)))
+        .map(r => `<option value="${escapeHtml(r.abbr)}">${escapeHtml(tRubber(r))}</option>`)
+        .join('');
+
+    body.innerHTML =
+        (sorted.length
+            ? `<ul class="watchlist-list">${sorted.map(buildWatchRowHtml).join('')}</ul>`
+            : `<p class="setup-note">${escapeHtml(tUi('WATCH_EMPTY'))}</p>`) +
+        `<div class="watchlist-add">` +
+            `<label class="setup-field"><span>${escapeHtml(tUi('WATCH_ADD_LABEL'))}</span>` +
+                `<select class="setup-select" id="watchlistAddSelect">${options}</select>` +
+            `</label>` +
+            `<button type="button" class="finder-action-btn" data-watch-action="add"${options ? '' : ' disabled'}>${escapeHtml(tUi('WATCH_ADD'))}</button>` +
+        `</div>` +
+        `<p class="setup-note">${escapeHtml(tUi('WATCH_NOTE'))}</p>`;
+}
+
+function handleWatchlistClick(e) {
+    const selectBtn = e.target.closest('[data-watch-select]');
+    if (selectBtn) {
+        const rubber = rubberByAbbr.get(selectBtn.dataset.watchSelect);
+        closeWatchlist();
+        if (rubber && !selectedRubbers.includes(rubber)) handleRubberClick(rubber);
+        return;
+    }
+    const removeBtn = e.target.closest('[data-watch-remove]');
+    if (removeBtn) {
+        removeWatch(removeBtn.dataset.watchRemove);
+        return;
+    }
+    const action = e.target.closest('[data-watch-action]')?.dataset.watchAction;
+    if (action === 'dismiss') {
+        dismissWatchAlerts();
+    } else if (action === 'add') {
+        const rubber = rubberByAbbr.get(document.getElementById('watchlistAddSelect')?.value);
+        if (rubber) setWatchTarget(rubber, getDefaultWatchTarget(rubber));
+    }
+}
+
+function ensureWatchlistModal() {
+    let modal = document.getElementById('watchlistModal');
+    if (modal) return modal;
+    modal = createModal({
+        id: 'watchlistModal',
+        className: 'watchlist-modal',
+        cardClassName: 'watchlist-modal-card',
+        labelledBy: 'watchlistTitle',
+        html: `<h2 id="watchlistTitle"></h2><div id="watchlistBody"></div>`,
+        onClose: closeWatchlist
+    });
+
+    modal.addEventListener('click', handleWatchlistClick);
+    modal.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-watch-target]');
+        if (!input) return;
+        const rubber = rubberByAbbr.get(input.dataset.watchTarget);
+        // Targets are typed in the entry's own currency, whatever is displayed now
+        setWatchTarget(rubber, Number.parseFloat(input.value), input.dataset.watchCurrency);
+    });
+    return modal;
+}
+
+/** Open the watchlist; with a rubber, start watching it (if needed) and focus its target. */
+function openWatchlist(rubber = null) {
+    const modal = ensureWatchlistModal();
+    if (rubber && !findWatchEntry(loadWatchlist(), rubber.abbr)) {
+        const target = getDefaultWatchTarget(rubber);
+        if (target) setWatchTarget(rubber, target);
+    }
+    showModal(modal);
+    document.getElementById('watchlistTitle').textContent = tUi('WATCHLIST');
+    renderWatchlist();
+    if (rubber) modal.querySelector(`[data-watch-target="${CSS.escape(rubber.abbr)}"]`)?.focus();
+}
+
+function closeWatchlist() {
+    hideModal(document.getElementById('watchlistModal'));
+}
+
+function initWatchlist() {
+    document.getElementById('watchlistBtn')?.addEventListener('click', () => openWatchlist());
+    refreshWatchlistAlerts();
+}
+
+// ════════════════════════════════════════════════════════════
+//  Command Palette (Ctrl/Cmd+K)
+// ════════════════════════════════════════════════════════════
+
+// Commands with a `shortcut` also run from Alt+that key while nothing is being
+// typed; the palette lists the keys next to them.
+let commandPaletteMatches = [];
+let commandPaletteIndex = 0;
+
+function loadRecentCommands() {
+    try {
+        const ids = JSON.parse(localStorage.getItem(COMMAND_RECENT_STORAGE_KEY) || '[]');
+        return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+    } catch {
+        return [];
+    }
+}
+
+function rememberCommand(id) {
+    const ids = [id, ...loadRecentCommands().filter(other => other !== id)].slice(0, COMMAND_RECENT_LIMIT);
+    try {
+        localStorage.setItem(COMMAND_RECENT_STORAGE_KEY, JSON.stringify(ids));
+    } catch {}
+}
+
+// The tab's own click handler knows about player / brand paths
+function showContentTab(tabId) {
+    const tab = document.querySelector(`#contentTabs .content-tab[data-tab="${tabId}"]`);
+    if (!tab) return;
+    tab.click();
+    document.getElementById('radarSection')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Right panel when its tab is open, otherwise left
+function getShownPanelIndex() {
+    return activeTab === 'desc2' ? 1 : 0;
+}
+
+function getPaletteCommands() {
+    const [left, right] = selectedRubbers;
+    const commands = [
+        { id: 'search', labelKey: 'CMD_FOCUS_SEARCH', shortcut: '/', run: () => document.getElementById('headerSearchInput')?.focus() },
+        { id: 'filters', labelKey: 'CMD_TOGGLE_FILTERS', shortcut: 'f', run: toggleFilterPanel },
+        { id: 'tab-left', labelKey: 'CMD_TAB_LEFT', shortcut: '1', enabled: Boolean(left), run: () => showContentTab('desc1') },
+        { id: 'tab-right', labelKey: 'CMD_TAB_RIGHT', shortcut: '2', enabled: Boolean(right), run: () => showContentTab('desc2') },
+        { id: 'comparison', labelKey: 'CMD_OPEN_COMPARISON', shortcut: 'c', enabled: Boolean(left && right), run: () => showContentTab('comparison') },
+        { id: 'swap', labelKey: 'CMD_SWAP', shortcut: 'x', enabled: Boolean(left || right), run: swapSelectedRubbers },
+        { id: 'pin', labelKey: 'CMD_TOGGLE_PIN', shortcut: 'p', enabled: Boolean(selectedRubbers[getShownPanelIndex()]), run: () => togglePinnedRubber(getShownPanelIndex()) },
+        { id: 'share', labelKey: 'SHARE', shortcut: 's', run: handleShareClick },
+        { id: 'share-image', labelKey: 'SHARE_IMAGE_TITLE', run: openShareImage },
+        { id: 'players', labelKey: 'CMD_TAB_PLAYERS', run: () => showContentTab('players') },
+        { id: 'finder', labelKey: 'FINDER_OPEN', run: openRubberFinder },
+        { id: 'setup', labelKey: 'SETUP_OPEN', run: () => openSetupBuilder() },
+        { id: 'watchlist', labelKey: 'WATCHLIST', run: () => openWatchlist() },
+        { id: 'export', labelKey: 'EXPORT_TITLE', run: openDatasetExport },
+        { id: 'reset', labelKey: 'CMD_RESET', run: resetAppToInitialState }
+    ];
+    document.querySelectorAll('#countrySelector .country-btn').forEach(btn => {
+        if (btn.dataset.country === selectedCountry) return;
+        commands.push({
+            id: `country-${btn.dataset.country}`,
+            label: `${tUi('CMD_COUNTRY')}: ${btn.title}`,
+            run: () => btn.click()
+        });
+    });
+    return commands.filter(command => command.enabled !== false);
+}
+
+function buildRubberCommands(rubber) {
+    return [1, 2].map(panelNum => ({
+        id: `${panelNum === 1 ? 'left' : 'right'}:${rubber.abbr}`,
+        label: `${tUi(panelNum === 1 ? 'CMD_SELECT_LEFT' : 'CMD_SELECT_RIGHT')}: ${tRubberAbbr(rubber)}`,
+        rubber,
+        run: () => showRubberInPanel(rubber, panelNum)
+    }));
+}
+
+// Recent ids back to commands; rubbers that are gone (or hidden by locale) drop out
+function resolveRecentCommands() {
+    const commands = getPaletteCommands();
+    return loadRecentCommands().map(id => {
+        const rubberMatch = /^(left|right):(.+)$/.exec(id);
+        if (!rubberMatch) return commands.find(command => command.id === id);
+        const rubber = rubberByAbbr.get(rubberMatch[2]);
+        return rubber ? buildRubberCommands(rubber)[rubberMatch[1] === 'left' ? 0 : 1] : null;
+    }).filter(Boolean);
+}
+
+// Labels match in the current language and in English
+function getCommandScore(command, query) {
+    const names = [command.label || tUi(command.labelKey), UI_TEXT.en[command.labelKey], command.id];
+    let best = 0;
+    for (const name of names) {
+        const match = name ? matchSearchText(name, query) : null;
+        if (match && match.score > best) best = match.score;
+    }
+    return best;
+}
+
+function getRubberCommandMatches(query) {
+    const scored = [];
+    for (const rubber of rubberByAbbr.values()) {
+        let best = 0;
+        for (const name of [tRubberAbbr(rubber), rubber.abbr, rubber.fullName, ...getRubberLocalizedSearchTerms(rubber)]) {
+            const match = name ? matchSearchText(name, query) : null;
+            if (match && match.score > best) best = match.score;
+        }
+        if (best > 0) scored.push({ rubber, score: best });
+    }
+    return scored.sort((a, b) => b.score - a.score).slice(0, COMMAND_RUBBER_LIMIT)
+        .flatMap(({ rubber }) => buildRubberCommands(rubber));
+}
+
+/** Commands for `query` in list order, with section headings for the empty query. */
+function getCommandPaletteEntries(query) {
+    const q = query.trim();
+    if (!q) {
+        const recent = resolveRecentCommands();
+        const recentIds = new Set(recent.map(command => command.id));
+        const rest = getPaletteCommands().filter(command => !recentIds.has(command.id));
+        return [
+            ...(recent.length ? [{ heading: tUi('COMMAND_RECENT') }, ...recent, { heading: tUi('COMMAND_ALL') }] : []),
+            ...rest
+        ];
+    }
+    const commands = getPaletteCommands()
+        .map(command => ({ command, score: getCommandScore(command, q) }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .map(entry => entry.command);
+    return [...commands, ...getRubberCommandMatches(q)];
+}
+
+function isApplePlatform() {
+    return /Mac|iPhone|iPad/.test(navigator.platform);
+}
+
+function formatShortcutKey(key) {
+    return `<kbd>${isApplePlatform() ? '⌥' : 'Alt+'}${escapeHtml(key.toUpperCase())}</kbd>`;
+}
+
+function getPaletteShortcutLabel() {
+    return isApplePlatform() ? '⌘K' : 'Ctrl+K';
+}
+
+// Option on macOS turns e.key into another character, so match the physical key
+function getShortcutKeyCode(key) {
+    if (key === '/') return 'Slash';
+    return /^\d$/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`;
+}
+
+function renderCommandPalette() {
+    const list = document.getElementById('commandPaletteList');
+    if (!list) return;
+    const entries = getCommandPaletteEntries(document.getElementById('commandPaletteInput').value);
+    commandPaletteMatches = entries.filter(entry => !entry.heading);
+    commandPaletteIndex = Math.min(commandPaletteIndex, Math.max(0, commandPaletteMatches.length - 1));
+    if (!commandPaletteMatches.length) {
+        list.innerHTML = `<li class="command-palette-empty">${escapeHtml(tUi('COMMAND_NONE'))}</li>`;
+        return;
+    }
+    let index = 0;
+    list.innerHTML = entries.map(entry => {
+        if (entry.heading) return `<li class="command-palette-heading" role="presentation">${escapeHtml(entry.heading)}</li>`;
+        const i = index++;
+        const dot = entry.rubber
+            ? `<span class="content-tab-dot" style="background:${getBrandColor(entry.rubber.brand)}"></span>`
+            : '';
+        return `<li class="command-palette-item${i === commandPaletteIndex ? ' is-active' : ''}" id="commandPaletteItem${i}" role="option" aria-selected="${i === commandPaletteIndex}" data-command-index="${i}">` +
+            `<span class="command-palette-label">${dot}${escapeHtml(entry.label || tUi(entry.labelKey))}</span>` +
+            (entry.shortcut ? formatShortcutKey(entry.shortcut) : '') +
+            `</li>`;
+    }).join('');
+    document.getElementById('commandPaletteInput').setAttribute('aria-activedescendant', `commandPaletteItem${commandPaletteIndex}`);
+}
+
+function moveCommandPaletteSelection(step) {
+    if (!commandPaletteMatches.length) return;
+    commandPaletteIndex = (commandPaletteIndex + step + commandPaletteMatches.length) % commandPaletteMatches.length;
+    renderCommandPalette();
+    document.getElementById(`commandPaletteItem${commandPaletteIndex}`)?.scrollIntoView({ block: 'nearest' });
+}
+
+function runPaletteCommand(command) {
+    if (!command) return;
+    closeCommandPalette();
+    rememberCommand(command.id);
+    command.run();
+}
+
+function ensureCommandPalette() {
+    let modal = document.getElementById('commandPalette');
+    if (modal) return modal;
+    modal = createModal({
+        id: 'commandPalette',
+        className: 'command-palette-modal',
+        cardClassName: 'command-palette-card',
+        closeButton: false,
+        html:
+            `<input type="text" class="command-palette-input" id="commandPaletteInput" autocomplete="off" spellcheck="false" role="combobox" aria-expanded="true" aria-controls="commandPaletteList">` +
+            `<ul class="command-palette-list" id="commandPaletteList" role="listbox"></ul>` +
+            `<div class="command-palette-footer" id="commandPaletteFooter"></div>`,
+        onClose: closeCommandPalette
+    });
+
+    const input = modal.querySelector('#commandPaletteInput');
+    input.addEventListener('input', () => {
+        commandPaletteIndex = 0;
+        renderCommandPalette();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            moveCommandPaletteSelection(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runPaletteCommand(commandPaletteMatches[commandPaletteIndex]);
+        }
+    });
+    modal.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-command-index]');
+        if (item) runPaletteCommand(commandPaletteMatches[parseInt(item.dataset.commandIndex, 10)]);
+    });
+    return modal;
+}
+
+function openCommandPalette() {
+    const modal = ensureCommandPalette();
+    const input = document.getElementById('commandPaletteInput');
+    showModal(modal);
+    input.value = '';
+    input.placeholder = tUi('COMMAND_PLACEHOLDER');
+    input.setAttribute('aria-label', tUi('COMMAND_PALETTE'));
+    modal.querySelector('.command-palette-card').setAttribute('aria-label', tUi('COMMAND_PALETTE'));
+    document.getElementById('commandPaletteFooter').textContent = `${tUi('COMMAND_FOOTER')} · ${getPaletteShortcutLabel()}`;
+    commandPaletteIndex = 0;
+    renderCommandPalette();
+    input.focus();
+}
+
+function closeCommandPalette() {
+    hideModal(document.getElementById('commandPalette'));
+}
+
+function isTypingTarget(el) {
+    return Boolean(el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName)));
+}
+
+function initCommandPalette() {
+    document.getElementById('commandPaletteBtn')?.addEventListener('click', openCommandPalette);
+    document.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (document.getElementById('commandPalette')?.classList.contains('open')) closeCommandPalette();
+            else openCommandPalette();
+            return;
+        }
+        // Alt+key only, and out of the way of typing and of open dialogs
+        if (!e.altKey || e.shiftKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+        if (document.querySelector('.feedback-modal.open')) return;
+        const command = getPaletteCommands().find(cmd => cmd.shortcut && getShortcutKeyCode(cmd.shortcut) === e.code);
+        if (!command) return;
+        e.preventDefault();
+        command.run();
+    });
+}
+
+// ════════════════════════════════════════════════════════════
+//  Offline Support
+// ════════════════════════════════════════════════════════════
+
+// sw.js keeps the shell and dataset for the current CACHE_VERSION, so a page it
+// served while offline can lag behind the site. The live page's asset version tells.
+const DATASET_VERSION_PATTERN = /\/js\/config\.js\?v=(\d+)/;
+const DATASET_CHECK_DELAY_MS = 5000;
+
+async function checkForDatasetUpdate() {
+    if (!navigator.onLine || document.getElementById('datasetUpdateNotice')) return;
+    try {
+        // no-store bypasses the service worker cache
+        const resp = await fetch('/', { cache: 'no-store' });
+        if (!resp.ok) return;
+        const match = (await resp.text()).match(DATASET_VERSION_PATTERN);
+        if (match && Number(match[1]) > CACHE_VERSION) showDatasetUpdateNotice();
+    } catch {
+        // Connection is still down; the next 'online' event retries
+    }
+}
+
+function showDatasetUpdateNotice() {
+    const anchor = document.querySelector('.chart-bleed');
+    if (!anchor || document.getElementById('datasetUpdateNotice')) return;
+    const notice = document.createElement('div');
+    notice.id = 'datasetUpdateNotice';
+    notice.className = 'announcement announcement--update';
+    notice.setAttribute('role', 'status');
+    notice.innerHTML =
+        `<span>${escapeHtml(tUi('DATASET_UPDATE_AVAILABLE'))}</span>` +
+        `<button type="button" class="announcement-action">${escapeHtml(tUi('DATASET_UPDATE_RELOAD'))}</button>`;
+    notice.querySelector('button').addEventListener('click', () => window.location.reload());
+    anchor.before(notice);
+}
+
+// Hand the worker every file this page loaded so it can serve them offline; it
+// keeps only the ones for its own version (see precacheLoadedFiles in sw.js)
+function reportLoadedFilesToWorker(registration) {
+    const worker = registration.installing || registration.waiting || registration.active;
+    const urls = performance.getEntriesByType('resource').map(entry => entry.name);
+    worker?.postMessage({ type: 'precache', urls });
+}
+
+function initOfflineSupport() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+    // Pages controlled by the worker may have come from its cache; check once things settle
+    if (navigator.serviceWorker.controller) setTimeout(checkForDatasetUpdate, DATASET_CHECK_DELAY_MS);
+    window.addEventListener('online', checkForDatasetUpdate);
+    navigator.serviceWorker.register(v('/sw.js')).then(reportLoadedFilesToWorker).catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
 initializeApp();
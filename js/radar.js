@@ -21,17 +21,13 @@ function buildRadarBuyButtonHtml(rubber) {
     const iconHtml = productMeta.icon
         ? `<img src="${escapeHtml(productMeta.icon)}" class="rubber-title-icon" alt="">`
         : `<svg width="13" height="13" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg>`;
-    const priceData = rubber.price?.[selectedCountry] || rubber.price?.en || null;
-    const priceSale = priceData?.sale || '';
-    const priceRegular = priceData?.regular || '';
-    const priceDiscount = priceData?.discount || '';
-    const hasDiscount = !!(priceSale && priceDiscount);
-    const priceStr = priceSale || priceRegular;
-    const priceHtml = priceStr
-        ? `<span class="rubber-title-buy-price">${escapeHtml(priceStr)}</span>`
+    const price = getRubberPriceDisplay(rubber);
+    const hasDiscount = Boolean(price?.isSale && price.discount);
+    const priceHtml = price
+        ? `<span class="rubber-title-buy-price">${escapeHtml(price.label)}</span>`
         : '';
     const discountBadge = hasDiscount
-        ? `<span class="rubber-title-buy-discount-badge">${escapeHtml(priceDiscount)}</span>`
+        ? `<span class="rubber-title-buy-discount-badge">${escapeHtml(price.discount)}</span>`
         : '';
     return (
         `<span class="rubber-title-buy-wrap">` +
@@ -67,15 +63,52 @@ function getRadarData(rubber) {
         ? ((rubber.controlLevel - 1) / (CONTROL_LEVEL_COUNT - 1)) * 100
         : 50;
 
+    // A continuous rating from the ranking entry (see RANKING_SUBMETRICS) beats the rank position
     return {
-        speed: normalizeRankToScore(rubber.speedRank, speedTotal),
-        spin: normalizeRankToScore(rubber.spinRank, spinTotal),
+        speed: rubber.speedRating ?? normalizeRankToScore(rubber.speedRank, speedTotal),
+        spin: rubber.spinRating ?? normalizeRankToScore(rubber.spinRank, spinTotal),
         control: controlScore,
         weight: normalizeValueToScore(rubber.weight, wMin, wMax),
         hardness: normalizeValueToScore(rubber.normalizedHardness, hMin, hMax),
     };
 }
 
+// ── Similar rubbers ──
+// Weighted distance over the radar scores (0–100) plus topsheet type; a sheet
+// mismatch counts as a full 100-point gap. Distance is normalised by the total
+// weight so `match` stays on a 0–100 scale whatever the weights are.
+
+function getSimilarityDistance(aData, bData, aRubber, bRubber, weights = similarityWeights) {
+    let sum = 0;
+    let totalWeight = 0;
+    for (const key of ['speed', 'spin', 'control', 'weight', 'hardness']) {
+        const w = weights[key] || 0;
+        if (w <= 0) continue;
+        sum += w * (aData[key] - bData[key]) ** 2;
+        totalWeight += w;
+    }
+    const sheetWeight = weights.sheet || 0;
+    if (sheetWeight > 0) {
+        if (aRubber.sheet !== bRubber.sheet) sum += sheetWeight * 100 ** 2;
+        totalWeight += sheetWeight;
+    }
+    return totalWeight > 0 ? Math.sqrt(sum / totalWeight) : 0;
+}
+
+/** Nearest rubbers to `rubber`, closest first: [{ rubber, distance, match }]. */
+function findSimilarRubbers(rubber, { limit = SIMILAR_RUBBERS_LIMIT, weights = similarityWeights } = {}) {
+    if (!rubber) return [];
+    const target = getRadarData(rubber);
+    return rubberData
+        .filter(r => r.abbr !== rubber.abbr)
+        .map(r => {
+            const distance = getSimilarityDistance(target, getRadarData(r), rubber, r, weights);
+            return { rubber: r, distance, match: Math.max(0, 100 - distance) };
+        })
+        .sort((a, b) => a.distance - b.distance || a.rubber.fullName.localeCompare(b.rubber.fullName))
+        .slice(0, limit);
+}
+
 
 function buildRadarTrace(rubber, radarData, { dashed = false } = {}) {
     const brandColor = getBrandColor(rubber.brand);
@@ -152,7 +185,7 @@ function getRubberYouTubeVideoId(rubber) {
     return null;
 }
 
-function buildRubberHeaderHtml(rubber, panelIndex, dashed) {
+function buildRubberHeaderHtml(rubber, panelIndex, dashed, { multi = false } = {}) {
     if (!rubber) {
         const placeholderColor = '#9e9689';
         const placeholderRubbers = [
@@ -189,7 +222,8 @@ function buildRubberHeaderHtml(rubber, panelIndex, dashed) {
     const localizedBrand = tBrand(rubber.brand) || rubber.brand || '-';
     const localizedRubber = tRubberName(rubber) || rubber.name || rubber.addr || rubber.abbr || '-';
     const lineStyle = dashed ? 'border-top: 2.5px dotted' : 'border-top: 2.5px solid';
-    const isPinned = pinnedRubbers[panelIndex];
+    const isPinned = !!pinnedRubbers[panelIndex];
+    const alignRight = panelIndex === 1 && !multi;
     const pinIcon = isPinned
         ? `<svg class="radar-pin-icon" viewBox="0 0 24 24" width="14" height="14" fill="currentColor" stroke="none"><path d="M16 12V4h1V2H7v2h1v8l-2 2v2h5.2v6h1.6v-6H18v-2l-2-2z"/></svg>`
         : `<svg class="radar-pin-icon" viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><path d="M16 12V4h1V2H7v2h1v8l-2 2v2h5.2v6h1.6v-6H18v-2l-2-2z"/></svg>`;
@@ -214,8 +248,16 @@ function buildRubberHeaderHtml(rubber, panelIndex, dashed) {
             `<img class="radar-rubber-img" src="/images/rubbers/${rubberImgName}.jpg" alt="${safeRubberName}" onerror="${plainImageOnError}">` +
             `<div class="radar-rubber-img-placeholder" style="display:none;"></div>` +
         `</div>`;
+    // Pins only steer the base pair; extra slots get a remove button instead
+    const pinBtnHtml = panelIndex < 2
+        ? `<button class="radar-pin-btn${isPinned ? ' radar-pin-btn--active' : ''}" data-panel-index="${panelIndex}" data-hint="${isPinned ? 'Pinned' : 'Unpinned'}">${pinIcon}</button>`
+        : '';
+    const removeLabel = escapeHtml(tUi('REMOVE_FROM_COMPARE'));
+    const removeBtnHtml = multi
+        ? `<button type="button" class="radar-remove-btn" data-remove-index="${panelIndex}" aria-label="${removeLabel}" title="${removeLabel}">×</button>`
+        : '';
     return `
-        <div class="radar-comparison-header-side${panelIndex === 1 ? ' radar-comparison-header-side--right' : ''}">
+        <div class="radar-comparison-header-side${alignRight ? ' radar-comparison-header-side--right' : ''}">
             <div class="radar-info-header">
                 <span class="brand-pill brand-pill--sm" style="background:${brandColor}18;border-color:${brandColor}55;color:${brandColor}">
                     <span class="brand-dot" style="background:${brandColor}"></span>${escapeHtml(localizedBrand)}
@@ -223,7 +265,7 @@ function buildRubberHeaderHtml(rubber, panelIndex, dashed) {
             </div>
             <div class="radar-info-name-row">
                 <div class="rubber-name">${escapeHtml(localizedRubber)}</div>
-                <button class="radar-pin-btn${isPinned ? ' radar-pin-btn--active' : ''}" data-panel-index="${panelIndex}" data-hint="${isPinned ? 'Pinned' : 'Unpinned'}">${pinIcon}</button>
+                ${pinBtnHtml}${removeBtnHtml}
             </div>
             ${rubberImgHtml}
             <div class="radar-info-line-key" style="${lineStyle} ${brandColor}; width: 28px;"></div>
@@ -254,11 +296,39 @@ function buildPlayersColumnHtml(rubber, align, { gifTracker = null } = {}) {
     return `<div class="radar-info-players radar-info-players--${align}">${rows.join('')}</div>`;
 }
 
-function buildHeroMetricHtml({ label, first = null, second = null, leftRank = null, rightRank = null, leftPct = null, rightPct = null, winner = null } = {}) {
+/**
+ * Speed / Spin hero row. Two rubbers render as a tug-of-war bar; passing
+ * `entries` ([{ rubber, rank, pct }]) renders one bar per rubber instead,
+ * with the best (lowest) rank marked as the winner.
+ */
+function buildHeroMetricHtml({ label, first = null, second = null, leftRank = null, rightRank = null, leftPct = null, rightPct = null, winner = null, entries = null } = {}) {
     const PLACEHOLDER_COLOR = 'rgba(158,150,137,0.45)';
+    const clampPct = v => Number.isFinite(v) ? Math.max(0, Math.min(100, v)) : 0;
+    if (Array.isArray(entries)) {
+        const ranks = entries.map(e => e.rank).filter(Number.isFinite);
+        const bestRank = ranks.length > 1 ? Math.min(...ranks) : null;
+        const rowsHtml = entries.map(({ rubber, rank, pct }) => {
+            const color = rubber ? getBrandColor(rubber.brand) : PLACEHOLDER_COLOR;
+            const state = bestRank == null || !Number.isFinite(rank) ? '' : (rank === bestRank ? 'win' : 'lose');
+            return `
+                <div class="radar-cmp-hero-row">
+                    <span class="radar-cmp-hero-row-name">${escapeHtml(tRubberAbbr(rubber) || '-')}</span>
+                    <div class="radar-cmp-hero-track">
+                        <div class="radar-cmp-hero-bar radar-cmp-hero-bar--solo${state ? ' radar-cmp-hero-bar--' + state : ''}" style="--pct:${clampPct(pct)};--bar-color:${color};"></div>
+                    </div>
+                    <span class="radar-cmp-hero-rank${state ? ' radar-cmp-hero-rank--' + state : ''}">${Number.isFinite(rank) ? '#' + rank : '-'}</span>
+                </div>
+            `;
+        }).join('');
+        return `
+            <div class="radar-cmp-hero-metric radar-cmp-hero-metric--multi">
+                <span class="radar-cmp-hero-label">${label}</span>
+                ${rowsHtml}
+            </div>
+        `;
+    }
     const leftColor = first ? getBrandColor(first.brand) : PLACEHOLDER_COLOR;
     const rightColor = second ? getBrandColor(second.brand) : PLACEHOLDER_COLOR;
-    const clampPct = v => Number.isFinite(v) ? Math.max(0, Math.min(100, v)) : 0;
     const lPct = clampPct(leftPct);
     const rPct = clampPct(rightPct);
     const lRank = Number.isFinite(leftRank) ? '#' + leftRank : '-';
@@ -283,16 +353,42 @@ function buildHeroMetricHtml({ label, first = null, second = null, leftRank = nu
     `;
 }
 
-function buildRadarComparisonHtml(first, second) {
-    function formatSheetRadarHtml(sheet) {
-        if (!sheet) return '<strong class="radar-cmp-small">-</strong>';
-        const sheetI18nKey = { Tension: 'TENSION', Chinese: 'CHINESE', Hybrid: 'HYBRID' }[sheet];
-        const localizedSheet = sheetI18nKey ? tUi(sheetI18nKey) : sheet;
-        if (!localizedSheet || localizedSheet === '-') return '<strong class="radar-cmp-small">-</strong>';
-        return `<strong class="chart-sheet-value radar-cmp-small"><span class="chart-hover-shape ${SHEET_DOT_CLASS[sheet] || 'dot-circle'}"><span>${escapeHtml(localizedSheet.charAt(0))}</span></span>${escapeHtml(localizedSheet.slice(1))}</strong>`;
-    }
+/** Speed, spin and value hero metrics for `rubbers`: [{ key, icon, labelKey, entries: [{ rubber, rank, pct }] }]. */
+function getHeroMetricEntries(rubbers) {
+    const rankEntries = key => rubbers.map(rubber => ({
+        rubber,
+        rank: rubber[`${key}Rank`],
+        pct: getRadarData(rubber)[key],
+    }));
+    return [
+        { key: 'speed', icon: '⚡', labelKey: 'SPEED', entries: rankEntries('speed') },
+        { key: 'spin', icon: '↻', labelKey: 'SPIN', entries: rankEntries('spin') },
+        {
+            key: 'value', icon: '💰', labelKey: 'VALUE',
+            entries: rubbers.map(rubber => {
+                const value = getRubberValueScore(rubber);
+                return { rubber, rank: value?.rank, pct: value?.score };
+            }),
+        },
+    ];
+}
+
+const RADAR_HINT_ICON = '<svg class="metric-hint-icon" width="11" height="11" viewBox="0 0 16 16" fill="currentColor"><path d="M8 0a8 8 0 1 0 0 16A8 8 0 0 0 8 0zm.9 12H7.1V7h1.8v5zM8 5.9a1 1 0 1 1 0-2 1 1 0 0 1 0 2z"/></svg>';
 
-    const hintIcon = '<svg class="metric-hint-icon" width="11" height="11" viewBox="0 0 16 16" fill="currentColor"><path d="M8 0a8 8 0 1 0 0 16A8 8 0 0 0 8 0zm.9 12H7.1V7h1.8v5zM8 5.9a1 1 0 1 1 0-2 1 1 0 0 1 0 2z"/></svg>';
+function buildValueHeroLabel() {
+    return `<span class="radar-cmp-hero-emoji" aria-hidden="true">💰</span>${tUi('VALUE')}<span class="metric-hint" data-hint="${tUi('VALUE_HINT')}">${RADAR_HINT_ICON}</span>`;
+}
+
+function formatSheetRadarHtml(sheet) {
+    if (!sheet) return '<strong class="radar-cmp-small">-</strong>';
+    const sheetI18nKey = { Tension: 'TENSION', Chinese: 'CHINESE', Hybrid: 'HYBRID' }[sheet];
+    const localizedSheet = sheetI18nKey ? tUi(sheetI18nKey) : sheet;
+    if (!localizedSheet || localizedSheet === '-') return '<strong class="radar-cmp-small">-</strong>';
+    return `<strong class="chart-sheet-value radar-cmp-small"><span class="chart-hover-shape ${SHEET_DOT_CLASS[sheet] || 'dot-circle'}"><span>${escapeHtml(localizedSheet.charAt(0))}</span></span>${escapeHtml(localizedSheet.slice(1))}</strong>`;
+}
+
+function buildRadarComparisonHtml(first, second) {
+    const hintIcon = RADAR_HINT_ICON;
 
     if (!first && !second) {
         const dash = '<span class="radar-cmp-dash">-</span>';
@@ -303,6 +399,7 @@ function buildRadarComparisonHtml(first, second) {
             <div class="radar-cmp-hero">
                 ${buildHeroMetricHtml({ label: speedLabel })}
                 ${buildHeroMetricHtml({ label: spinLabel })}
+                ${buildHeroMetricHtml({ label: buildValueHeroLabel() })}
             </div>
         `;
         const emptyDetailLabels = [tUi('CONTROL'), cutWeightLabel, tUi('HARDNESS'), tUi('TOPSHEET'), tUi('RELEASE'), tUi('THICKNESS')];
@@ -374,9 +471,16 @@ function buildRadarComparisonHtml(first, second) {
         if (!hasFiniteNumber(l) || !hasFiniteNumber(r) || l === r) return null;
         return l > r ? 'left' : 'right';
     }
-    // Hero metrics (Speed, Spin) — tug-of-war bars
+    // Hero metrics (Speed, Spin, Value) — tug-of-war bars
     const firstRadar = first ? getRadarData(first) : null;
     const secondRadar = second ? getRadarData(second) : null;
+    const firstValue = first ? getRubberValueScore(first) : null;
+    const secondValue = second ? getRubberValueScore(second) : null;
+    function valueWinner() {
+        const l = firstValue?.rank, r = secondValue?.rank;
+        if (!hasFiniteNumber(l) || !hasFiniteNumber(r) || l === r) return null;
+        return l < r ? 'left' : 'right';
+    }
     const heroHtml = `
         <div class="radar-cmp-hero">
             ${buildHeroMetricHtml({
@@ -397,6 +501,15 @@ function buildRadarComparisonHtml(first, second) {
                 rightPct: secondRadar?.spin,
                 winner: rankWinner('spinRank'),
             })}
+            ${buildHeroMetricHtml({
+                label: buildValueHeroLabel(),
+                first, second,
+                leftRank: firstValue?.rank,
+                rightRank: secondValue?.rank,
+                leftPct: firstValue?.score,
+                rightPct: secondValue?.score,
+                winner: valueWinner(),
+            })}
         </div>
     `;
 
@@ -464,6 +577,61 @@ function buildRadarComparisonHtml(first, second) {
     `;
 }
 
+/** Info panel for 3+ rubbers: one column per rubber, labels down the left. */
+function buildRadarMultiComparisonHtml(slots) {
+    const rubbers = slots.map(s => s.rubber);
+    const headerHtml = slots.map(({ rubber, index }, i) => {
+        const color = getBrandColor(rubber.brand);
+        const dashed = rubbers.slice(0, i).some(r => getBrandColor(r.brand) === color);
+        return buildRubberHeaderHtml(rubber, index, dashed, { multi: true });
+    }).join('');
+
+    const [speedEntries, spinEntries, valueEntries] = getHeroMetricEntries(rubbers).map(metric => metric.entries);
+    const heroHtml = `
+        <div class="radar-cmp-hero">
+            ${buildHeroMetricHtml({
+                label: `<span class="radar-cmp-hero-emoji" aria-hidden="true">⚡</span>${tUi('SPEED')}<span class="metric-hint" data-hint="${tUi('SPEED_HINT')}">${RADAR_HINT_ICON}</span>`,
+                entries: speedEntries,
+            })}
+            ${buildHeroMetricHtml({
+                label: `<span class="radar-cmp-hero-emoji" aria-hidden="true">↻</span>${tUi('SPIN')}<span class="metric-hint" data-hint="${tUi('SPIN_HINT')}">${RADAR_HINT_ICON}</span>`,
+                entries: spinEntries,
+            })}
+            ${buildHeroMetricHtml({
+                label: buildValueHeroLabel(),
+                entries: valueEntries,
+            })}
+        </div>
+    `;
+
+    const detailMetrics = [
+        { label: tUi('CONTROL'), render: r => `<strong class="chart-control-indicator">${buildControlLevelIndicatorHtml(r.controlLevel, { fillFromLeft: true })}</strong>` },
+        { label: tUi('CUT_WEIGHT') + `<span class="metric-hint" data-hint="${tUi('CUT_WEIGHT_HINT')}">${RADAR_HINT_ICON}</span>`, render: r => `<strong class="${getWeightToneClass(r.weight) || ''}">${escapeHtml(r.weightLabel || '-')}</strong>` },
+        { label: tUi('HARDNESS'), render: r => `<strong class="${getHardnessToneClass(r.normalizedHardness) || ''}${r.hardnessLabelDE ? ' hardness-duo' : ''}">${formatHardnessHtml(r)}</strong>` },
+        { label: tUi('TOPSHEET'), render: r => formatSheetRadarHtml(r.sheet) },
+        { label: tUi('RELEASE'), render: r => `<strong class="radar-cmp-small">${escapeHtml(r.releaseYearLabel || 'N/A')}</strong>` },
+        { label: tUi('THICKNESS'), render: r => `<strong class="radar-cmp-small">${formatThicknessRadarHtml(r.thicknessLabel)}</strong>` },
+    ];
+    const detailRowsHtml = detailMetrics.map(m =>
+        `<div class="radar-cmp-cell radar-cmp-cell--label">${m.label}</div>` +
+        rubbers.map(r => `<div class="radar-cmp-cell radar-cmp-cell--multi">${m.render(r)}</div>`).join('')
+    ).join('');
+
+    const gifTracker = { hasGif: false };
+    const playersRowHtml =
+        `<div class="radar-cmp-cell radar-cmp-cell--label">${tUi('PLAYERS')}</div>` +
+        rubbers.map(r => `<div class="radar-cmp-cell radar-cmp-cell--multi radar-cmp-cell--players">${buildPlayersColumnHtml(r, 'left', { gifTracker })}</div>`).join('');
+
+    return `
+        <div class="radar-comparison-headers radar-comparison-headers--multi" style="--cols:${rubbers.length}">${headerHtml}</div>
+        ${heroHtml}
+        <div class="radar-comparison-grid radar-comparison-grid--multi" style="--cols:${rubbers.length}">
+            ${detailRowsHtml}
+            ${playersRowHtml}
+        </div>
+    `;
+}
+
 function updateRadarChart() {
     const chartEl = document.getElementById('radarChart');
     if (!chartEl) return;
@@ -472,8 +640,13 @@ function updateRadarChart() {
     const isMobile = window.innerWidth <= 768;
     const chartHeight = isMobile ? 260 : 480;
 
-    infoPanel.innerHTML = buildRadarComparisonHtml(first, second);
-    const sameBrand = first && second && getBrandColor(first.brand) === getBrandColor(second.brand);
+    const selectedSlots = selectedRubbers
+        .map((rubber, index) => ({ rubber, index }))
+        .filter(s => s.rubber);
+
+    infoPanel.innerHTML = selectedSlots.length > 2
+        ? buildRadarMultiComparisonHtml(selectedSlots)
+        : buildRadarComparisonHtml(first, second);
     const radarCategories = [tUi('SPEED'), tUi('SPIN'), tUi('CONTROL'), tUi('CUT_WEIGHT'), tUi('HARDNESS')];
     const traces = [];
 
@@ -502,8 +675,12 @@ function updateRadarChart() {
             showlegend: false,
         });
     }
-    if (first) traces.push(buildRadarTrace(first, getRadarData(first)));
-    if (second) traces.push(buildRadarTrace(second, getRadarData(second), { dashed: sameBrand }));
+    // Later rubbers sharing a brand colour with an earlier one get a dotted outline
+    selectedSlots.forEach(({ rubber }, i) => {
+        const color = getBrandColor(rubber.brand);
+        const dashed = selectedSlots.slice(0, i).some(s => getBrandColor(s.rubber.brand) === color);
+        traces.push(buildRadarTrace(rubber, getRadarData(rubber), { dashed }));
+    });
 
     // Custom axis labels: bold for Speed & Spin, normal for others
     const boldSet = new Set([tUi('SPEED'), tUi('SPIN')]);
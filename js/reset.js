@@ -9,8 +9,13 @@ function resetFiltersToAll() {
     });
     resetHardnessRangeToDataBounds();
     resetWeightRangeToDataBounds();
+    resetPriceFilter();
     resetControlToAllTiers();
     top30FilterActive = false;
+    favoritesFilterActive = false;
+    setSearchQuery('');
+    const searchInput = document.getElementById('headerSearchInput');
+    if (searchInput) searchInput.value = '';
     const seg = document.querySelector('#top30Filter .fp-seg');
     if (seg) {
         const activeValue = 'all';
@@ -41,6 +46,9 @@ function resetAppToInitialState() {
     nextDetailPanel = 1;
     pinnedRubbers = [false, false];
 
+    setChartAxes({ ...DEFAULT_CHART_AXES }, { silent: true });
+    setRankingSnapshot(null, { silent: true });
+    setRankingWeights(null, { silent: true });
     resetFiltersToAll();
     resetDetailPanels();
     updateRadarChart();
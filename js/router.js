@@ -19,7 +19,7 @@ function detectPreferredCountry() {
 
 /**
  * Parse the current window.location.pathname into a route descriptor.
- * @returns {{ type: string, country: string, slug?: string, slugA?: string, slugB?: string }}
+ * @returns {{ type: string, country: string, slug?: string, slugA?: string, slugB?: string, slugs?: string[], setup?: Object }}
  */
 function parseRoute() {
     const path = window.location.pathname.replace(/\/index\.html$/, '/');
@@ -41,13 +41,11 @@ function parseRoute() {
 
     // /{country}/rubbers/...
     if (segments[1] === 'rubbers') {
-        // /{country}/rubbers/compare/{slugA}-vs-{slugB}
+        // /{country}/rubbers/compare/{slugA}-vs-{slugB}[-vs-{slugC}…]
         if (segments[2] === 'compare' && segments[3]) {
-            const vsIdx = segments[3].lastIndexOf('-vs-');
-            if (vsIdx > 0) {
-                const slugA = segments[3].substring(0, vsIdx);
-                const slugB = segments[3].substring(vsIdx + 4);
-                return { type: 'comparison', country: country, slugA: slugA, slugB: slugB };
+            const slugs = segments[3].split('-vs-').filter(Boolean);
+            if (slugs.length >= 2) {
+                return { type: 'comparison', country: country, slugA: slugs[0], slugB: slugs[1], slugs: slugs };
             }
         }
 
@@ -57,10 +55,50 @@ function parseRoute() {
         }
     }
 
+    // /{country}/brands/{brand}
+    if (segments[1] === 'brands' && segments[2]) {
+        return { type: 'brand', country: country, slug: segments[2] };
+    }
+
+    // /{country}/players/ and /{country}/players/{slug}
+    if (segments[1] === 'players') {
+        return segments[2]
+            ? { type: 'player', country: country, slug: segments[2] }
+            : { type: 'players', country: country };
+    }
+
+    // /{country}/setup[/{fhSlug}/{fhThickness}/{bhSlug}/{bhThickness}/{bladeWeight}]
+    if (segments[1] === 'setup') {
+        return { type: 'setup', country: country, setup: parseSetupSegments(segments.slice(2)) };
+    }
+
     // Fallback: treat as homepage for this country
     return { type: 'homepage', country: country };
 }
 
+/**
+ * Decode the setup builder path segments. Missing rubbers are encoded as "none".
+ * @returns {{ fhSlug: string|null, fhThickness: string|null, bhSlug: string|null, bhThickness: string|null, bladeWeight: number|null }}
+ */
+function parseSetupSegments(parts) {
+    const decode = (part) => {
+        if (!part || part === 'none') return null;
+        try {
+            return decodeURIComponent(part);
+        } catch {
+            return null;
+        }
+    };
+    const bladeWeight = Number.parseFloat(parts[4]);
+    return {
+        fhSlug: decode(parts[0]),
+        fhThickness: decode(parts[1]),
+        bhSlug: decode(parts[2]),
+        bhThickness: decode(parts[3]),
+        bladeWeight: Number.isFinite(bladeWeight) && bladeWeight > 0 ? bladeWeight : null
+    };
+}
+
 /**
  * Detect old query-param URLs and redirect to new clean URLs.
  * e.g. ?left=Tenergy-05&page=rubber1&country=ko → /ko/rubbers/tenergy-05
@@ -6,12 +6,15 @@ let rubberData = [];
 let selectedRubbers = [null, null];
 let nextDetailPanel = 1;
 let pinnedRubbers = [false, false];
+let activeComparisonPair = [0, 1];  // slot indices shown in the VS tab when 3+ rubbers are selected
 let hasPlotted = false;
 let isInternalUpdate = false;
 let currentFilteredData = [];
+let currentPlottedData = [];  // currentFilteredData minus rubbers without a value on both chart axes
 let relayoutTimer = null;
 let internalUpdateTimer = null;
 let selectedCountry = 'en';
+let selectedCurrency = null;  // display currency code; null follows the language (DEFAULT_DISPLAY_CURRENCY)
 let _countrySwitchFade = false;
 let filterPanelOpen = false;
 let weightFilterState = {
@@ -26,11 +29,40 @@ let hardnessFilterState = {
     selectedMin: null,
     selectedMax: null
 };
+let priceFilterState = {
+    dataMin: null,
+    dataMax: null,
+    selectedMin: null,
+    selectedMax: null,
+    includeUnpriced: true
+};
 let controlFilterState = {
     selectedLevels: new Set([1, 2, 3, 4, 5])
 };
 let top30FilterActive = false;
 let top30Set = new Set();
+let favoritesFilterActive = false;  // local only, so never written to the URL
+let searchQueryText = '';           // query typed in the header search (?q=), e.g. "spin<20 sheet:chinese"
+let searchQueryClauses = [];        // parseSearchQuery(searchQueryText).clauses
+let rubberNotes = {};               // abbr → { favorite, status, note }, saved in localStorage
+let chartAxisState = { ...DEFAULT_CHART_AXES };
+let similarityWeights = { ...SIMILARITY_DEFAULT_WEIGHTS };
+let activePlayerName = null;    // canonical name shown on the player page, null for the list
+let playerListSort = 'ranking';  // 'ranking' | 'country' | 'brand'
+let chartViewMode = 'chart';     // 'chart' | 'table' (?view=table)
+let showValueFrontier = false;    // best-value frontier overlay (?frontier=1)
+let rubberTableSort = { key: 'speed', dir: 1 }; // dir: 1 ascending, -1 descending
+let rankingTimeline = [];        // ranking snapshots, oldest first; { date: null } = unsaved live rankings
+let activeRankingSnapshot = null; // snapshot date plotted on the chart (?asof=), null for the live rankings
+let rankingWeights = null;       // custom sub-metric weights { spin: { serveGrip: 40, … }, speed: {…} }, null = RANKING_SUBMETRICS
+let activeBrand = null;         // brand page (/brands/{slug}); its lineup is outlined on the chart
+let finderAnswers = {};         // step id → option id from the guided rubber finder
+let setupBuilderState = {
+    open: false,
+    fh: null, fhThickness: null,  // forehand rubber + sponge thickness option
+    bh: null, bhThickness: null,
+    bladeWeight: SETUP_DEFAULT_BLADE_WEIGHT
+};
 let rubberByAbbr = new Map();
 let playersData = {};
 let playerNameToCanonicalName = {};
@@ -59,6 +91,6 @@ const rubberComparisonCache = {};
 let comparisonRenderToken = 0;
 
 // Tab system state
-let activeTab = null;          // 'desc1' | 'desc2' | 'comparison' | null
+let activeTab = null;          // 'desc1' | 'desc2' | … | 'comparison' | null
 let tabContents = { desc1: null, desc2: null, comparison: null };
 let tabScrollPositions = { desc1: 0, desc2: 0, comparison: 0 };
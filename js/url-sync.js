@@ -52,6 +52,37 @@ function deserializeWeightRangeParam(params) {
     setWeightRange(min, max);
 }
 
+// Price range is in the display currency, recorded as `cur` since it can differ from the
+// path country's; `unpriced=0` hides rubbers without a price
+function serializePriceRangeParam(params) {
+    if (isPriceRangeActive()) {
+        params.set('price', `${priceFilterState.selectedMin}-${priceFilterState.selectedMax}`);
+        params.set('cur', getDisplayCurrency());
+    }
+    if (!priceFilterState.includeUnpriced) params.set('unpriced', '0');
+}
+
+// A link shared under another currency is converted, widened to the slider step
+function deserializePriceRangeParam(params) {
+    if (params.get('unpriced') === '0') setPriceIncludeUnpriced(false);
+    if (!params.has('price')) return;
+    const [minRaw, maxRaw] = params.get('price').trim().split('-');
+    let min = Number.parseFloat(minRaw);
+    let max = Number.parseFloat(maxRaw);
+    if (!Number.isFinite(min) || !Number.isFinite(max)) return;
+    const currency = params.get('cur');
+    const displayCurrency = getDisplayCurrency();
+    if (DISPLAY_CURRENCIES[currency] && currency !== displayCurrency) {
+        min = convertPrice(min, currency, displayCurrency);
+        max = convertPrice(max, currency, displayCurrency);
+        if (min === null || max === null) return;
+        const { step } = DISPLAY_CURRENCIES[displayCurrency];
+        min = Math.floor(min / step) * step;
+        max = Math.ceil(max / step) * step;
+    }
+    setPriceRange(min, max);
+}
+
 function serializeControlRangeParam(params) {
     if (!isControlFilterActive()) return;
     params.set('control', [...controlFilterState.selectedLevels].sort().join(','));
@@ -67,6 +98,18 @@ function deserializeControlRangeParam(params) {
     syncControlPillUI();
 }
 
+function serializeChartAxesParam(params) {
+    if (isDefaultChartAxes()) return;
+    params.set('axes', `${chartAxisState.x},${chartAxisState.y}`);
+}
+
+function deserializeChartAxesParam(params) {
+    if (!params.has('axes')) return;
+    const [x, y] = params.get('axes').split(',');
+    if (!CHART_AXIS_METRICS[x] || !CHART_AXIS_METRICS[y] || x === y) return;
+    setChartAxes({ x, y }, { silent: true });
+}
+
 // ── Document title ──
 
 let _defaultHeaderTitleHtml = null;
@@ -86,29 +129,37 @@ function isCurrentSeoPagePath() {
     return currentPath === seoPath.replace(/\/$/, '');
 }
 
-// Build the markup for a comparison heading with a styled "vs" pill.
-function _buildCompareHeadingHtml(leftLabel, rightLabel) {
-    return (
-        '<span class="header-title-rubber header-title-rubber--left">' + _escapeHeaderHtml(leftLabel) + '</span>' +
-        '<span class="header-title-vs" aria-hidden="true">vs</span>' +
-        '<span class="header-title-rubber header-title-rubber--right">' + _escapeHeaderHtml(rightLabel) + '</span>'
-    );
+// Build the markup for a comparison heading with a styled "vs" pill between each label.
+function _buildCompareHeadingHtml(labels) {
+    return labels.map((label, i) => {
+        const side = i === 0 ? 'left' : i === labels.length - 1 ? 'right' : 'middle';
+        return (i > 0 ? '<span class="header-title-vs" aria-hidden="true">vs</span>' : '') +
+            '<span class="header-title-rubber header-title-rubber--' + side + '">' + _escapeHeaderHtml(label) + '</span>';
+    }).join('');
 }
 
 function updateDocumentTitle() {
     const left = selectedRubbers[0];
     const right = selectedRubbers[1];
+    const selected = selectedRubbers.filter(Boolean);
 
     let pageTitle;
     let headerTitleHtml;
     let isCompareHeading = false;
     let isDefaultHeading = false;
 
-    if (left && right) {
-        const leftLabel = tRubberAbbr(left);
-        const rightLabel = tRubberAbbr(right);
-        pageTitle = leftLabel + ' vs ' + rightLabel + ' | PingPongLab';
-        headerTitleHtml = _buildCompareHeadingHtml(leftLabel, rightLabel);
+    if (activeTab === 'players') {
+        const label = activePlayerName ? getLocalizedPlayerName(activePlayerName) : tUi('PLAYERS');
+        pageTitle = label + ' | PingPongLab';
+        headerTitleHtml = _escapeHeaderHtml(label);
+    } else if (activeTab === 'brand' && activeBrand) {
+        const label = tBrand(activeBrand) || activeBrand;
+        pageTitle = label + ' | PingPongLab';
+        headerTitleHtml = _escapeHeaderHtml(label);
+    } else if (left && right) {
+        const labels = selected.map(r => tRubberAbbr(r));
+        pageTitle = labels.join(' vs ') + ' | PingPongLab';
+        headerTitleHtml = _buildCompareHeadingHtml(labels);
         isCompareHeading = true;
     } else if (activeTab === 'desc2' && right) {
         const rightLabel = tRubberAbbr(right);
@@ -182,17 +233,36 @@ function seoPageDefaultPairMatchesSelection() {
     if (!Array.isArray(pair) || pair.length !== 2) return false;
     const left = selectedRubbers[0];
     const right = selectedRubbers[1];
-    if (!left || !right) return false;
+    if (!left || !right || selectedRubbers.filter(Boolean).length > 2) return false;
     const set = new Set(pair);
     return set.has(left.abbr) && set.has(right.abbr);
 }
 
+/** Path for the setup builder; see parseSetupSegments in router.js. */
+function buildSetupPath(state = setupBuilderState) {
+    const country = selectedCountry || 'en';
+    const slugFor = r => (r && SLUG_MAP && SLUG_MAP.abbrToSlug[r.abbr]) || 'none';
+    if (!state.fh && !state.bh) return '/' + country + '/setup';
+    const parts = [
+        slugFor(state.fh), encodeURIComponent(state.fhThickness || 'max'),
+        slugFor(state.bh), encodeURIComponent(state.bhThickness || 'max'),
+        String(Math.round(state.bladeWeight) || SETUP_DEFAULT_BLADE_WEIGHT)
+    ];
+    return '/' + country + '/setup/' + parts.join('/');
+}
+
 /**
  * Build the path portion of the current URL from app state.
- * Returns e.g. "/en/", "/en/rubbers/tenergy-05", "/ko/rubbers/compare/a-vs-b"
+ * Returns e.g. "/en/", "/en/rubbers/tenergy-05", "/ko/rubbers/compare/a-vs-b",
+ * "/ko/rubbers/compare/a-vs-b-vs-c"
  */
 function buildCurrentPath() {
     const country = selectedCountry || 'en';
+    if (setupBuilderState.open) return buildSetupPath();
+    if (activeTab === 'players') {
+        return '/' + country + '/players' + (activePlayerName ? '/' + getPlayerSlug(activePlayerName) : '');
+    }
+    if (activeTab === 'brand' && activeBrand) return '/' + country + '/brands/' + getBrandSlug(activeBrand);
     const left = selectedRubbers[0];
     const right = selectedRubbers[1];
     const seo = window.__SEO_PAGE__;
@@ -207,11 +277,9 @@ function buildCurrentPath() {
     }
 
     if (left && right && SLUG_MAP) {
-        const slugA = SLUG_MAP.abbrToSlug[left.abbr];
-        const slugB = SLUG_MAP.abbrToSlug[right.abbr];
-        if (slugA && slugB) {
-            const [a, b] = [slugA, slugB].sort();
-            return '/' + country + '/rubbers/compare/' + a + '-vs-' + b;
+        const slugs = selectedRubbers.filter(Boolean).map(r => SLUG_MAP.abbrToSlug[r.abbr]);
+        if (slugs.every(Boolean)) {
+            return '/' + country + '/rubbers/compare/' + slugs.sort().join('-vs-');
         }
     }
 
@@ -249,7 +317,8 @@ function buildFilterQueryString() {
     const params = new URLSearchParams();
     if (DEBUG_MODE) params.set('debug', '');
 
-    serializeFilterParam(params, 'brands', 'brandFilter');
+    // The brand page path already implies its brand filter
+    if (!(activeTab === 'brand' && activeBrand)) serializeFilterParam(params, 'brands', 'brandFilter');
     const allRubbers = getAllCheckboxValues('nameFilter');
     const checkedRubbers = getCheckedValues('nameFilter');
     // Skip serializing rubbers when the selection matches the SEO preset —
@@ -262,8 +331,14 @@ function buildFilterQueryString() {
     serializeFilterParam(params, 'sheet', 'sheetFilter');
     serializeHardnessRangeParam(params);
     serializeWeightRangeParam(params);
+    serializePriceRangeParam(params);
     serializeControlRangeParam(params);
     if (top30FilterActive) params.set('top30', '1');
+    if (searchQueryText) params.set('q', searchQueryText);
+    serializeChartAxesParam(params);
+    if (chartViewMode === 'table') params.set('view', 'table');
+    if (showValueFrontier) params.set('frontier', '1');
+    if (activeRankingSnapshot) params.set('asof', activeRankingSnapshot);
     if (pinnedRubbers[0]) params.set('pin', 'left');
     else if (pinnedRubbers[1]) params.set('pin', 'right');
 
@@ -301,7 +376,7 @@ function syncCountrySelectorUI() {
 
 function applyFiltersFromUrl() {
     const params = new URLSearchParams(window.location.search);
-    const filterKeys = ['brands', 'rubbers', 'sheet', 'hardness', 'weight', 'control', 'top30', 'pin'];
+    const filterKeys = ['brands', 'rubbers', 'sheet', 'hardness', 'weight', 'price', 'unpriced', 'control', 'top30', 'q', 'pin'];
     const hasAnyFilter = filterKeys.some(key => params.has(key));
 
     // SEO landing pages inject a preset rubber list via window.__SEO_PAGE__.
@@ -314,6 +389,13 @@ function applyFiltersFromUrl() {
         }
     }
 
+    // Axis choice is view state rather than a filter, so it never blocks the SEO preset
+    deserializeChartAxesParam(params);
+    if (params.get('view') === 'table') chartViewMode = 'table';
+    if (params.get('frontier') === '1') showValueFrontier = true;
+    // Checked against the snapshot list once it loads (initRankingTimeline)
+    if (/^\d{4}-\d{2}-\d{2}$/.test(params.get('asof') || '')) activeRankingSnapshot = params.get('asof');
+
     if (![...params.keys()].some(k => filterKeys.includes(k))) return;
 
     // Deserialize all filters that affect rubber options first
@@ -321,6 +403,7 @@ function applyFiltersFromUrl() {
     deserializeFilterParam(params, 'sheet', 'sheetFilter');
     deserializeHardnessRangeParam(params);
     deserializeWeightRangeParam(params);
+    deserializePriceRangeParam(params);
     deserializeControlRangeParam(params);
     if (params.has('top30')) {
         top30FilterActive = true;
@@ -331,6 +414,11 @@ function applyFiltersFromUrl() {
             positionSegSlider(seg);
         }
     }
+    if (params.has('q')) {
+        setSearchQuery(params.get('q'));
+        const input = document.getElementById('headerSearchInput');
+        if (input) input.value = searchQueryText;
+    }
 
     // Rebuild rubber options from all filters, then restore rubber selections
     buildNameOptionsFromFilters();
@@ -0,0 +1,371 @@
+// ════════════════════════════════════════════════════════════
+//  Data Validation
+// ════════════════════════════════════════════════════════════
+
+// Schema and cross-reference checks for the raw dataset. Shared by the browser
+// (loaded on demand with ?debug, see validateLoadedData in data.js) and the Node
+// CLI (scripts/validate-data.js), so it only depends on its input.
+//
+// The parsing rules mirror loadRubberData in data.js: anything reported here
+// is data the app silently drops, defaults or ignores.
+
+const VALIDATION_LANGS = ['en', 'ko', 'cn'];
+const VALIDATION_SHEETS = ['tension', 'chinese', 'hybrid'];
+const VALIDATION_PRICE_LOCALES = ['en', 'ko', 'cn'];
+// Keep in sync with RANKING_SUBMETRICS in config.js
+const VALIDATION_SUBMETRICS = {
+    speed: ['rallySpeed', 'catapult', 'maxSpeed'],
+    spin: ['serveGrip', 'loopSpin', 'shortGameSpin']
+};
+
+const VALIDATION_SECTIONS = {
+    schema: 'Schema',
+    duplicate: 'Duplicates',
+    dropped: 'Dropped rubbers',
+    orphan: 'Orphan ranking entries',
+    player: 'Player rubbers',
+    i18n: 'Missing i18n names',
+    pinyin: 'Han characters without pinyin',
+    price: 'Bad prices'
+};
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Same as parseRatingNumber in data.js
+function parseValidationNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+    const match = value.match(/[\d.]+/);
+    if (!match) return null;
+    const parsed = Number.parseFloat(match[0]);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Stricter than parsePriceAmount: an optional currency symbol (see PRICE_SYMBOL_CURRENCY
+// in config.js), digits with optional thousands separators and decimals; anything else
+// parses to a wrong or missing amount.
+function isValidPriceString(value) {
+    if (typeof value === 'number') return Number.isFinite(value);
+    if (typeof value !== 'string') return false;
+    return /^(US\$|\$|₩|€|¥)?\s*\d{1,3}(,?\d{3})*(\.\d+)?\s*(원|元)?$/.test(value.trim());
+}
+
+function describeRubber(raw) {
+    const brand = isNonEmptyString(raw?.manufacturer) ? raw.manufacturer.trim() : '?';
+    return `${brand}/${raw?.abbr || raw?.name || '?'}`;
+}
+
+function describeRankingEntry(entry) {
+    return `${entry?.brand || '?'} / ${entry?.name || '?'}`;
+}
+
+// ── Per-rubber schema ──
+
+function validateRubberSchema(raw, addIssue) {
+    const source = describeRubber(raw);
+
+    if (!isNonEmptyString(raw.name)) addIssue('error', 'schema', source, '"name" is missing');
+    if (!isNonEmptyString(raw.manufacturer)) addIssue('error', 'schema', source, '"manufacturer" is missing');
+    if (raw.abbr !== undefined && !isNonEmptyString(raw.abbr)) {
+        addIssue('warning', 'schema', source, '"abbr" is empty; the name is used instead');
+    }
+
+    const details = raw.manufacturer_details;
+    if (!isPlainObject(details)) {
+        addIssue('error', 'schema', source, '"manufacturer_details" is missing');
+    } else {
+        const sheet = typeof details.sheet === 'string' ? details.sheet.trim().toLowerCase() : '';
+        if (!VALIDATION_SHEETS.includes(sheet)) {
+            addIssue('warning', 'schema', source, `unknown sheet ${JSON.stringify(details.sheet)} is shown as Tension`);
+        }
+        if (parseValidationNumber(details.hardness) == null) {
+            addIssue('warning', 'schema', source, `hardness ${JSON.stringify(details.hardness)} is not a number`);
+        }
+        for (const field of ['weight', 'release_year']) {
+            if (details[field] !== undefined && parseValidationNumber(details[field]) == null) {
+                addIssue('warning', 'schema', source, `${field} ${JSON.stringify(details[field])} is not a number`);
+            }
+        }
+    }
+
+    if (raw.onlyLocales !== undefined) {
+        const locales = Array.isArray(raw.onlyLocales) ? raw.onlyLocales : null;
+        const unknown = locales ? locales.filter(loc => !VALIDATION_LANGS.includes(loc)) : [];
+        if (!locales || unknown.length) {
+            addIssue('warning', 'schema', source, `"onlyLocales" has unknown locales: ${JSON.stringify(locales ? unknown : raw.onlyLocales)}`);
+        }
+    }
+
+    for (const field of ['name_i18n', 'abbr_i18n']) {
+        const map = raw[field];
+        const missing = VALIDATION_LANGS.filter(lang => !isNonEmptyString(map?.[lang]));
+        if (missing.length) {
+            addIssue('warning', 'i18n', source, `"${field}" has no ${missing.join(', ')}`);
+        }
+    }
+
+    if (raw.price !== undefined && raw.price !== null) {
+        if (!isPlainObject(raw.price)) {
+            addIssue('warning', 'price', source, '"price" is not an object');
+        } else {
+            for (const locale of VALIDATION_PRICE_LOCALES) {
+                const entry = raw.price[locale];
+                if (!entry) continue;
+                for (const field of ['regular', 'sale']) {
+                    const value = entry[field];
+                    if (value === undefined || value === null || value === '') continue;
+                    if (!isValidPriceString(value)) {
+                        addIssue('warning', 'price', source, `price.${locale}.${field} ${JSON.stringify(value)} does not parse`);
+                    }
+                }
+            }
+        }
+    }
+}
+
+// ── Pinyin coverage ──
+
+const HAN_CHARACTER_PATTERN = /\p{Script=Han}/u;
+
+// Names with a Han character that PINYIN_SYLLABLE_CHARS (config.js) lacks, which a
+// pinyin search then never finds. `pinyinTable` uses the same "syllable:chars" groups.
+function validatePinyinCoverage(rubbers, players, pinyinTable, addIssue) {
+    const covered = new Set(pinyinTable.split(/\s+/).flatMap(group => [...(group.split(':')[1] || '')]));
+    const check = (source, values) => {
+        const missing = new Set();
+        for (const value of values) {
+            if (typeof value !== 'string') continue;
+            for (const ch of value) {
+                if (HAN_CHARACTER_PATTERN.test(ch) && !covered.has(ch)) missing.add(ch);
+            }
+        }
+        if (missing.size) addIssue('warning', 'pinyin', source, `no pinyin for ${[...missing].join(' ')}`);
+    };
+
+    for (const raw of rubbers) {
+        check(describeRubber(raw), [
+            raw.name, raw.abbr,
+            ...Object.values(isPlainObject(raw.name_i18n) ? raw.name_i18n : {}),
+            ...Object.values(isPlainObject(raw.abbr_i18n) ? raw.abbr_i18n : {})
+        ]);
+    }
+    if (!isPlainObject(players)) return;
+    for (const [name, player] of Object.entries(players)) {
+        if (!isPlainObject(player)) continue;
+        check(`players/${name}`, [name, ...Object.values(isPlainObject(player.localized_names) ? player.localized_names : {})]);
+    }
+}
+
+// ── Cross-references ──
+
+// Same matching as findRubberRank in data.js: brand (case-insensitive) plus name or abbr
+function findValidationRubber(entry, rubbers) {
+    const brand = (entry?.brand || '').trim().toLowerCase();
+    return rubbers.find(raw =>
+        (raw.manufacturer || '').trim().toLowerCase() === brand
+        && (entry.name === raw.name || entry.name === (raw.abbr || raw.name))
+    ) || null;
+}
+
+function collectRankingLists(dataset) {
+    const lists = [];
+    const rankings = dataset.rankings || {};
+    for (const key of ['spin', 'speed']) {
+        lists.push({ source: `ranking/${key}`, entries: Array.isArray(rankings[key]) ? rankings[key] : [] });
+    }
+    if (isPlainObject(rankings.control)) {
+        for (const [level, entries] of Object.entries(rankings.control)) {
+            lists.push({ source: `ranking/control "${level}"`, entries: Array.isArray(entries) ? entries : [] });
+        }
+    }
+    if (Array.isArray(dataset.priority)) {
+        lists.push({ source: 'ranking/priority', entries: dataset.priority });
+    }
+    const bestseller = dataset.bestseller;
+    if (Array.isArray(bestseller)) {
+        lists.push({ source: 'ranking/bestseller', entries: bestseller });
+    } else if (isPlainObject(bestseller)) {
+        for (const [lang, entries] of Object.entries(bestseller)) {
+            lists.push({ source: `ranking/bestseller ${lang}`, entries: Array.isArray(entries) ? entries : [] });
+        }
+    }
+    return lists;
+}
+
+// Optional continuous scores (see getRankingEntryMetrics in data.js); bad values are ignored there
+function validateRankingScores(key, entries, addIssue) {
+    const isScore = value => typeof value === 'number' && value >= 0 && value <= 100;
+    entries.forEach((entry, index) => {
+        if (!isPlainObject(entry)) return;
+        const label = `#${index + 1} ${describeRankingEntry(entry)}`;
+        if (entry.score !== undefined && !isScore(entry.score)) {
+            addIssue('warning', 'schema', `ranking/${key}`, `${label} "score" is not a number from 0 to 100`);
+        }
+        if (entry.metrics === undefined) return;
+        if (!isPlainObject(entry.metrics)) {
+            addIssue('warning', 'schema', `ranking/${key}`, `${label} "metrics" is not an object`);
+            return;
+        }
+        for (const [name, value] of Object.entries(entry.metrics)) {
+            if (!VALIDATION_SUBMETRICS[key].includes(name)) {
+                addIssue('warning', 'schema', `ranking/${key}`, `${label} has an unknown metric "${name}"`);
+            } else if (!isScore(value)) {
+                addIssue('warning', 'schema', `ranking/${key}`, `${label} metric "${name}" is not a number from 0 to 100`);
+            }
+        }
+    });
+}
+
+function validateRankings(dataset, rubbers, disabled, addIssue) {
+    const rankings = dataset.rankings || {};
+    for (const key of ['spin', 'speed']) {
+        if (!Array.isArray(rankings[key])) {
+            addIssue('error', 'schema', `ranking/${key}`, 'ranking is missing or not an array');
+        }
+    }
+    if (!isPlainObject(rankings.control)) {
+        addIssue('error', 'schema', 'ranking/control', 'ranking is missing or not an object');
+    }
+
+    for (const { source, entries } of collectRankingLists(dataset)) {
+        const seen = new Set();
+        entries.forEach((entry, index) => {
+            const label = `#${index + 1} ${describeRankingEntry(entry)}`;
+            if (!isPlainObject(entry) || !isNonEmptyString(entry.brand) || !isNonEmptyString(entry.name)) {
+                addIssue('error', 'schema', source, `${label} needs "brand" and "name"`);
+                return;
+            }
+            const match = findValidationRubber(entry, rubbers);
+            if (!match) {
+                const note = findValidationRubber(entry, disabled) ? ' (the rubber is disabled)' : '';
+                addIssue('warning', 'orphan', source, `${label} matches no rubber${note}`);
+                return;
+            }
+            const id = describeRubber(match);
+            if (seen.has(id)) addIssue('warning', 'duplicate', source, `${label} is listed more than once`);
+            seen.add(id);
+        });
+    }
+
+    for (const key of ['spin', 'speed']) {
+        if (Array.isArray(rankings[key])) validateRankingScores(key, rankings[key], addIssue);
+    }
+
+    // loadRubberData keeps only rubbers ranked for both spin and speed
+    for (const raw of rubbers) {
+        const missing = ['spin', 'speed'].filter(key =>
+            Array.isArray(rankings[key]) && !rankings[key].some(entry => findValidationRubber(entry, [raw]))
+        );
+        if (missing.length) {
+            addIssue('warning', 'dropped', describeRubber(raw), `not in the ${missing.join(' or ')} ranking, so it is not shown`);
+        }
+    }
+}
+
+function validatePlayers(players, rubbers, addIssue) {
+    if (players === undefined || players === null) return;
+    if (!isPlainObject(players)) {
+        addIssue('error', 'schema', 'players.json', 'players data is not an object');
+        return;
+    }
+    const byPath = new Set(rubbers.map(raw => `${(raw.manufacturer || '').trim()}/${raw.abbr || raw.name}`));
+
+    for (const [name, player] of Object.entries(players)) {
+        const source = `players/${name}`;
+        if (!isPlainObject(player)) {
+            addIssue('error', 'schema', source, 'player entry is not an object');
+            continue;
+        }
+        for (const side of ['forehand', 'backhand']) {
+            const path = player[side];
+            if (path === undefined || path === null || path === '') continue;
+            if (typeof path !== 'string' || !path.includes('/')) {
+                addIssue('error', 'player', source, `${side} ${JSON.stringify(path)} is not a "Brand/Abbr" path`);
+            } else if (!byPath.has(path.trim())) {
+                addIssue('error', 'player', source, `${side} "${path}" matches no rubber`);
+            }
+        }
+        const missing = VALIDATION_LANGS
+            .filter(lang => lang !== 'en')
+            .filter(lang => !isNonEmptyString(player.localized_names?.[lang]));
+        if (missing.length) {
+            addIssue('warning', 'i18n', source, `"localized_names" has no ${missing.join(', ')}`);
+        }
+        if (player.youtubes !== undefined && !Array.isArray(player.youtubes)) {
+            addIssue('warning', 'schema', source, '"youtubes" is not an array');
+        }
+    }
+}
+
+/**
+ * Validate the raw dataset as it is stored on disk (or in the data bundle).
+ * @param {Object} dataset - { rubbers: raw rubber objects, rankings: { spin, speed, control },
+ *                            priority, bestseller, players }
+ * @param {Object} [options]
+ * @param {string} [options.pinyinTable] - PINYIN_SYLLABLE_CHARS; the pinyin check is skipped without it
+ * @returns {{ issues: Array<{ level: 'error'|'warning', section: string, source: string, message: string }>,
+ *            errorCount: number, warningCount: number }}
+ */
+function validateDataset(dataset, options = {}) {
+    const issues = [];
+    const addIssue = (level, section, source, message) => {
+        issues.push({ level, section, source, message });
+    };
+
+    const rawRubbers = Array.isArray(dataset?.rubbers) ? dataset.rubbers : [];
+    rawRubbers.forEach((raw, index) => {
+        if (!isPlainObject(raw)) addIssue('error', 'schema', `rubbers[${index}]`, 'rubber entry is not an object');
+    });
+    const allRubbers = rawRubbers.filter(isPlainObject);
+    const rubbers = allRubbers.filter(raw => raw.disabled === undefined);
+    const disabled = allRubbers.filter(raw => raw.disabled !== undefined);
+
+    const seenIds = new Map();
+    for (const raw of rubbers) {
+        validateRubberSchema(raw, addIssue);
+        const id = describeRubber(raw);
+        if (seenIds.has(id)) addIssue('error', 'duplicate', id, 'more than one rubber uses this brand and abbr');
+        seenIds.set(id, raw);
+    }
+
+    validateRankings(dataset || {}, rubbers, disabled, addIssue);
+    validatePlayers(dataset?.players, rubbers, addIssue);
+    if (typeof options.pinyinTable === 'string') {
+        validatePinyinCoverage(rubbers, dataset?.players, options.pinyinTable, addIssue);
+    }
+
+    return {
+        issues,
+        errorCount: issues.filter(issue => issue.level === 'error').length,
+        warningCount: issues.filter(issue => issue.level === 'warning').length
+    };
+}
+
+/**
+ * Plain-text report grouped by section, for the console and the CLI.
+ * @param {Object} report - validateDataset result
+ * @returns {string}
+ */
+function formatValidationReport(report) {
+    const lines = [`Data validation: ${report.errorCount} error(s), ${report.warningCount} warning(s)`];
+    for (const [section, title] of Object.entries(VALIDATION_SECTIONS)) {
+        const issues = report.issues.filter(issue => issue.section === section);
+        if (!issues.length) continue;
+        lines.push('', `${title} (${issues.length})`);
+        for (const issue of issues) {
+            lines.push(`  ${issue.level === 'error' ? 'ERROR' : 'warn '}  ${issue.source}: ${issue.message}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+// Node.js compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateDataset, formatValidationReport };
+}